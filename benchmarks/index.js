@@ -395,3 +395,27 @@ for (const targetBitDepth of downgradeTargets) {
         console.log(`(Downgrade 32-bit to ${targetBitDepth}-bit) benchmark finished too quickly.`);
     }
 }
+
+console.log(`\n--- Benchmarking weighted generateGroupedOPHSignature vs unweighted ---`);
+// Weighted generation runs ICWS once per element and group, in the element's bin: like unweighted generation, its cost does not grow with numHashes
+const NUM_WEIGHTED_SETS = 2000;
+const weightedSampleSets = sampleSets.slice(0, NUM_WEIGHTED_SETS).map(set => new Map(Array.from(set, (hash, i) => [hash, 1 + (i % 5)])));
+for (const weightedSet of weightedSampleSets) {
+    generateGroupedOPHSignature(weightedSet.keys(), NUM_HASHES_SIG, NUM_GROUPS_SIG); // Warm-up
+}
+
+for (const numHashes of [64, 128, 256]) {
+    const startTimeUnweighted = Date.now();
+    for (const weightedSet of weightedSampleSets) {
+        generateGroupedOPHSignature(weightedSet.keys(), numHashes, NUM_GROUPS_SIG);
+    }
+    const durationMsUnweighted = Date.now() - startTimeUnweighted;
+
+    const startTimeWeighted = Date.now();
+    for (const weightedSet of weightedSampleSets) {
+        generateGroupedOPHSignature(weightedSet, numHashes, NUM_GROUPS_SIG);
+    }
+    const durationMsWeighted = Date.now() - startTimeWeighted;
+
+    console.log(`${NUM_WEIGHTED_SETS} sets (avg size ${SET_SIZE}), sig size ${numHashes}: unweighted ${durationMsUnweighted} ms, weighted ${durationMsWeighted} ms (${(durationMsWeighted / Math.max(durationMsUnweighted, 1)).toFixed(1)}x)`);
+}
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview The `grouped-oph` command: sketches text files into serialized signatures, compares two files
+ * or signatures, and finds clusters of near-duplicate files in a directory.
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardWithConfidence,
+    downgradeSignature,
+    clusterSignatures,
+    shingleHashes,
+    serializeSignatureToBase64,
+    deserializeSignatureFromBase64
+} from '../index.js';
+
+const USAGE = `Usage: grouped-oph <command> [options] [operands]
+
+Commands:
+  sketch [file|dir ...]   Print {"file", "shingle", "size", "signature"} as one JSON line per file.
+                          Directories are read recursively; no operand or "-" reads stdin.
+  compare <a> <b>         Print the Jaccard similarity of two text files, sketch files (one
+                          line of sketch output) or base64 signatures, with a confidence interval.
+  dedup <dir>             Print {"centroid", "files"} as one JSON line per cluster of
+                          near-duplicate files in the directory, read recursively.
+
+Signature options:
+  --num-hashes <n>        Signature length (default 128)
+  --num-groups <n>        Base hashes per element (default 4)
+  --bit-depth <n>         Bits per value: 2, 4, 8, 16 or 32 (default 32)
+  --seed <n>              Hash family seed (default 0)
+  --shingle <char|word>   Character k-grams or word n-grams (default char)
+  --size <n>              Shingle size (default 5 for char, 3 for word)
+
+compare options:
+  --confidence <p>        Confidence level of the interval (default 0.95)
+  --json                  Print the full result as JSON
+
+dedup options:
+  --threshold <j>         Jaccard similarity of near-duplicates (default 0.8)
+  --mode <mode>           connected or centroid (default connected)
+`;
+
+const SIGNATURE_OPTIONS = {
+    'num-hashes': { type: 'string' },
+    'num-groups': { type: 'string' },
+    'bit-depth': { type: 'string' },
+    seed: { type: 'string' },
+    shingle: { type: 'string' },
+    size: { type: 'string' }
+};
+
+const GENERATION_DEFAULTS = { numHashes: 128, numGroups: 4, seed: 0, shingle: 'char' };
+
+const COMMANDS = {
+    sketch: { options: SIGNATURE_OPTIONS, run: _sketch },
+    compare: { options: { ...SIGNATURE_OPTIONS, confidence: { type: 'string' }, json: { type: 'boolean' } }, run: _compare },
+    dedup: { options: { ...SIGNATURE_OPTIONS, threshold: { type: 'string' }, mode: { type: 'string' } }, run: _dedup }
+};
+
+/**
+ * @private
+ * A mistake in the command line, reported with a pointer to the usage and exit status 2.
+ */
+class _UsageError extends Error {}
+
+/**
+ * Runs the command line, writing results to stdout.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {Promise<number>} Exit status.
+ */
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (command === '--help' || command === '-h' || command === 'help') {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (command === undefined) {
+        throw new _UsageError("A command is required.");
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+        throw new _UsageError(`Unknown command '${command}'.`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: COMMANDS[command].options, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new _UsageError(error.message);
+    }
+    await COMMANDS[command].run(parsed.positionals, parsed.values);
+    return 0;
+}
+
+/**
+ * @private
+ * `grouped-oph sketch`: one JSON line per file, in operand order and sorted within directories.
+ */
+async function _sketch(operands, values) {
+    if (operands.filter(operand => operand === '-').length > 1) {
+        throw new _UsageError("sketch can read stdin only once.");
+    }
+    const generation = _generationOptions(values);
+    const files = operands.length === 0 ? ['-'] : [];
+    for (const operand of operands) {
+        files.push(...(operand === '-' ? ['-'] : await _listFiles(operand)));
+    }
+    for (const file of files) {
+        const signature = _sketchText(await _readText(file), generation);
+        const { shingle, size } = generation;
+        process.stdout.write(JSON.stringify({ file, shingle, size, signature: serializeSignatureToBase64(signature) }) + '\n');
+    }
+}
+
+/**
+ * @private
+ * `grouped-oph compare`: the estimate and its confidence interval. A text is sketched with the numHashes,
+ * numGroups and seed of a signature operand, and the shingling of a sketch record, unless the flags say
+ * otherwise. Operands shingled differently are refused, since their signatures would not estimate anything.
+ * Both sides are then downgraded to the lower of their bit depths and an explicit --bit-depth.
+ */
+async function _compare(operands, values) {
+    if (operands.length !== 2) {
+        throw new _UsageError("compare needs exactly two files or signatures.");
+    }
+    if (operands[0] === '-' && operands[1] === '-') {
+        throw new _UsageError("compare can read only one operand from stdin.");
+    }
+    const confidenceLevel = _numberOption(values, 'confidence', 0.95);
+    const loaded = [await _loadOperand(operands[0]), await _loadOperand(operands[1])];
+    const reference = loaded.find(operand => operand.signature !== undefined);
+    const record = loaded.find(operand => operand.shingle !== undefined);
+    const generation = _generationOptions(values, {
+        ...GENERATION_DEFAULTS,
+        ...(reference === undefined ? {} : { numHashes: reference.signature.numHashes, numGroups: reference.signature.numGroups, seed: reference.signature.seed }),
+        ...(record === undefined ? {} : { shingle: record.shingle, size: record.size })
+    });
+
+    // A base64 signature does not record its shingling, and is taken to match the other operand's
+    const shingling = loaded.map(({ signature, shingle, size }) => signature === undefined ? _describeShingling(generation) : shingle === undefined ? null : _describeShingling({ shingle, size }));
+    if (shingling[0] !== null && shingling[1] !== null && shingling[0] !== shingling[1]) {
+        throw new Error(`${operands[0]} is shingled as ${shingling[0]} but ${operands[1]} as ${shingling[1]}; compare needs the same shingling on both sides.`);
+    }
+    let [a, b] = loaded.map(({ signature, text }) => signature !== undefined ? signature : _sketchText(text, { ...generation, bitDepth: 32 }));
+
+    const bitDepth = Math.min(a.bitDepth, b.bitDepth, generation.bitDepth);
+    if (a.bitDepth > bitDepth) a = downgradeSignature(a, bitDepth);
+    if (b.bitDepth > bitDepth) b = downgradeSignature(b, bitDepth);
+
+    const result = estimateJaccardWithConfidence(a, b, { confidenceLevel });
+    if (result.union === 0) {
+        throw new Error(`${operands[0]} and ${operands[1]} have no shingles, so their similarity is undefined.`);
+    }
+    if (values.json) {
+        process.stdout.write(JSON.stringify(result) + '\n');
+    } else {
+        const [low, high] = result.confidenceInterval;
+        const percent = Number((confidenceLevel * 100).toFixed(2));
+        process.stdout.write(`${result.estimate.toFixed(4)} (${percent}% confidence interval ${low.toFixed(4)} to ${high.toFixed(4)})\n`);
+    }
+}
+
+/**
+ * @private
+ * `grouped-oph dedup`: clusters of two or more files, ordered by their first file.
+ */
+async function _dedup(operands, values) {
+    if (operands.length !== 1) {
+        throw new _UsageError("dedup needs exactly one directory.");
+    }
+    const generation = _generationOptions(values);
+    const threshold = _numberOption(values, 'threshold', 0.8);
+    const { mode = 'connected' } = values;
+    if (!(await stat(operands[0])).isDirectory()) {
+        throw new Error(`${operands[0]} is not a directory.`);
+    }
+
+    const signatures = new Map();
+    for (const file of await _listFiles(operands[0])) {
+        signatures.set(file, _sketchText(await _readText(file), generation));
+    }
+    if (signatures.size === 0) return;
+    for (const { centroid, members } of clusterSignatures(signatures, { threshold, mode })) {
+        if (members.length > 1) {
+            process.stdout.write(JSON.stringify({ centroid, files: members }) + '\n');
+        }
+    }
+}
+
+/**
+ * @private
+ * Reads the signature and shingling flags, leaving other range checks to the library.
+ * @param {object} values - Parsed flags.
+ * @param {object} [defaults] - numHashes, numGroups, seed, shingle and (optionally) size for unset flags.
+ *   --bit-depth always defaults to 32, and --size to that of the shingling unless it is the default's.
+ */
+function _generationOptions(values, defaults = GENERATION_DEFAULTS) {
+    const { shingle = defaults.shingle } = values;
+    if (shingle !== 'char' && shingle !== 'word') {
+        throw new _UsageError("--shingle must be 'char' or 'word'.");
+    }
+    const bitDepth = _integerOption(values, 'bit-depth', 32);
+    if (![2, 4, 8, 16, 32].includes(bitDepth)) {
+        throw new _UsageError("--bit-depth must be 2, 4, 8, 16 or 32.");
+    }
+    return {
+        numHashes: _integerOption(values, 'num-hashes', defaults.numHashes),
+        numGroups: _integerOption(values, 'num-groups', defaults.numGroups),
+        bitDepth,
+        seed: _integerOption(values, 'seed', defaults.seed),
+        shingle,
+        size: _integerOption(values, 'size', shingle === defaults.shingle && defaults.size !== undefined ? defaults.size : shingle === 'word' ? 3 : 5)
+    };
+}
+
+/**
+ * @private
+ * "char 5-grams" or "word 3-grams".
+ */
+function _describeShingling({ shingle, size }) {
+    return `${shingle} ${size}-grams`;
+}
+
+/**
+ * @private
+ */
+function _numberOption(values, name, defaultValue) {
+    if (values[name] === undefined) return defaultValue;
+    const value = Number(values[name]);
+    if (values[name].trim() === '' || !Number.isFinite(value)) {
+        throw new _UsageError(`--${name} must be a number.`);
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function _integerOption(values, name, defaultValue) {
+    const value = _numberOption(values, name, defaultValue);
+    if (value !== undefined && !Number.isInteger(value)) {
+        throw new _UsageError(`--${name} must be an integer.`);
+    }
+    return value;
+}
+
+/**
+ * @private
+ * The signature of a text's shingles, with its generation metadata. Signatures are always generated at 32 bits
+ * and downgraded, so that the command's signatures of every bit depth can be compared with each other; a
+ * 32-bit signature downgraded to b bits is also more accurate than one generated at b bits.
+ */
+function _sketchText(text, { numHashes, numGroups, bitDepth, seed, shingle, size }) {
+    const hashes = shingleHashes(text, { shingle, size });
+    const signature = generateGroupedOPHSignature(hashes, numHashes, numGroups, 32, { seed, metadata: true });
+    return bitDepth === 32 ? signature : downgradeSignature(signature, bitDepth);
+}
+
+/**
+ * @private
+ * A compare operand: `{signature, shingle, size}` for the one line of a sketch file, `{signature}` for a base64
+ * signature, or `{text}` for any other file ("-" is stdin).
+ */
+async function _loadOperand(operand) {
+    let text;
+    try {
+        text = await _readText(operand);
+    } catch (error) {
+        // A base64 signature is rarely a file name, and often longer than a file name may be
+        if (error.code !== 'ENOENT' && error.code !== 'ENAMETOOLONG') throw error;
+        try {
+            return { signature: deserializeSignatureFromBase64(operand) };
+        } catch {
+            throw new Error(`${operand} is neither a file nor a serialized signature.`);
+        }
+    }
+    const sketches = _parseSketches(text);
+    if (sketches === null) {
+        return { text };
+    }
+    if (sketches.length !== 1) {
+        throw new Error(`${operand} holds ${sketches.length} signatures; compare needs one per operand.`);
+    }
+    const { signature, shingle, size } = sketches[0];
+    return { signature: deserializeSignatureFromBase64(signature), shingle, size };
+}
+
+/**
+ * @private
+ * The records of `sketch` output, or null if the text is not sketch output. The shingling of a record from a
+ * version that did not write it is left undefined.
+ */
+function _parseSketches(text) {
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+    if (lines.length === 0) return null;
+    const sketches = [];
+    for (const line of lines) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            return null;
+        }
+        if (record === null || typeof record !== 'object' || typeof record.signature !== 'string') return null;
+        const recorded = (record.shingle === 'char' || record.shingle === 'word') && Number.isInteger(record.size) && record.size > 0;
+        sketches.push(recorded ? { signature: record.signature, shingle: record.shingle, size: record.size } : { signature: record.signature });
+    }
+    return sketches;
+}
+
+/**
+ * @private
+ * A file, or the regular files under a directory in sorted order. Other entries (symbolic links, sockets) are skipped.
+ */
+async function _listFiles(target) {
+    if (!(await stat(target)).isDirectory()) return [target];
+    const files = [];
+    const entries = await readdir(target, { withFileTypes: true });
+    entries.sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0));
+    for (const entry of entries) {
+        const entryPath = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await _listFiles(entryPath)));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * @private
+ * A file's contents as UTF-8 text, or all of stdin for "-".
+ */
+async function _readText(file) {
+    if (file !== '-') {
+        return readFile(file, 'utf8');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+main(process.argv.slice(2)).then(
+    (status) => {
+        process.exitCode = status;
+    },
+    (error) => {
+        const usage = error instanceof _UsageError;
+        process.stderr.write(`grouped-oph: ${error.message}\n${usage ? "Run 'grouped-oph --help' for usage.\n" : ''}`);
+        process.exitCode = usage ? 2 : 1;
+    }
+);
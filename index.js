@@ -22,7 +22,7 @@ function hashStringFNV1a(str) {
 /**
  *
  * @private
- * @param {string} key ASCII only!
+ * @param {string} key ASCII only! Use `murmurhash3_32_utf8` for arbitrary text.
  * @param {number} seed Positive integer only
  * @return {number} 32-bit positive integer hash
  */
@@ -76,6 +76,165 @@ function murmurhash3_32_gc(key, seed) {
     return h1 >>> 0;
 }
 
+/**
+ * MurmurHash3 (x86, 32-bit) of the UTF-8 encoding of a string, or of raw bytes.
+ * Unlike `murmurhash3_32_gc`, this matches the reference implementation for any text.
+ * @param {string|Uint8Array} input The string or bytes to hash.
+ * @param {number} [seed=0] 32-bit seed.
+ * @return {number} 32-bit positive integer hash
+ */
+function murmurhash3_32_utf8(input, seed = 0) {
+    if (typeof input === 'string') {
+        return _murmurhash3_32_utf8_range(input, 0, input.length, seed);
+    }
+    if (input instanceof Uint8Array) {
+        return _murmurhash3_32_bytes(input, 0, input.length, seed);
+    }
+    throw new Error("input must be a string or a Uint8Array.");
+}
+
+/**
+ * 32-bit FNV-1a of the UTF-8 encoding of a string, or of raw bytes.
+ * Unlike `hashStringFNV1a`, which hashes UTF-16 code units, this matches the reference FNV-1a.
+ * @param {string|Uint8Array} input The string or bytes to hash.
+ * @return {number} 32-bit positive integer hash
+ */
+function hashFNV1aUtf8(input) {
+    if (typeof input === 'string') {
+        return _hashFNV1aUtf8Range(input, 0, input.length);
+    }
+    if (input instanceof Uint8Array) {
+        return _fnv1aBytes(input, 0, input.length);
+    }
+    throw new Error("input must be a string or a Uint8Array.");
+}
+
+// Reused between calls so that hashing a string does not allocate. It grows up to UTF8_SCRATCH_MAX_BYTES;
+// longer strings are encoded into a temporary buffer, so one large input does not hold memory for the
+// life of the process.
+const UTF8_SCRATCH_MAX_BYTES = 65536;
+let _utf8Scratch = new Uint8Array(256);
+
+/**
+ * A buffer of at least `byteLength` bytes to encode into: `_utf8Scratch`, grown if needed, or a new
+ * buffer above UTF8_SCRATCH_MAX_BYTES.
+ * @private
+ */
+function _utf8Buffer(byteLength) {
+    if (byteLength > UTF8_SCRATCH_MAX_BYTES) {
+        return new Uint8Array(byteLength);
+    }
+    if (_utf8Scratch.length < byteLength) {
+        _utf8Scratch = new Uint8Array(byteLength);
+    }
+    return _utf8Scratch;
+}
+
+/**
+ * Encodes `str.slice(start, end)` as UTF-8 into `out`, as TextEncoder would (lone surrogates become
+ * U+FFFD), and returns the number of bytes written. `out` must hold `(end - start) * 3` bytes.
+ * @private
+ */
+function _encodeUtf8Range(str, start, end, out) {
+    let n = 0;
+    for (let i = start; i < end; i++) {
+        let code = str.charCodeAt(i);
+        if (code < 0x80) {
+            out[n++] = code;
+        } else if (code < 0x800) {
+            out[n++] = 0xC0 | (code >>> 6);
+            out[n++] = 0x80 | (code & 0x3F);
+        } else {
+            if (code >= 0xD800 && code <= 0xDFFF) {
+                const next = i + 1 < end ? str.charCodeAt(i + 1) : 0;
+                if (code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+                    code = 0x10000 + ((code - 0xD800) << 10) + (next - 0xDC00);
+                    i++;
+                    out[n++] = 0xF0 | (code >>> 18);
+                    out[n++] = 0x80 | ((code >>> 12) & 0x3F);
+                    out[n++] = 0x80 | ((code >>> 6) & 0x3F);
+                    out[n++] = 0x80 | (code & 0x3F);
+                    continue;
+                }
+                code = 0xFFFD;
+            }
+            out[n++] = 0xE0 | (code >>> 12);
+            out[n++] = 0x80 | ((code >>> 6) & 0x3F);
+            out[n++] = 0x80 | (code & 0x3F);
+        }
+    }
+    return n;
+}
+
+/**
+ * `murmurhash3_32_utf8` of `str.slice(start, end)`, without creating the substring.
+ * @private
+ */
+function _murmurhash3_32_utf8_range(str, start, end, seed) {
+    const out = _utf8Buffer((end - start) * 3);
+    const length = _encodeUtf8Range(str, start, end, out);
+    return _murmurhash3_32_bytes(out, 0, length, seed);
+}
+
+/**
+ * `hashFNV1aUtf8` of `str.slice(start, end)`, without creating the substring.
+ * @private
+ */
+function _hashFNV1aUtf8Range(str, start, end) {
+    const out = _utf8Buffer((end - start) * 3);
+    const length = _encodeUtf8Range(str, start, end, out);
+    return _fnv1aBytes(out, 0, length);
+}
+
+/**
+ * MurmurHash3 (x86, 32-bit) over a byte range.
+ * @private
+ */
+function _murmurhash3_32_bytes(bytes, start, end, seed) {
+    const len = end - start;
+    const blocksEnd = start + (len & ~3);
+    let h1 = seed | 0;
+    let k1;
+    let i = start;
+    for (; i < blocksEnd; i += 4) {
+        k1 = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+
+        k1 = Math.imul(k1, 0xcc9e2d51);
+        k1 = (k1 << 15) | (k1 >>> 17);
+        k1 = Math.imul(k1, 0x1b873593);
+
+        h1 ^= k1;
+        h1 = (h1 << 13) | (h1 >>> 19);
+        h1 = (Math.imul(h1, 5) + 0xe6546b64) | 0;
+    }
+
+    k1 = 0;
+    switch (len & 3) {
+        case 3: k1 ^= bytes[i + 2] << 16;
+        case 2: k1 ^= bytes[i + 1] << 8;
+        case 1: k1 ^= bytes[i];
+
+        k1 = Math.imul(k1, 0xcc9e2d51);
+        k1 = (k1 << 15) | (k1 >>> 17);
+        k1 = Math.imul(k1, 0x1b873593);
+        h1 ^= k1;
+    }
+
+    return _murmurhash3_finalize(h1, len);
+}
+
+/**
+ * @private
+ * 32-bit FNV-1a over a byte range. Also the serialization checksum.
+ */
+function _fnv1aBytes(bytes, start, end) {
+    let hash = 2166136261;
+    for (let i = start; i < end; i++) {
+        hash = Math.imul(hash ^ bytes[i], 16777619);
+    }
+    return hash >>> 0;
+}
+
 /**
  * MurmurHash3's finalization steps for a single 32-bit integer.
  * @private
@@ -149,8 +308,258 @@ function _computeDenseHash(baseHash, bitDepth = 32) {
     return h === 0 ? 1 : h;
 }
 
+const XXH32_PRIME1 = 0x9E3779B1;
+const XXH32_PRIME2 = 0x85EBCA77;
+const XXH32_PRIME3 = 0xC2B2AE3D;
+const XXH32_PRIME4 = 0x27D4EB2F;
+const XXH32_PRIME5 = 0x165667B1;
+
+/**
+ * @private
+ * One XXH32 accumulator round over a 4-byte lane.
+ */
+function _xxh32Round(acc, lane) {
+    acc = (acc + Math.imul(lane, XXH32_PRIME2)) | 0;
+    acc = (acc << 13) | (acc >>> 19);
+    return Math.imul(acc, XXH32_PRIME1);
+}
+
+/**
+ * @private
+ * XXH32's final avalanche.
+ */
+function _xxh32Avalanche(h) {
+    h ^= h >>> 15;
+    h = Math.imul(h, XXH32_PRIME2);
+    h ^= h >>> 13;
+    h = Math.imul(h, XXH32_PRIME3);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * XXH32 of the UTF-8 encoding of a string, or of raw bytes. Matches the reference implementation.
+ * @param {string|Uint8Array} input The string or bytes to hash.
+ * @param {number} [seed=0] 32-bit seed.
+ * @return {number} 32-bit positive integer hash
+ */
+function xxhash32(input, seed = 0) {
+    let bytes = input;
+    if (typeof input === 'string') {
+        const out = _utf8Buffer(input.length * 3);
+        bytes = out.subarray(0, _encodeUtf8Range(input, 0, input.length, out));
+    } else if (!(input instanceof Uint8Array)) {
+        throw new Error("input must be a string or a Uint8Array.");
+    }
+    const len = bytes.length;
+    const lane = (k) => bytes[k] | (bytes[k + 1] << 8) | (bytes[k + 2] << 16) | (bytes[k + 3] << 24);
+    let i = 0;
+    let h;
+
+    if (len >= 16) {
+        let v1 = (seed + XXH32_PRIME1 + XXH32_PRIME2) | 0;
+        let v2 = (seed + XXH32_PRIME2) | 0;
+        let v3 = seed | 0;
+        let v4 = (seed - XXH32_PRIME1) | 0;
+        for (; i + 16 <= len; i += 16) {
+            v1 = _xxh32Round(v1, lane(i));
+            v2 = _xxh32Round(v2, lane(i + 4));
+            v3 = _xxh32Round(v3, lane(i + 8));
+            v4 = _xxh32Round(v4, lane(i + 12));
+        }
+        h = ((v1 << 1) | (v1 >>> 31)) + ((v2 << 7) | (v2 >>> 25)) + ((v3 << 12) | (v3 >>> 20)) + ((v4 << 18) | (v4 >>> 14));
+    } else {
+        h = seed + XXH32_PRIME5;
+    }
+    h = (h + len) | 0;
+
+    for (; i + 4 <= len; i += 4) {
+        h = (h + Math.imul(lane(i), XXH32_PRIME3)) | 0;
+        h = Math.imul((h << 17) | (h >>> 15), XXH32_PRIME4);
+    }
+    for (; i < len; i++) {
+        h = (h + Math.imul(bytes[i], XXH32_PRIME5)) | 0;
+        h = Math.imul((h << 11) | (h >>> 21), XXH32_PRIME1);
+    }
+    return _xxh32Avalanche(h);
+}
+
+/**
+ * @private
+ * XXH32 of a single 32-bit integer's 4 little-endian bytes, without a byte array.
+ * Equals `xxhash32` of those bytes.
+ */
+function _xxh32SingleInt(k, seed) {
+    let h = (seed + XXH32_PRIME5 + 4) | 0;
+    h = (h + Math.imul(k, XXH32_PRIME3)) | 0;
+    h = Math.imul((h << 17) | (h >>> 15), XXH32_PRIME4);
+    return _xxh32Avalanche(h);
+}
+
+// 64-bit hashing for `hash: 'xxh64'`. BigInt arithmetic, reduced modulo 2^64 after every step.
+const XXH64_PRIME1 = 0x9E3779B185EBCA87n;
+const XXH64_PRIME2 = 0xC2B2AE3D27D4EB4Fn;
+const XXH64_PRIME3 = 0x165667B19E3779F9n;
+const XXH64_PRIME4 = 0x85EBCA77C2B2AE63n;
+const XXH64_PRIME5 = 0x27D4EB2F165667C5n;
+const UINT64_MAX = 0xFFFFFFFFFFFFFFFFn;
+
+/**
+ * @private
+ * Rotates a uint64 left by `r` bits.
+ */
+function _rotl64(x, r) {
+    return ((x << r) | (x >> (64n - r))) & UINT64_MAX;
+}
+
+/**
+ * @private
+ * One XXH64 accumulator round over an 8-byte lane.
+ */
+function _xxh64Round(acc, lane) {
+    acc = (acc + lane * XXH64_PRIME2) & UINT64_MAX;
+    return (_rotl64(acc, 31n) * XXH64_PRIME1) & UINT64_MAX;
+}
+
+/**
+ * @private
+ * XXH64's final avalanche.
+ */
+function _xxh64Avalanche(h) {
+    h ^= h >> 33n;
+    h = (h * XXH64_PRIME2) & UINT64_MAX;
+    h ^= h >> 29n;
+    h = (h * XXH64_PRIME3) & UINT64_MAX;
+    h ^= h >> 32n;
+    return h;
+}
+
+/**
+ * XXH64 of the UTF-8 encoding of a string, or of raw bytes. Matches the reference implementation.
+ * @param {string|Uint8Array} input The string or bytes to hash.
+ * @param {bigint|number} [seed=0] 64-bit seed.
+ * @return {bigint} 64-bit unsigned hash
+ */
+function xxhash64(input, seed = 0) {
+    let bytes = input;
+    if (typeof input === 'string') {
+        const out = _utf8Buffer(input.length * 3);
+        bytes = out.subarray(0, _encodeUtf8Range(input, 0, input.length, out));
+    } else if (!(input instanceof Uint8Array)) {
+        throw new Error("input must be a string or a Uint8Array.");
+    }
+    if (typeof seed !== 'bigint' && !Number.isSafeInteger(seed)) {
+        throw new Error("seed must be an integer or a BigInt.");
+    }
+    const seed64 = BigInt.asUintN(64, BigInt(seed));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const len = bytes.length;
+    let i = 0;
+    let h;
+
+    if (len >= 32) {
+        let v1 = (seed64 + XXH64_PRIME1 + XXH64_PRIME2) & UINT64_MAX;
+        let v2 = (seed64 + XXH64_PRIME2) & UINT64_MAX;
+        let v3 = seed64;
+        let v4 = (seed64 - XXH64_PRIME1) & UINT64_MAX;
+        for (; i + 32 <= len; i += 32) {
+            v1 = _xxh64Round(v1, view.getBigUint64(i, true));
+            v2 = _xxh64Round(v2, view.getBigUint64(i + 8, true));
+            v3 = _xxh64Round(v3, view.getBigUint64(i + 16, true));
+            v4 = _xxh64Round(v4, view.getBigUint64(i + 24, true));
+        }
+        h = (_rotl64(v1, 1n) + _rotl64(v2, 7n) + _rotl64(v3, 12n) + _rotl64(v4, 18n)) & UINT64_MAX;
+        for (const v of [v1, v2, v3, v4]) {
+            h = (((h ^ _xxh64Round(0n, v)) * XXH64_PRIME1) + XXH64_PRIME4) & UINT64_MAX;
+        }
+    } else {
+        h = (seed64 + XXH64_PRIME5) & UINT64_MAX;
+    }
+    h = (h + BigInt(len)) & UINT64_MAX;
+
+    for (; i + 8 <= len; i += 8) {
+        h ^= _xxh64Round(0n, view.getBigUint64(i, true));
+        h = ((_rotl64(h, 27n) * XXH64_PRIME1) + XXH64_PRIME4) & UINT64_MAX;
+    }
+    if (i + 4 <= len) {
+        h ^= (BigInt(view.getUint32(i, true)) * XXH64_PRIME1) & UINT64_MAX;
+        h = ((_rotl64(h, 23n) * XXH64_PRIME2) + XXH64_PRIME3) & UINT64_MAX;
+        i += 4;
+    }
+    for (; i < len; i++) {
+        h ^= (BigInt(bytes[i]) * XXH64_PRIME5) & UINT64_MAX;
+        h = (_rotl64(h, 11n) * XXH64_PRIME1) & UINT64_MAX;
+    }
+    return _xxh64Avalanche(h);
+}
+
+/**
+ * @private
+ * Converts an element for `hash: 'xxh64'` to a uint64 BigInt: a BigInt, or a number that is a
+ * non-negative safe integer, so that `5` and `5n` are the same element. Returns null for other types,
+ * which are skipped like non-numbers in 32-bit generation.
+ */
+function _toElementId64(element) {
+    if (typeof element === 'bigint') {
+        if (element < 0n || element > UINT64_MAX) {
+            throw new Error("Element ids must be integers between 0 and 2^64 - 1 for hash 'xxh64'.");
+        }
+        return element;
+    }
+    if (typeof element === 'number') {
+        if (!Number.isSafeInteger(element) || element < 0) {
+            throw new Error("Element ids must be integers between 0 and 2^64 - 1 for hash 'xxh64'; numbers above 2^53 - 1 must be BigInts.");
+        }
+        return BigInt(element);
+    }
+    return null;
+}
+
+/**
+ * @private
+ * The seed-independent half of XXH64 for one 8-byte element: the lane round of the id.
+ * `_xxh64Element(_xxh64Lane(id), groupBase)` equals `xxhash64` of the id's 8 little-endian bytes.
+ */
+function _xxh64Lane(id) {
+    return _xxh64Round(0n, id);
+}
+
+/**
+ * @private
+ * Finishes XXH64 of an 8-byte element from its lane round and `seed + PRIME5 + 8` (see `_xxh64GroupBases`).
+ */
+function _xxh64Element(lane, groupBase) {
+    const h = ((_rotl64(groupBase ^ lane, 27n) * XXH64_PRIME1) + XXH64_PRIME4) & UINT64_MAX;
+    return _xxh64Avalanche(h);
+}
+
+/**
+ * @private
+ * Per-group starting states for `_xxh64Element`: each group seed plus PRIME5 plus the input length 8.
+ * @param {Uint32Array} groupSeeds - Seeds from `_deriveGroupSeeds`.
+ * @returns {Array<bigint>}
+ */
+function _xxh64GroupBases(groupSeeds) {
+    return Array.from(groupSeeds, groupSeed => (BigInt(groupSeed) + XXH64_PRIME5 + 8n) & UINT64_MAX);
+}
+
+/**
+ * @private
+ * 64-bit counterpart of `_computeDenseHash`: MurmurHash3's fmix64 of a base hash, never zero.
+ * @param {bigint} baseHash - A uint64.
+ * @returns {bigint}
+ */
+function _computeDenseHash64(baseHash) {
+    let h = baseHash;
+    h ^= h >> 33n;
+    h = (h * 0xFF51AFD7ED558CCDn) & UINT64_MAX;
+    h ^= h >> 33n;
+    h = (h * 0xC4CEB9FE1A85EC53n) & UINT64_MAX;
+    h ^= h >> 33n;
+    return h === 0n ? 1n : h;
+}
 
-export { murmurhash3_32_gc, murmurhash3_32_gc_single_int, hashStringFNV1a };
+export { murmurhash3_32_gc, murmurhash3_32_gc_single_int, hashStringFNV1a, murmurhash3_32_utf8, hashFNV1aUtf8, xxhash32, xxhash64 };
 
 const N_APPROX_THRESHOLD = 30; // Threshold for n_trials to consider normal approximation
 
@@ -263,123 +672,1606 @@ if (typeof Math.erf !== 'function') {
 }
 
 /**
- * Generates a MinHash signature using a "Grouped OPH" approach.
- * Computes 'g' base hashes per element and derives 'M' signature values from each.
- *
- * Recommended usage: numGroups = 4 based on accuracy/performance tests.
- * Input elements should typically be numerical hashes of the actual features (e.g., shingle hashes).
- *
- * @param {Iterable<number>} elementHashSet - An iterable (e.g., Set, Array) of numerical element hashes.
- * @param {number} numHashes - The total desired length of the signature (must be divisible by numGroups).
- * @param {number} numGroups - The number of base hashes to compute per element (g).
- * @param {number} [bitDepth=32] - The desired bit depth for each hash value in the signature (8, 16, or 32).
- * @returns {Uint8Array | Uint16Array | Uint32Array} The MinHash signature array as a TypedArray.
+ * @private
+ * Inverse of the standard normal CDF, by Acklam's rational approximation (relative error below 1.2e-9).
+ * @param {number} p - Probability in (0, 1).
+ * @returns {number} z such that Φ(z) = p.
  */
-export function generateGroupedOPHSignature(elementHashSet, numHashes, numGroups, bitDepth = 32) {
-    if (typeof numHashes !== 'number' || numHashes <= 0 || !Number.isInteger(numHashes)) {
-         throw new Error("numHashes must be a positive integer.");
+function _normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
     }
-     if (typeof numGroups !== 'number' || numGroups <= 0 || !Number.isInteger(numGroups)) {
-         throw new Error("numGroups must be a positive integer.");
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
     }
-    if (numHashes % numGroups !== 0) {
-        throw new Error("numHashes must be divisible by numGroups.");
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * @private
+ * Derives the per-group murmur seeds from a signature seed. Seed 0 keeps the original family
+ * (group i hashed with seed i), so signatures generated before seeds existed stay comparable;
+ * any other seed hashes the group index with it, giving an unrelated family per seed.
+ * @param {number} numGroups - Number of groups (g).
+ * @param {number} seed - Signature seed (uint32).
+ * @returns {Uint32Array} One seed per group.
+ */
+function _deriveGroupSeeds(numGroups, seed) {
+    if (typeof seed !== 'number' || !Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error("seed must be an integer between 0 and 4294967295.");
     }
-    if (![2, 4, 8, 16, 32].includes(bitDepth)) {
-        throw new Error("bitDepth must be 2, 4, 8, 16, or 32.");
+    const groupSeeds = new Uint32Array(numGroups);
+    for (let i = 0; i < numGroups; i++) {
+        groupSeeds[i] = seed === 0 ? i : murmurhash3_32_gc_single_int(i, seed);
     }
+    return groupSeeds;
+}
 
-    const M = numHashes / numGroups;
+const DENSIFY_SEED = 0x5bd1e995; // Seed for the densification probe sequence
+const ROTATION_OFFSET = 0x9e3779b1; // Per-step offset mixed into rotated values (the "C" from Shrivastava & Li)
 
-    let signature;
-    let TypedArrayConstructor;
-    let fillVal;
-    if (bitDepth === 8) {
-        TypedArrayConstructor = Uint8Array;
-        fillVal = 0xFF;
-        signature = new TypedArrayConstructor(numHashes).fill(fillVal);
-    } else if (bitDepth === 4) {
-        TypedArrayConstructor = Uint8Array;
-        fillVal = 0x0F;
-        signature = new TypedArrayConstructor(numHashes).fill(fillVal);
-    } else if (bitDepth === 2) {
-        TypedArrayConstructor = Uint8Array;
-        fillVal = 0x03;
-        signature = new TypedArrayConstructor(numHashes).fill(fillVal);
-    } else if (bitDepth === 16) {
-        TypedArrayConstructor = Uint16Array;
-        fillVal = 0xFFFF;
-        signature = new TypedArrayConstructor(numHashes).fill(fillVal);
-    } else {
-        TypedArrayConstructor = Uint32Array;
-        fillVal = Infinity;
-        signature = new Array(numHashes).fill(fillVal);
-    }
+/**
+ * @private
+ * Fills the empty (zero) bins of each group from the group's non-empty bins.
+ * Groups are densified independently, so a borrowed value never crosses a group boundary.
+ *
+ * 'rotation' (Shrivastava & Li, 2014): an empty bin takes the value of the nearest
+ * non-empty bin to its right (circularly), re-mixed with the distance travelled so that
+ * values borrowed from different distances do not collide.
+ * 'optimal' (Shrivastava, 2017): an empty bin probes bins chosen by a hash of
+ * (group, bin, attempt) until it hits a non-empty one and copies its value.
+ *
+ * Both schemes depend only on the bin position, never on the set, so two signatures that
+ * share a non-empty bin borrow it identically and the estimate stays unbiased.
+ * @param {Array<number>|Uint8Array|Uint16Array|Uint32Array|BigUint64Array} signature - Signature with empty bins as 0, modified in place.
+ * @param {number} numGroups - Number of groups (g).
+ * @param {number} M - Bins per group.
+ * @param {number} bitDepth - Bit depth of the signature values.
+ * @param {'rotation'|'optimal'} densify - Densification scheme.
+ * @param {number} seed - Signature seed, mixed into the 'optimal' probe sequence.
+ */
+function _densifySignature(signature, numGroups, M, bitDepth, densify, seed) {
+    const probeSeed = (DENSIFY_SEED ^ seed) >>> 0;
+    const empty = bitDepth === 64 ? 0n : 0;
+    for (let i = 0; i < numGroups; i++) {
+        const groupStart = i * M;
+        // Borrow only from bins filled by actual elements, never from bins densified earlier.
+        const original = signature.slice(groupStart, groupStart + M);
 
-    for (const elementHash of elementHashSet) {
-         if (typeof elementHash !== 'number') continue;
+        let nonEmpty = 0;
+        for (let k = 0; k < M; k++) {
+            if (original[k] !== empty) nonEmpty++;
+        }
+        // Nothing to borrow from (empty input set) or nothing to fill.
+        if (nonEmpty === 0 || nonEmpty === M) continue;
 
-         for (var i = 0; i < numGroups; i++) {
-            const baseHash = murmurhash3_32_gc_single_int(elementHash, i);
-            const j = baseHash % M;
-            const h = _computeDenseHash(baseHash, bitDepth);
-            const signatureIndex = i * M + j;
-             if (h < signature[signatureIndex]) {
-                 signature[signatureIndex] = h;
-             }
+        for (let j = 0; j < M; j++) {
+            if (original[j] !== empty) continue;
+
+            if (densify === 'optimal') {
+                const probeKey = i * M + j;
+                let attempt = 1;
+                let source = murmurhash3_32_gc_single_int(probeKey, probeSeed + attempt) % M;
+                while (original[source] === empty) {
+                    attempt++;
+                    source = murmurhash3_32_gc_single_int(probeKey, probeSeed + attempt) % M;
+                }
+                signature[groupStart + j] = original[source];
+            } else {
+                let t = 1;
+                while (original[(j + t) % M] === empty) t++;
+                const borrowed = original[(j + t) % M];
+                signature[groupStart + j] = bitDepth === 64
+                    ? _computeDenseHash64((borrowed + BigInt(Math.imul(t, ROTATION_OFFSET) >>> 0)) & UINT64_MAX)
+                    : _computeDenseHash((borrowed + Math.imul(t, ROTATION_OFFSET)) >>> 0, bitDepth);
+            }
         }
     }
+}
 
-    const sigLen = signature.length;
-    for (let k = 0; k < sigLen; k++) {
-        if (signature[k] === fillVal) {
-            signature[k] = 0;
+/**
+ * A 2-bit or 4-bit signature stored bit-packed: sixteen 2-bit or eight 4-bit values per 32-bit word
+ * (equivalently four or two values per byte, lowest bits first). Produced by
+ * `generateGroupedOPHSignature` and `downgradeSignature` with `{ packed: true }`, and compared
+ * word-by-word by `estimateJaccardSimilarity` without unpacking.
+ */
+export class PackedSignature {
+    /**
+     * @param {Uint32Array} words - Packed values; value i lives in word i / (32 / bitDepth).
+     * @param {number} length - Number of signature values (numHashes).
+     * @param {number} bitDepth - Bits per value (2 or 4).
+     */
+    constructor(words, length, bitDepth) {
+        if (bitDepth !== 2 && bitDepth !== 4) {
+            throw new Error("PackedSignature bitDepth must be 2 or 4.");
         }
+        if (!(words instanceof Uint32Array) || words.length < Math.ceil(length * bitDepth / 32)) {
+            throw new Error("PackedSignature words must be a Uint32Array large enough to hold length values.");
+        }
+        this.words = words;
+        this.length = length;
+        this.bitDepth = bitDepth;
     }
 
-    if (bitDepth === 32) {
-        return new Uint32Array(signature);
+    /**
+     * Packs one-value-per-element signature data.
+     * @param {ArrayLike<number>} values - Values in the range of bitDepth (e.g. an unpacked 4-bit signature).
+     * @param {number} bitDepth - Bits per value (2 or 4).
+     * @returns {PackedSignature}
+     */
+    static from(values, bitDepth) {
+        const perWord = 32 / bitDepth;
+        const mask = (1 << bitDepth) - 1;
+        const len = values.length;
+        const words = new Uint32Array(Math.ceil(len / perWord));
+        for (let i = 0; i < len; i++) {
+            words[(i / perWord) | 0] |= (values[i] & mask) << ((i % perWord) * bitDepth);
+        }
+        return new PackedSignature(words, len, bitDepth);
     }
 
-    return signature;
+    /**
+     * @param {number} index - Position in the signature.
+     * @returns {number} The value at that position.
+     */
+    get(index) {
+        const perWord = 32 / this.bitDepth;
+        return (this.words[(index / perWord) | 0] >>> ((index % perWord) * this.bitDepth)) & ((1 << this.bitDepth) - 1);
+    }
+
+    /**
+     * @returns {Uint8Array} The signature with one value per byte, as produced without `packed`.
+     */
+    unpack() {
+        const values = new Uint8Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            values[i] = this.get(i);
+        }
+        return values;
+    }
+
+    /**
+     * Bytes used by the packed values.
+     * @returns {number}
+     */
+    get byteLength() {
+        return this.words.byteLength;
+    }
 }
 
 /**
- * Determines the bit depth of a signature TypedArray.
- * @param {Uint8Array|Uint16Array|Uint32Array} signature The signature array.
- * @returns {number|null} The bit depth (e.g., 8, 16, 32) or null if type is unrecognized.
+ * @private
+ * Counts set bits in a 32-bit integer.
  */
-export function getBitDepth(signature) {
-    if (signature instanceof Uint8Array) return 8;
-    if (signature instanceof Uint16Array) return 16;
-    if (signature instanceof Uint32Array) return 32;
-    return null;
+function _popcount32(x) {
+    x = x - ((x >>> 1) & 0x55555555);
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+    x = (x + (x >>> 4)) & 0x0F0F0F0F;
+    return Math.imul(x, 0x01010101) >>> 24;
 }
 
+// Scratch result for _countPackedRange, avoids allocating per group.
+const _packedCounts = { matches: 0, union: 0, both: 0 };
 
 /**
- * Downgrades a signature to a lower bit depth.
- * This is useful for comparing signatures of different precisions or for storage.
- * WARNING: This is a lossy conversion if the original values exceed the target bit depth's max.
- *
- * @param {Uint8Array|Uint16Array|Uint32Array} signature - The original signature TypedArray.
- * @param {number} targetBitDepth - The desired bit depth (2, 4, 8, 16). Must be lower than original.
- * @returns {Uint8Array|Uint16Array} The new signature with downgraded bit depth.
+ * @private
+ * Counts matching non-zero values, non-empty positions and positions non-empty in both, over values
+ * [start, end) of two packed signatures. Each lane is reduced to its lowest bit (OR-folding the lane),
+ * so a whole word of lanes is compared with a handful of bitwise operations and three popcounts.
+ * @returns {{matches: number, union: number, both: number}} Shared scratch object, valid until the next call.
  */
-export function downgradeSignature(signature, targetBitDepth) {
-    const currentBitDepth = getBitDepth(signature);
+function _countPackedRange(wordsA, wordsB, bitDepth, start, end) {
+    const perWord = 32 / bitDepth;
+    const laneBits = bitDepth === 2 ? 0x55555555 : 0x11111111;
+    let matches = 0;
+    let union = 0;
+    let both = 0;
 
-    if (currentBitDepth === null) {
-        throw new Error("Invalid or unsupported signature type for downgrade.");
-    }
-    if (targetBitDepth >= currentBitDepth) {
-        throw new Error("Target bit depth must be lower than current bit depth for downgrade.");
+    const firstWord = (start / perWord) | 0;
+    const lastWord = ((end - 1) / perWord) | 0;
+    for (let w = firstWord; w <= lastWord; w++) {
+        const a = wordsA[w];
+        const b = wordsB[w];
+        const x = a ^ b;
+        let nzA, nzB, diff;
+        if (bitDepth === 2) {
+            nzA = a | (a >>> 1);
+            nzB = b | (b >>> 1);
+            diff = x | (x >>> 1);
+        } else {
+            nzA = a | (a >>> 1) | (a >>> 2) | (a >>> 3);
+            nzB = b | (b >>> 1) | (b >>> 2) | (b >>> 3);
+            diff = x | (x >>> 1) | (x >>> 2) | (x >>> 3);
+        }
+
+        let lanes = laneBits;
+        if (w === firstWord || w === lastWord) {
+            const fromLane = w === firstWord ? start - w * perWord : 0;
+            const toLane = w === lastWord ? end - w * perWord : perWord;
+            const high = toLane === perWord ? 0xFFFFFFFF : (1 << (toLane * bitDepth)) - 1;
+            const low = (1 << (fromLane * bitDepth)) - 1;
+            lanes &= high & ~low;
+        }
+
+        nzA &= lanes;
+        matches += _popcount32(nzA & ~diff);
+        union += _popcount32((nzA | nzB) & lanes);
+        both += _popcount32(nzA & nzB);
     }
-    if (![2, 4, 8, 16].includes(targetBitDepth)) {
-        throw new Error("Target bit depth must be 2, 4, 8, or 16.");
+
+    _packedCounts.matches = matches;
+    _packedCounts.union = union;
+    _packedCounts.both = both;
+    return _packedCounts;
+}
+
+/**
+ * @private
+ * Counts matching, union and both-non-empty positions in [start, end) of two 64-bit signatures,
+ * whose BigInt values do not work with the number comparisons of the other loops.
+ * @param {BigUint64Array} valuesA - First signature.
+ * @param {BigUint64Array} valuesB - Second signature, read from `offsetB + start`.
+ * @returns {{matches: number, union: number, both: number}} The shared `_packedCounts` object.
+ */
+function _countWideRange(valuesA, valuesB, offsetB, start, end) {
+    let matches = 0;
+    let union = 0;
+    let both = 0;
+    for (let k = start; k < end; k++) {
+        const valA = valuesA[k];
+        const valB = valuesB[offsetB + k];
+        if (valA !== 0n) {
+            union++;
+            if (valB !== 0n) {
+                both++;
+                if (valA === valB) matches++;
+            }
+        } else if (valB !== 0n) {
+            union++;
+        }
     }
 
-    let NewTypedArrayConstructor;
+    _packedCounts.matches = matches;
+    _packedCounts.union = union;
+    _packedCounts.both = both;
+    return _packedCounts;
+}
+
+/**
+ * Version of the signature generation algorithm (bin assignment, dense hash and empty-bin encoding).
+ * Recorded on every `GroupedOPHSignature` so signatures from incompatible releases are not compared.
+ * Specified in docs/specification.md and pinned by test/vectors/signatures.json: any change to a signature
+ * for the same input and parameters needs a new version.
+ */
+export const ALGORITHM_VERSION = 1;
+
+const BUILTIN_HASHES = ['murmur3', 'xxh64'];
+const HASH_NAME_PATTERN = /^[\x20-\x7E]{1,64}$/; // Printable ASCII, so that the name fits the serialized header
+const DENSIFY_CODES = [null, 'rotation', 'optimal']; // Indexed by the serialized densify flag bits
+
+/**
+ * A signature together with the parameters it was generated with. Returned by
+ * `generateGroupedOPHSignature` with `{ metadata: true }`, and understood by `estimateJaccardSimilarity`,
+ * `downgradeSignature`, `getBitDepth` and `LSHIndex`. Unlike a raw TypedArray it knows its true bit depth
+ * (a 4-bit signature stored in a Uint8Array reports 4, not 8) and its numGroups, and comparing two
+ * signatures generated with different settings throws instead of returning a meaningless estimate.
+ */
+export class GroupedOPHSignature {
+    /**
+     * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature} values - The signature values.
+     * @param {object} metadata - Generation parameters
+     * @param {number} metadata.numGroups - Number of groups (g).
+     * @param {number} [metadata.bitDepth] - True bit depth. Defaults to the depth implied by the array type.
+     * @param {number} [metadata.seed=0] - Seed of the hash family.
+     * @param {number} [metadata.version=ALGORITHM_VERSION] - Algorithm version.
+     * @param {'rotation'|'optimal'|null} [metadata.densify=null] - Densification scheme, if any.
+     * @param {boolean} [metadata.weighted=false] - Whether the signature was generated from a weighted set.
+     * @param {string} [metadata.hash] - Name of the hash strategy the signature was generated with ('murmur3', 'xxh64'
+     *   or a strategy's `name`). Defaults to 'xxh64' for a BigUint64Array, the only hash that produces 64-bit values,
+     *   and to 'murmur3' otherwise.
+     */
+    constructor(values, metadata = {}) {
+        const storageBitDepth = getBitDepth(values);
+        if (storageBitDepth === null || values instanceof GroupedOPHSignature) {
+            throw new Error("GroupedOPHSignature values must be a Uint8Array, Uint16Array, Uint32Array or PackedSignature, or a BigUint64Array for 64-bit signatures.");
+        }
+        const {
+            numGroups,
+            bitDepth = storageBitDepth,
+            seed = 0,
+            version = ALGORITHM_VERSION,
+            densify = null,
+            weighted = false,
+            hash = storageBitDepth === 64 ? 'xxh64' : 'murmur3'
+        } = metadata;
+        const numHashes = values.length;
+
+        if (typeof hash !== 'string' || !HASH_NAME_PATTERN.test(hash)) {
+            throw new Error("hash must be the name of a hash strategy: 1 to 64 printable ASCII characters.");
+        }
+        if (storageBitDepth === 64 && hash !== 'xxh64') {
+            throw new Error("bitDepth 64 requires hash 'xxh64'.");
+        }
+        if (!DENSIFY_CODES.includes(densify)) {
+            throw new Error("densify must be 'rotation', 'optimal' or null.");
+        }
+        if (typeof numGroups !== 'number' || numGroups <= 0 || !Number.isInteger(numGroups) || numHashes % numGroups !== 0) {
+            throw new Error("numGroups must be a positive integer and a divisor of the signature length.");
+        }
+        const compatibleDepth = storageBitDepth === 8 && !(values instanceof PackedSignature)
+            ? [2, 4, 8].includes(bitDepth)
+            : bitDepth === storageBitDepth;
+        if (!compatibleDepth) {
+            throw new Error(`bitDepth ${bitDepth} does not fit a signature stored as ${values.constructor.name}.`);
+        }
+
+        this.values = values;
+        this.numHashes = numHashes;
+        this.numGroups = numGroups;
+        this.bitDepth = bitDepth;
+        this.seed = seed;
+        this.version = version;
+        this.densify = densify;
+        this.weighted = weighted;
+        this.hash = hash;
+    }
+
+    /**
+     * Number of values in the signature (numHashes).
+     * @returns {number}
+     */
+    get length() {
+        return this.numHashes;
+    }
+}
+
+// Generation parameters that must agree for two signatures to be comparable
+const COMPATIBILITY_FIELDS = ['numHashes', 'numGroups', 'seed', 'version', 'densify', 'weighted', 'hash'];
+
+/**
+ * @private
+ * Throws if two wrapped signatures were generated with settings that make their values incomparable.
+ * Bit depth is not checked here: differing depths are reconciled by downgrading.
+ * @param {GroupedOPHSignature|object} signatureA - A signature, or the `_compatibilityFields` of one.
+ * @param {GroupedOPHSignature} signatureB - A signature.
+ */
+function _assertCompatibleSignatures(signatureA, signatureB) {
+    for (const field of COMPATIBILITY_FIELDS) {
+        if (signatureA[field] !== signatureB[field]) {
+            throw new Error(`Incompatible signatures: ${field} differs (${signatureA[field]} vs ${signatureB[field]}).`);
+        }
+    }
+}
+
+/**
+ * @private
+ * The fields of a wrapped signature checked by `_assertCompatibleSignatures`, without its values, for
+ * collections that check every signature they take against the first.
+ */
+function _compatibilityFields(signature) {
+    const fields = {};
+    for (const field of COMPATIBILITY_FIELDS) fields[field] = signature[field];
+    return fields;
+}
+
+/**
+ * @private
+ * Unwraps a pair of signatures for comparison. When both are wrapped, checks compatibility and
+ * downgrades the higher-precision one to the other's bit depth.
+ * @returns {{valuesA: *, valuesB: *, numGroups: (number|undefined), bitDepth: (number|undefined)}}
+ */
+function _unwrapSignaturePair(signatureA, signatureB) {
+    const wrappedA = signatureA instanceof GroupedOPHSignature;
+    const wrappedB = signatureB instanceof GroupedOPHSignature;
+    if (wrappedA && wrappedB) {
+        _assertCompatibleSignatures(signatureA, signatureB);
+        if (signatureA.bitDepth > signatureB.bitDepth) {
+            signatureA = downgradeSignature(signatureA, signatureB.bitDepth, { packed: signatureB.values instanceof PackedSignature });
+        } else if (signatureB.bitDepth > signatureA.bitDepth) {
+            signatureB = downgradeSignature(signatureB, signatureA.bitDepth, { packed: signatureA.values instanceof PackedSignature });
+        }
+    }
+    return {
+        valuesA: wrappedA ? signatureA.values : signatureA,
+        valuesB: wrappedB ? signatureB.values : signatureB,
+        numGroups: wrappedA ? signatureA.numGroups : (wrappedB ? signatureB.numGroups : undefined),
+        bitDepth: wrappedA ? signatureA.bitDepth : (wrappedB ? signatureB.bitDepth : undefined)
+    };
+}
+
+/**
+ * Generates a MinHash signature using a "Grouped OPH" approach.
+ * Computes 'g' base hashes per element and derives 'M' signature values from each.
+ *
+ * Recommended usage: numGroups = 4 based on accuracy/performance tests.
+ * Input elements should typically be numerical hashes of the actual features (e.g., shingle hashes).
+ *
+ * @param {Iterable<number>|Iterable<bigint>|BigUint64Array|Map<number, number>} elementHashSet - An iterable (e.g., Set, Array)
+ *   of numerical element hashes, or a Map from element hash to weight for a weighted signature. With `hash: 'xxh64'`,
+ *   64-bit element ids: BigInts, non-negative safe integers, or a BigUint64Array.
+ * @param {number} numHashes - The total desired length of the signature (must be divisible by numGroups).
+ * @param {number} numGroups - The number of base hashes to compute per element (g).
+ * @param {number} [bitDepth=32] - The desired bit depth for each hash value in the signature (2, 4, 8, 16, or 32;
+ *   64 with `hash: 'xxh64'`, returned as a BigUint64Array).
+ * @param {object} [options] - Optional options object
+ * @param {'rotation'|'optimal'} [options.densify] - Fill bins that received no element from the non-empty
+ *   bins of the same group, so small sets still produce full, LSH-compatible signatures. Omit to leave empty bins as 0.
+ * @param {boolean} [options.packed=false] - For bitDepth 2 or 4, return a bit-packed `PackedSignature`.
+ * @param {boolean} [options.metadata=false] - Return a `GroupedOPHSignature` recording the generation parameters.
+ * @param {number} [options.seed=0] - Selects the hash family (a uint32). Signatures are only comparable with
+ *   signatures built from the same seed; use `metadata` so that mismatches are rejected at comparison time.
+ * @param {ArrayLike<number>} [options.weights] - Weights parallel to an array of element hashes, for a weighted
+ *   signature. Weighted signatures (also produced for a Map input) estimate the weighted Jaccard similarity
+ *   Σmin(wA, wB) / Σmax(wA, wB), and should only be compared with other weighted signatures.
+ * @param {'murmur3'|'xxh64'|object} [options.hash='murmur3'] - Per-group base hash. 'xxh64' hashes 64-bit element ids with
+ *   XXH64, for element universes large enough that 32-bit element hashes collide, and allows bitDepth 64. A hash
+ *   strategy object (`murmur3Strategy`, `xxh32Strategy`, `createTabulationStrategy(seed)`, or your own
+ *   `{ name, hashElement, denseHash }`) replaces the base hash and, optionally, the dense finalizer.
+ *   Each hash is a different family: its signatures are not comparable with those of another hash, even for
+ *   the same elements, and `metadata` records its name so that such comparisons throw. Strategy objects other than
+ *   `murmur3Strategy` require `metadata: true`. Weighted sets need 'murmur3'.
+ * @returns {Uint8Array | Uint16Array | Uint32Array | BigUint64Array | PackedSignature | GroupedOPHSignature} The MinHash signature array as a TypedArray.
+ */
+export function generateGroupedOPHSignature(elementHashSet, numHashes, numGroups, bitDepth = 32, options = {}) {
+    _validateSignatureShape(numHashes, numGroups);
+    const { densify, packed = false, metadata = false, seed = 0, weights, hash = 'murmur3' } = options === null ? {} : options;
+    const hashName = _hashName(hash);
+    _validateOutputOptions(bitDepth, densify, packed, hashName);
+    if (!metadata && !BUILTIN_HASHES.includes(hashName)) {
+        // A bare TypedArray would not say which strategy made it
+        throw new Error(`Hash strategy '${hashName}' requires metadata: true, so that the signature records its name.`);
+    }
+    const groupSeeds = _deriveGroupSeeds(numGroups, seed);
+
+    if (hashName !== 'murmur3') {
+        if (weights !== undefined || elementHashSet instanceof Map) {
+            throw new Error(`Weighted signatures are not supported with hash '${hashName}'.`);
+        }
+        const bins = hashName === 'xxh64'
+            ? _createBins64(elementHashSet, numHashes, numGroups, bitDepth, groupSeeds)
+            : _createBinsWithStrategy(elementHashSet, numHashes, numGroups, bitDepth, groupSeeds, hash);
+        return _finishSignature(bins, numGroups, bitDepth, { densify, packed, metadata, seed, hash: hashName });
+    }
+    if (elementHashSet instanceof BigUint64Array) {
+        throw new Error("A BigUint64Array of element ids requires hash 'xxh64'.");
+    }
+
+    if (weights !== undefined || elementHashSet instanceof Map) {
+        let hashes = elementHashSet;
+        let elementWeights = weights;
+        if (weights === undefined) {
+            hashes = Array.from(elementHashSet.keys());
+            elementWeights = Array.from(elementHashSet.values());
+        } else if (elementHashSet instanceof Map || weights === null || typeof elementHashSet.length !== 'number' || weights.length !== elementHashSet.length) {
+            throw new Error("weights must be an array with the same length as the array of element hashes.");
+        }
+        const bins = _createWeightedBins(hashes, elementWeights, numHashes, numGroups, bitDepth, groupSeeds);
+        return _finishSignature(bins, numGroups, bitDepth, { densify, packed, metadata, seed, weighted: true });
+    }
+
+    if (elementHashSet instanceof Uint32Array) {
+        const TypedArrayConstructor = bitDepth === 32 ? Uint32Array : bitDepth === 16 ? Uint16Array : Uint8Array;
+        const bins = _createBinsFromHashes(elementHashSet, numHashes, numGroups, bitDepth, groupSeeds, new TypedArrayConstructor(numHashes));
+        return _finishSignature(bins, numGroups, bitDepth, { densify, packed, metadata, seed });
+    }
+
+    const M = numHashes / numGroups;
+
+    const signature = _createBins(numHashes, bitDepth);
+
+    for (const elementHash of elementHashSet) {
+         if (typeof elementHash !== 'number') continue;
+
+         for (var i = 0; i < numGroups; i++) {
+            const baseHash = murmurhash3_32_gc_single_int(elementHash, groupSeeds[i]);
+            const j = baseHash % M;
+            const h = _computeDenseHash(baseHash, bitDepth);
+            const signatureIndex = i * M + j;
+             if (h < signature[signatureIndex]) {
+                 signature[signatureIndex] = h;
+             }
+        }
+    }
+
+    return _finishSignature(signature, numGroups, bitDepth, { densify, packed, metadata, seed });
+}
+
+/**
+ * @private
+ * Fills bins for `hash: 'xxh64'`. The base hash of an element in group i is XXH64 of its 8 little-endian bytes
+ * seeded with the group seed; the bin is the base hash modulo M and the value its `_computeDenseHash64`,
+ * masked to the bit depth. 64-bit bins are a BigUint64Array with 0 as empty. 32-bit bins are a Uint32Array with
+ * 0 as empty, and keep signed minima as 'murmur3' does, so that every hash's 32-bit signatures are merged and
+ * estimated alike. Narrower bins start at the fill value, as in `_createBins`.
+ * @param {Iterable<bigint|number>} elements - Element ids (other types are skipped).
+ * @returns {Uint8Array|Uint16Array|Uint32Array|BigUint64Array} Bins for `_finishSignature`.
+ */
+function _createBins64(elements, numHashes, numGroups, bitDepth, groupSeeds) {
+    if (elements === null || elements === undefined || typeof elements[Symbol.iterator] !== 'function') {
+        throw new Error("Element ids must be an iterable.");
+    }
+    const M = numHashes / numGroups;
+    const bigM = BigInt(M);
+    const groupBases = _xxh64GroupBases(groupSeeds);
+    const mask = (1n << BigInt(bitDepth)) - 1n;
+    const bins = bitDepth === 64 ? new BigUint64Array(numHashes) : bitDepth === 32 ? new Uint32Array(numHashes) : _createBins(numHashes, bitDepth);
+
+    for (const element of elements) {
+        const id = _toElementId64(element);
+        if (id === null) continue;
+        const lane = _xxh64Lane(id);
+
+        for (let i = 0; i < numGroups; i++) {
+            const baseHash = _xxh64Element(lane, groupBases[i]);
+            const signatureIndex = i * M + Number(baseHash % bigM);
+            const dense = _computeDenseHash64(baseHash);
+            const current = bins[signatureIndex];
+            if (bitDepth === 64) {
+                if (current === 0n || dense < current) {
+                    bins[signatureIndex] = dense;
+                }
+            } else {
+                const masked = Number(dense & mask);
+                const h = masked === 0 ? 1 : masked;
+                if (bitDepth === 32 ? current === 0 || (h | 0) < (current | 0) : h < current) {
+                    bins[signatureIndex] = h;
+                }
+            }
+        }
+    }
+    return bins;
+}
+
+// Hash strategies: the per-group base hash and dense finalizer behind `generateGroupedOPHSignature`'s `hash` option.
+
+/**
+ * The default hash: MurmurHash3 of the element with the group seed, finalized by `_computeDenseHash`.
+ * Passing it is the same as the default `hash: 'murmur3'`, which generates with the built-in loops.
+ */
+export const murmur3Strategy = Object.freeze({
+    name: 'murmur3',
+    hashElement: (element, groupSeed) => typeof element === 'number' ? murmurhash3_32_gc_single_int(element, groupSeed) : null,
+    denseHash: (baseHash, bitDepth) => _computeDenseHash(baseHash, bitDepth) >>> 0
+});
+
+/**
+ * XXH32 of the element's 4 little-endian bytes, seeded with the group seed: the same as `xxhash32` of those bytes
+ * and as the reference XXH32 in other languages. Values are finalized by the default dense finalizer.
+ */
+export const xxh32Strategy = Object.freeze({
+    name: 'xxh32',
+    hashElement: (element, groupSeed) => typeof element === 'number' ? _xxh32SingleInt(element, groupSeed) : null
+});
+
+/**
+ * Simple tabulation hashing (Pătraşcu & Thorup, 2012): the element's four bytes index four tables of random
+ * words, which are XORed. Fast, 3-independent, and a good minwise hash in practice. Each group has its own
+ * tables, filled from `seed` and the group seed with MurmurHash3 and built on first use.
+ * @param {number} [seed=0] - Seed of the tables (a uint32), recorded in the strategy name.
+ * @returns {{name: string, hashElement: function(*, number): (number|null)}}
+ */
+export function createTabulationStrategy(seed = 0) {
+    if (typeof seed !== 'number' || !Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error("seed must be an integer between 0 and 4294967295.");
+    }
+    const tables = new Map(); // group seed -> 4 x 256 words
+    return Object.freeze({
+        name: `tabulation-${seed}`,
+        hashElement(element, groupSeed) {
+            if (typeof element !== 'number') return null;
+            let table = tables.get(groupSeed);
+            if (table === undefined) {
+                const tableSeed = murmurhash3_32_gc_single_int(groupSeed, seed);
+                table = new Uint32Array(1024);
+                for (let k = 0; k < 1024; k++) table[k] = murmurhash3_32_gc_single_int(k, tableSeed);
+                tables.set(groupSeed, table);
+            }
+            const x = element >>> 0;
+            return (table[x & 0xFF] ^ table[256 | ((x >>> 8) & 0xFF)] ^ table[512 | ((x >>> 16) & 0xFF)] ^ table[768 | (x >>> 24)]) >>> 0;
+        }
+    });
+}
+
+/**
+ * @private
+ * Validates the `hash` option and returns the name recorded with the signature.
+ * @param {string|object} hash - 'murmur3', 'xxh64' or a strategy object.
+ * @returns {string}
+ */
+function _hashName(hash) {
+    if (hash === 'murmur3' || hash === murmur3Strategy) return 'murmur3';
+    if (hash === 'xxh64') return 'xxh64';
+    if (hash === null || typeof hash !== 'object') {
+        throw new Error("hash must be 'murmur3', 'xxh64' or a hash strategy object.");
+    }
+    const { name, hashElement, denseHash } = hash;
+    if (typeof name !== 'string' || !HASH_NAME_PATTERN.test(name)) {
+        throw new Error("Hash strategy name must be 1 to 64 printable ASCII characters.");
+    }
+    if (BUILTIN_HASHES.includes(name)) {
+        throw new Error(`Hash strategy name '${name}' is reserved for the built-in hash.`);
+    }
+    if (typeof hashElement !== 'function' || (denseHash !== undefined && typeof denseHash !== 'function')) {
+        throw new Error(`Hash strategy '${name}' must have a hashElement function and an optional denseHash function.`);
+    }
+    return name;
+}
+
+/**
+ * @private
+ * Fills bins with a hash strategy. The base hash of an element in group i is `strategy.hashElement(element,
+ * groupSeed)`; the bin is the base hash modulo M and the value `strategy.denseHash(baseHash, bitDepth)`, or
+ * `_computeDenseHash` as a uint32 without one. 32-bit bins are a Uint32Array with 0 as empty and keep signed
+ * minima, as every hash does (see `_createBins64`); narrower bins start at the fill value, as in `_createBins`.
+ * @param {Iterable<*>} elements - Elements, passed to the strategy as they are; those it maps to null are skipped.
+ * @param {object} strategy - A strategy validated by `_hashName`.
+ * @returns {Uint8Array|Uint16Array|Uint32Array} Bins for `_finishSignature`.
+ */
+function _createBinsWithStrategy(elements, numHashes, numGroups, bitDepth, groupSeeds, strategy) {
+    if (elements === null || elements === undefined || typeof elements[Symbol.iterator] !== 'function') {
+        throw new Error("Element hashes must be an iterable.");
+    }
+    const M = numHashes / numGroups;
+    const maxValue = bitDepth === 32 ? 0xFFFFFFFF : (1 << bitDepth) - 1;
+    const bins = bitDepth === 32 ? new Uint32Array(numHashes) : _createBins(numHashes, bitDepth);
+    const hasDenseHash = strategy.denseHash !== undefined;
+    const baseHashes = new Array(numGroups);
+
+    for (const element of elements) {
+        // Every base hash is checked before any bin is written, so that a skipped element touches no group
+        let skipped = 0;
+        for (let i = 0; i < numGroups; i++) {
+            const baseHash = baseHashes[i] = strategy.hashElement(element, groupSeeds[i]);
+            if (baseHash === null) {
+                skipped++;
+            } else if (!Number.isInteger(baseHash) || baseHash < 0 || baseHash > 0xFFFFFFFF) {
+                throw new Error(`Hash strategy '${strategy.name}': hashElement must return an integer between 0 and 4294967295, or null.`);
+            }
+        }
+        if (skipped === numGroups) continue;
+        if (skipped !== 0) {
+            throw new Error(`Hash strategy '${strategy.name}': hashElement must return null for every group of an element or for none.`);
+        }
+        for (let i = 0; i < numGroups; i++) {
+            const baseHash = baseHashes[i];
+            const h = hasDenseHash ? strategy.denseHash(baseHash, bitDepth) : _computeDenseHash(baseHash, bitDepth) >>> 0;
+            if (!Number.isInteger(h) || h < 1 || h > maxValue) {
+                throw new Error(`Hash strategy '${strategy.name}': denseHash must return an integer between 1 and ${maxValue}.`);
+            }
+            const signatureIndex = i * M + baseHash % M;
+            const current = bins[signatureIndex];
+            if (bitDepth === 32 ? current === 0 || (h | 0) < (current | 0) : h < current) {
+                bins[signatureIndex] = h;
+            }
+        }
+    }
+    return bins;
+}
+
+/**
+ * Generates a signature from element hashes held in a Uint32Array, with an indexed loop and no
+ * intermediate Array. The result is identical to `generateGroupedOPHSignature` for the same hashes.
+ * Other array-likes of numbers are accepted and copied into a Uint32Array first.
+ *
+ * @param {Uint32Array|ArrayLike<number>} hashes - Element hashes.
+ * @param {number} numHashes - The total desired length of the signature (must be divisible by numGroups).
+ * @param {number} numGroups - The number of base hashes to compute per element (g).
+ * @param {number} [bitDepth=32] - Bit depth of the signature values (2, 4, 8, 16, or 32).
+ * @param {object} [options] - Optional options object
+ * @param {'rotation'|'optimal'} [options.densify] - As for `generateGroupedOPHSignature`.
+ * @param {boolean} [options.packed=false] - As for `generateGroupedOPHSignature`.
+ * @param {boolean} [options.metadata=false] - As for `generateGroupedOPHSignature`.
+ * @param {number} [options.seed=0] - As for `generateGroupedOPHSignature`.
+ * @param {Uint8Array|Uint16Array|Uint32Array} [options.out] - Buffer of `numHashes` values to write the signature
+ *   into and return, so that one buffer can be reused for many signatures: a Uint32Array for bitDepth 32,
+ *   a Uint16Array for 16, a Uint8Array below. Cannot be combined with `packed`.
+ * @param {boolean} [options.strict=false] - Throw on an element that is not an integer between 0 and 4294967295,
+ *   instead of skipping non-numbers. Elements of a Uint32Array always are.
+ * @returns {Uint8Array | Uint16Array | Uint32Array | PackedSignature | GroupedOPHSignature} The signature (`out`, if given, or a wrapper of it).
+ */
+export function generateFromHashes(hashes, numHashes, numGroups, bitDepth = 32, options = {}) {
+    _validateSignatureShape(numHashes, numGroups);
+    const { densify, packed = false, metadata = false, seed = 0, out, strict = false } = options === null ? {} : options;
+    _validateOutputOptions(bitDepth, densify, packed);
+    const groupSeeds = _deriveGroupSeeds(numGroups, seed);
+
+    const TypedArrayConstructor = bitDepth === 32 ? Uint32Array : bitDepth === 16 ? Uint16Array : Uint8Array;
+    if (out !== undefined) {
+        if (packed) {
+            throw new Error("out cannot be combined with packed.");
+        }
+        if (!(out instanceof TypedArrayConstructor) || out.length !== numHashes) {
+            throw new Error(`out must be a ${TypedArrayConstructor.name} of length ${numHashes} for bitDepth ${bitDepth}.`);
+        }
+    }
+
+    let elements = hashes;
+    if (!(hashes instanceof Uint32Array)) {
+        if (hashes === null || typeof hashes !== 'object' || typeof hashes.length !== 'number') {
+            throw new Error("hashes must be a Uint32Array or an array of numbers.");
+        }
+        elements = _toElementHashes(hashes, strict);
+    }
+
+    const bins = _createBinsFromHashes(elements, numHashes, numGroups, bitDepth, groupSeeds, out === undefined ? new TypedArrayConstructor(numHashes) : out);
+    return _finishSignature(bins, numGroups, bitDepth, { densify, packed, metadata, seed });
+}
+
+/**
+ * @private
+ * Copies the numbers of an array-like into a Uint32Array. Non-numbers are skipped, and other numbers
+ * wrap as they do in `murmurhash3_32_gc_single_int`; in strict mode both throw instead.
+ */
+function _toElementHashes(hashes, strict) {
+    const len = hashes.length;
+    const elements = new Uint32Array(len);
+    let count = 0;
+    for (let n = 0; n < len; n++) {
+        const elementHash = hashes[n];
+        if (strict && !(Number.isInteger(elementHash) && elementHash >= 0 && elementHash <= 0xFFFFFFFF)) {
+            throw new Error(`hashes[${n}] must be an integer between 0 and 4294967295.`);
+        }
+        if (typeof elementHash === 'number') elements[count++] = elementHash;
+    }
+    return count === len ? elements : elements.subarray(0, count);
+}
+
+/**
+ * @private
+ * Fills typed bins from a Uint32Array of element hashes, in WebAssembly when a backend is available.
+ * 32-bit bins start at 0 and keep the smallest value as a signed integer, which is how `_createBins`
+ * bins compare the signed results of `_computeDenseHash`; narrower bins start at the fill value.
+ * @param {Uint32Array} hashes - Element hashes.
+ * @param {Uint8Array|Uint16Array|Uint32Array} bins - numHashes bins of the bit depth's type, overwritten.
+ * @returns {Uint8Array|Uint16Array|Uint32Array} `bins`, ready for `_finishSignature`.
+ */
+function _createBinsFromHashes(hashes, numHashes, numGroups, bitDepth, groupSeeds, bins) {
+    if (hashes.length >= WASM_MIN_ELEMENTS && getBackend() !== 'js') {
+        return _createBinsWasm(hashes, numHashes, numGroups, bitDepth, groupSeeds, bins);
+    }
+    const M = numHashes / numGroups;
+    const len = hashes.length;
+
+    if (bitDepth === 32) {
+        bins.fill(0);
+        for (let n = 0; n < len; n++) {
+            const elementHash = hashes[n];
+            for (let i = 0; i < numGroups; i++) {
+                const baseHash = murmurhash3_32_gc_single_int(elementHash, groupSeeds[i]);
+                const h = _computeDenseHash(baseHash, 32);
+                const signatureIndex = i * M + baseHash % M;
+                const current = bins[signatureIndex] | 0;
+                if (current === 0 || h < current) {
+                    bins[signatureIndex] = h;
+                }
+            }
+        }
+        return bins;
+    }
+
+    bins.fill(_fillValue(bitDepth));
+    for (let n = 0; n < len; n++) {
+        const elementHash = hashes[n];
+        for (let i = 0; i < numGroups; i++) {
+            const baseHash = murmurhash3_32_gc_single_int(elementHash, groupSeeds[i]);
+            const h = _computeDenseHash(baseHash, bitDepth);
+            const signatureIndex = i * M + baseHash % M;
+            if (h < bins[signatureIndex]) {
+                bins[signatureIndex] = h;
+            }
+        }
+    }
+    return bins;
+}
+
+/**
+ * @private
+ * Uniform value in (0, 1) derived from hashing `key` with `seed`.
+ */
+function _unitUniform(key, seed) {
+    return (murmurhash3_32_gc_single_int(key, seed) + 0.5) / 4294967296;
+}
+
+/**
+ * @private
+ * Fills bins for a weighted set with Improved Consistent Weighted Sampling (Ioffe, 2010) in the grouped-bin
+ * layout: in every group an element goes to bin `baseHash % M`, as in `_createBins`, and ICWS picks each
+ * bin's sample among the elements routed to it. The random variables come from the element's group hash,
+ * so two weighted sets store the same value in a bin with probability equal to the weighted Jaccard
+ * similarity of the elements that reach it. This costs O(n * numGroups), like unweighted generation.
+ * Empty bins are tracked by their sample, not by value, and left 0: a sample's dense value may be all ones.
+ * @param {ArrayLike<number>} hashes - Element hashes (non-numbers are skipped).
+ * @param {ArrayLike<number>} weights - Weight of each element; 0 leaves the element out.
+ * @returns {Uint8Array|Uint16Array|Uint32Array} Finished bins, 0 where empty.
+ */
+function _createWeightedBins(hashes, weights, numHashes, numGroups, bitDepth, groupSeeds) {
+    const M = numHashes / numGroups;
+    const TypedArrayConstructor = bitDepth === 32 ? Uint32Array : bitDepth === 16 ? Uint16Array : Uint8Array;
+    const bins = new TypedArrayConstructor(numHashes);
+    const bestLogA = new Float64Array(numHashes).fill(Infinity);
+
+    const len = hashes.length;
+    for (let n = 0; n < len; n++) {
+        const elementHash = hashes[n];
+        const weight = weights[n];
+        if (typeof elementHash !== 'number') continue;
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error("weights must be non-negative finite numbers.");
+        }
+        if (weight === 0) continue;
+        const logWeight = Math.log(weight);
+
+        for (let i = 0; i < numGroups; i++) {
+            const baseHash = murmurhash3_32_gc_single_int(elementHash, groupSeeds[i]);
+            // r, c ~ Gamma(2, 1) and beta ~ Uniform(0, 1), fixed per element and group
+            const r = -Math.log(_unitUniform(0, baseHash) * _unitUniform(1, baseHash));
+            const c = -Math.log(_unitUniform(2, baseHash) * _unitUniform(3, baseHash));
+            const beta = _unitUniform(4, baseHash);
+            const t = Math.floor(logWeight / r + beta);
+            const logA = Math.log(c) - r * (t - beta + 1);
+
+            const signatureIndex = i * M + baseHash % M;
+            if (logA < bestLogA[signatureIndex]) {
+                bestLogA[signatureIndex] = logA;
+                // The sample is the pair (element, t)
+                const sampleHash = murmurhash3_32_gc_single_int(t, murmurhash3_32_gc_single_int(5, baseHash));
+                bins[signatureIndex] = _computeDenseHash(sampleHash, bitDepth);
+            }
+        }
+    }
+    return bins;
+}
+
+/**
+ * @private
+ * Validates numHashes and numGroups for generating or indexing signatures.
+ */
+function _validateSignatureShape(numHashes, numGroups) {
+    if (typeof numHashes !== 'number' || numHashes <= 0 || !Number.isInteger(numHashes)) {
+         throw new Error("numHashes must be a positive integer.");
+    }
+    if (typeof numGroups !== 'number' || numGroups <= 0 || !Number.isInteger(numGroups)) {
+         throw new Error("numGroups must be a positive integer.");
+    }
+    if (numHashes % numGroups !== 0) {
+        throw new Error("numHashes must be divisible by numGroups.");
+    }
+}
+
+/**
+ * @private
+ * Validates the options that shape a finished signature (see `_finishSignature`).
+ */
+function _validateOutputOptions(bitDepth, densify, packed, hash = 'murmur3') {
+    if (bitDepth === 64 && hash !== 'xxh64') {
+        throw new Error("bitDepth 64 requires hash 'xxh64'.");
+    }
+    if (![2, 4, 8, 16, 32, 64].includes(bitDepth)) {
+        throw new Error(hash === 'xxh64' ? "bitDepth must be 2, 4, 8, 16, 32, or 64." : "bitDepth must be 2, 4, 8, 16, or 32.");
+    }
+    if (densify !== undefined && densify !== 'rotation' && densify !== 'optimal') {
+        throw new Error("densify must be 'rotation' or 'optimal'.");
+    }
+    if (packed && bitDepth !== 2 && bitDepth !== 4) {
+        throw new Error("packed is only supported for bitDepth 2 or 4.");
+    }
+}
+
+/**
+ * @private
+ * Allocates the bins of a signature, each holding the "empty" fill value for the bit depth.
+ * 32-bit bins are a plain Array filled with Infinity so that every uint32 value compares lower.
+ * @param {number} numHashes - Signature length.
+ * @param {number} bitDepth - Bit depth (2, 4, 8, 16, or 32).
+ * @returns {Array<number>|Uint8Array|Uint16Array}
+ */
+function _createBins(numHashes, bitDepth) {
+    if (bitDepth === 32) {
+        return new Array(numHashes).fill(_fillValue(bitDepth));
+    }
+    const TypedArrayConstructor = bitDepth === 16 ? Uint16Array : Uint8Array;
+    return new TypedArrayConstructor(numHashes).fill(_fillValue(bitDepth));
+}
+
+/**
+ * @private
+ * Fill value marking an empty bin at a bit depth.
+ */
+function _fillValue(bitDepth) {
+    if (bitDepth === 8) return 0xFF;
+    if (bitDepth === 4) return 0x0F;
+    if (bitDepth === 2) return 0x03;
+    if (bitDepth === 16) return 0xFFFF;
+    return Infinity;
+}
+
+/**
+ * @private
+ * Turns filled bins into the returned signature: empty bins become 0, then optional densification,
+ * conversion to Uint32Array / PackedSignature and wrapping. Modifies `bins` in place.
+ * @param {Array<number>|Uint8Array|Uint16Array|Uint32Array|BigUint64Array} bins - Bins from `_createBins`,
+ *   `_createBinsFromHashes`, `_createBins64` or `_createWeightedBins` after all elements were added.
+ * @param {number} numGroups - Number of groups (g).
+ * @param {number} bitDepth - Bit depth (2, 4, 8, 16, 32, or 64).
+ * @param {object} options - Validated `densify`, `packed`, `metadata`, `seed` and `hash` options, and `weighted`.
+ */
+function _finishSignature(bins, numGroups, bitDepth, options) {
+    const { densify, packed, metadata, seed, weighted = false, hash = 'murmur3' } = options;
+    const fillVal = _fillValue(bitDepth);
+
+    const sigLen = bins.length;
+    // Weighted bins are already 0 where empty, and may hold the fill value as a sample
+    if (!weighted) {
+        for (let k = 0; k < sigLen; k++) {
+            if (bins[k] === fillVal) {
+                bins[k] = 0;
+            }
+        }
+    }
+
+    if (densify !== undefined) {
+        _densifySignature(bins, numGroups, sigLen / numGroups, bitDepth, densify, seed);
+    }
+
+    let signature = bins;
+    if (bitDepth === 32 && !(bins instanceof Uint32Array)) {
+        signature = new Uint32Array(bins);
+    } else if (packed) {
+        signature = PackedSignature.from(bins, bitDepth);
+    }
+
+    if (metadata) {
+        return new GroupedOPHSignature(signature, { numGroups, bitDepth, seed, densify: densify === undefined ? null : densify, weighted, hash });
+    }
+    return signature;
+}
+
+// WebAssembly backend: generation from a Uint32Array of element hashes and SignatureMatrix scans run in
+// a small module, with a SIMD build where the engine supports it. Its source is wasm/kernels.wat and
+// wasm/kernels-simd.wat, and its bytes are generated into WASM_MODULES below. Results are identical to the
+// JavaScript path, which is used wherever WebAssembly cannot be compiled from bytes (e.g. Cloudflare Workers).
+
+const WASM_PAGE_BYTES = 65536;
+const WASM_MIN_ELEMENTS = 32; // Smaller sets are generated faster in JavaScript than copied into the module
+const BACKENDS = ['auto', 'js', 'wasm', 'wasm-simd'];
+
+let _requestedBackend = 'auto';
+const _wasmModules = {}; // 'wasm' / 'wasm-simd' -> WebAssembly.Module, or null if it cannot be compiled here
+let _generator = null; // { kind, instance } used for generation
+
+/**
+ * Selects the implementation used for signature generation and `SignatureMatrix` scans.
+ * 'auto' (the default) uses the SIMD WebAssembly module if the engine supports it, else the scalar
+ * module, else JavaScript. Every backend returns bit-for-bit identical signatures and scores.
+ * @param {'auto'|'js'|'wasm'|'wasm-simd'} backend - Backend to use.
+ */
+export function setBackend(backend) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error("backend must be 'auto', 'js', 'wasm', or 'wasm-simd'.");
+    }
+    if ((backend === 'wasm' || backend === 'wasm-simd') && _wasmModule(backend) === null) {
+        throw new Error(`The '${backend}' backend is not available in this environment.`);
+    }
+    _requestedBackend = backend;
+}
+
+/**
+ * @returns {'js'|'wasm'|'wasm-simd'} The backend currently in use.
+ */
+export function getBackend() {
+    if (_requestedBackend === 'js') return 'js';
+    if (_requestedBackend !== 'auto') return _requestedBackend;
+    if (_wasmModule('wasm-simd') !== null) return 'wasm-simd';
+    return _wasmModule('wasm') !== null ? 'wasm' : 'js';
+}
+
+/**
+ * @private
+ * Compiles (once) the module for a backend, or returns null where WebAssembly is missing, lacks SIMD,
+ * or may not be compiled at run time.
+ */
+function _wasmModule(kind) {
+    if (_wasmModules[kind] === undefined) {
+        _wasmModules[kind] = null;
+        if (typeof WebAssembly === 'object') {
+            try {
+                const bytes = _hexBytes(WASM_MODULES[kind]);
+                if (WebAssembly.validate(bytes)) {
+                    _wasmModules[kind] = new WebAssembly.Module(bytes);
+                }
+            } catch {
+                // Keep null: code generation is disallowed here
+            }
+        }
+    }
+    return _wasmModules[kind];
+}
+
+/**
+ * @private
+ * A new instance of the current backend's module, with its own memory, or null for JavaScript.
+ */
+function _wasmInstance() {
+    const kind = getBackend();
+    if (kind === 'js') return null;
+    return { kind, exports: new WebAssembly.Instance(_wasmModule(kind)).exports };
+}
+
+/**
+ * @private
+ * Grows a module's memory to at least `bytes`. Growing detaches views of the old buffer.
+ */
+function _wasmReserve(exports, bytes) {
+    const missing = bytes - exports.memory.buffer.byteLength;
+    if (missing > 0) {
+        exports.memory.grow(Math.ceil(missing / WASM_PAGE_BYTES));
+    }
+}
+
+/**
+ * @private
+ * Rounds a byte count up to a multiple of 16, so that every region starts v128-aligned.
+ */
+function _align16(bytes) {
+    return (bytes + 15) & ~15;
+}
+
+/**
+ * @private
+ * `_createBinsFromHashes` in WebAssembly, with the same result.
+ * @param {Uint32Array} hashes - Element hashes.
+ * @param {Uint8Array|Uint16Array|Uint32Array} bins - Bins to copy the result into.
+ * @returns {Uint8Array|Uint16Array|Uint32Array} `bins`, ready for `_finishSignature`.
+ */
+function _createBinsWasm(hashes, numHashes, numGroups, bitDepth, groupSeeds, bins) {
+    const kind = getBackend();
+    if (_generator === null || _generator.kind !== kind) {
+        _generator = _wasmInstance();
+    }
+    const { exports } = _generator;
+    const binBytes = bitDepth === 32 ? 4 : bitDepth === 16 ? 2 : 1;
+    const scratchOffset = _align16(numGroups * 4);
+    const binsOffset = scratchOffset + 32;
+    const hashesOffset = binsOffset + _align16(numHashes * binBytes);
+    _wasmReserve(exports, hashesOffset + hashes.length * 4);
+
+    const buffer = exports.memory.buffer;
+    new Uint32Array(buffer, 0, numGroups).set(groupSeeds);
+    new Uint32Array(buffer, hashesOffset, hashes.length).set(hashes);
+    const moduleBins = new bins.constructor(buffer, binsOffset, numHashes).fill(bitDepth === 32 ? 0 : _fillValue(bitDepth));
+    const mask = bitDepth === 32 ? -1 : _fillValue(bitDepth);
+
+    exports.generate(hashesOffset, hashes.length, 0, numGroups, numHashes / numGroups, mask, binsOffset, binBytes, scratchOffset);
+    bins.set(moduleBins);
+    return bins;
+}
+
+// The exports of each module (memory, generate and compare) are documented in its .wat source.
+
+// Generated by scripts/build-wasm.js from wasm/kernels.wat and wasm/kernels-simd.wat; do not edit by hand.
+const WASM_MODULES = {
+    'wasm': '0061736d0100000001170260097f7f7f7f7f7f7f7f7f0060077f7f7f7f7f7f7f0003030200010503010001071f03066d'
+        + '656d6f727902000867656e6572617465000007636f6d7061726500010aee0502e80201097f4100210902400340200920'
+        + '014f0d01200020094102746a28020041d1daf8e47c6c410f774193eb9cdc016c210a4100210b02400340200b20034f0d'
+        + '012002200b4102746a280200200a73410d7741056c41e4d6d1b27e6a410473210c200c200c41107673210c200c41eb94'
+        + 'afaf786c210c200c200c410d7673210c200c41b5dcca957c6c210c200c200c41107673210c200c210f200f200f411076'
+        + '73210f200f41eb94afaf786c210f200f200f410d7673210f200f41b5dcca957c6c210f200f200f41107673210f200f20'
+        + '0571210f200f4101200f1b210f200b20046c200c2004706a211020074104460440200620104102746a22102802002111'
+        + '201145200f2011487204402010200f3602000b0520074102460440200620104101746a2110200f20102f010049044020'
+        + '10200f3b01000b05200620106a2110200f20102d00004904402010200f3a00000b0b0b200b41016a210b0c000b0b2009'
+        + '41016a21090c000b0b0b810301087f4100210702400340200720024f0d012001200720046c20056c6a21084100210941'
+        + '00210c4100210d4100210e2005410446044002400340200920034f0d01200020094102746a280200210a200820094102'
+        + '746a280200210b200c200a200b46200a410047716a210c200d200a200b724100476a210d200e200a410047200b410047'
+        + '716a210e200941016a21090c000b0b052005410246044002400340200920034f0d01200020094101746a2f0100210a20'
+        + '0820094101746a2f0100210b200c200a200b46200a410047716a210c200d200a200b724100476a210d200e200a410047'
+        + '200b410047716a210e200941016a21090c000b0b0502400340200920034f0d01200020094100746a2d0000210a200820'
+        + '094100746a2d0000210b200c200a200b46200a410047716a210c200d200a200b724100476a210d200e200a410047200b'
+        + '410047716a210e200941016a21090c000b0b0b0b20062007410c6c6a2209200c3602002009200d3602042009200e3602'
+        + '08200741016a21070c000b0b0b',
+    'wasm-simd': '0061736d0100000001170260097f7f7f7f7f7f7f7f7f0060077f7f7f7f7f7f7f0003030200010503010001071f03066d'
+        + '656d6f727902000867656e6572617465000007636f6d7061726500010aa20c02890402097f027b410021090240034020'
+        + '0920014f0d01200020094102746a28020041d1daf8e47c6c410f774193eb9cdc016c210a4100210b02400340200b2003'
+        + '4f0d012002200b4102746afd000000200afd11fd5121122012410dfdab0120124113fdad01fd504105fd11fdb50141e4'
+        + 'd6d1b27efd11fdae014104fd11fd512112201220124110fdad01fd512112201241eb94afaf78fd11fdb5012112201220'
+        + '12410dfdad01fd512112201241b5dcca957cfd11fdb5012112201220124110fdad01fd51211220122113201320134110'
+        + 'fdad01fd512113201341eb94afaf78fd11fdb501211320132013410dfdad01fd512113201341b5dcca957cfd11fdb501'
+        + '2113201320134110fdad01fd51211320132005fd11fd4e2113201320134100fd11fd37fdb101211320082012fd0b0000'
+        + '20082013fd0b00102003200b6b210e200e4104200e4104491b210e4100210d02400340200d200e4f0d012008200d4102'
+        + '746a2210280200210c2010280210210f200b200d6a20046c200c2004706a211020074104460440200620104102746a22'
+        + '102802002111201145200f2011487204402010200f3602000b0520074102460440200620104101746a2110200f20102f'
+        + '01004904402010200f3b01000b05200620106a2110200f20102d00004904402010200f3a00000b0b0b200d41016a210d'
+        + '0c000b0b200b41046a210b0c000b0b200941016a21090c000b0b0b940802087f057b4100210702400340200720024f0d'
+        + '012001200720046c20056c6a2108410021094100210c4100210d4100210e200541044604404100fd11210f4100fd1121'
+        + '104100fd11211102400340200941046a20034b0d01200020094102746afd0000002112200820094102746afd00000021'
+        + '13200f20122013fd3720124100fd11fd38fd4efdb101210f201020122013fd504100fd11fd38fdb10121102011201241'
+        + '00fd11fd3820134100fd11fd38fd4efdb1012111200941046a21090c000b0b200ffd1b00200ffd1b016a200ffd1b026a'
+        + '200ffd1b036a210c2010fd1b002010fd1b016a2010fd1b026a2010fd1b036a210d2011fd1b002011fd1b016a2011fd1b'
+        + '026a2011fd1b036a210e02400340200920034f0d01200020094102746a280200210a200820094102746a280200210b20'
+        + '0c200a200b46200a410047716a210c200d200a200b724100476a210d200e200a410047200b410047716a210e20094101'
+        + '6a21090c000b0b05200541024604404100fd11210f4100fd1121104100fd11211102400340200941086a20034b0d0120'
+        + '0020094101746afd0000002112200820094101746afd0000002113200f20122013fd2d20124100fd11fd2efd4efd7efd'
+        + 'b101210f201020122013fd504100fd11fd2efd7efdb1012110201120124100fd11fd2e20134100fd11fd2efd4efd7efd'
+        + 'b1012111200941086a21090c000b0b200ffd1b00200ffd1b016a200ffd1b026a200ffd1b036a210c2010fd1b002010fd'
+        + '1b016a2010fd1b026a2010fd1b036a210d2011fd1b002011fd1b016a2011fd1b026a2011fd1b036a210e024003402009'
+        + '20034f0d01200020094101746a2f0100210a200820094101746a2f0100210b200c200a200b46200a410047716a210c20'
+        + '0d200a200b724100476a210d200e200a410047200b410047716a210e200941016a21090c000b0b054100fd11210f4100'
+        + 'fd1121104100fd11211102400340200941106a20034b0d01200020094100746afd0000002112200820094100746afd00'
+        + '00002113200f20122013fd2320124100fd11fd24fd4efd7cfd7efdb101210f201020122013fd504100fd11fd24fd7cfd'
+        + '7efdb1012110201120124100fd11fd2420134100fd11fd24fd4efd7cfd7efdb1012111200941106a21090c000b0b200f'
+        + 'fd1b00200ffd1b016a200ffd1b026a200ffd1b036a210c2010fd1b002010fd1b016a2010fd1b026a2010fd1b036a210d'
+        + '2011fd1b002011fd1b016a2011fd1b026a2011fd1b036a210e02400340200920034f0d01200020094100746a2d000021'
+        + '0a200820094100746a2d0000210b200c200a200b46200a410047716a210c200d200a200b724100476a210d200e200a41'
+        + '0047200b410047716a210e200941016a21090c000b0b0b0b20062007410c6c6a2209200c3602002009200d3602042009'
+        + '200e360208200741016a21070c000b0b0b'
+};
+// End of generated WebAssembly.
+
+/**
+ * @private
+ * The bytes of a hex string.
+ */
+function _hexBytes(hex) {
+    const bytes = new Uint8Array(hex.length >>> 1);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(2 * i, 2 * i + 2), 16);
+    }
+    return bytes;
+}
+
+const BUILDER_BIT_DEPTHS = [2, 4, 8, 16, 32];
+
+/**
+ * Builds a signature incrementally, for elements that arrive in chunks or from several workers.
+ * Bin minima are tracked for every bit depth at once, so `finalize(bitDepth)` returns exactly what
+ * `generateGroupedOPHSignature` would for the same elements, whichever depth is chosen at the end.
+ */
+export class SignatureBuilder {
+    /**
+     * @param {number} numHashes - Total signature length (must be divisible by numGroups).
+     * @param {number} numGroups - Number of base hashes per element (g).
+     * @param {object} [options] - Optional options object
+     * @param {number} [options.seed=0] - Hash family, as for `generateGroupedOPHSignature`.
+     */
+    constructor(numHashes, numGroups, options = {}) {
+        _validateSignatureShape(numHashes, numGroups);
+        const { seed = 0 } = options === null ? {} : options;
+
+        this.numHashes = numHashes;
+        this.numGroups = numGroups;
+        this.seed = seed;
+        this._groupSeeds = _deriveGroupSeeds(numGroups, seed);
+        this._bins = {};
+        for (const bitDepth of BUILDER_BIT_DEPTHS) {
+            this._bins[bitDepth] = bitDepth === 32
+                ? new Float64Array(numHashes).fill(_fillValue(32))
+                : _createBins(numHashes, bitDepth);
+        }
+    }
+
+    /**
+     * Adds one element hash. Non-numbers are skipped, as in `generateGroupedOPHSignature`.
+     * @param {number} elementHash - Numerical element hash.
+     * @returns {SignatureBuilder} this
+     */
+    add(elementHash) {
+        if (typeof elementHash !== 'number') return this;
+
+        const M = this.numHashes / this.numGroups;
+        const bins2 = this._bins[2];
+        const bins4 = this._bins[4];
+        const bins8 = this._bins[8];
+        const bins16 = this._bins[16];
+        const bins32 = this._bins[32];
+        for (let i = 0; i < this.numGroups; i++) {
+            const baseHash = murmurhash3_32_gc_single_int(elementHash, this._groupSeeds[i]);
+            const index = i * M + baseHash % M;
+            // Same values as _computeDenseHash at each depth: mix once, then mask.
+            const mixed = _computeDenseHash(baseHash, 32);
+            const h2 = (mixed & 0x03) || 1;
+            const h4 = (mixed & 0x0F) || 1;
+            const h8 = (mixed & 0xFF) || 1;
+            const h16 = (mixed & 0xFFFF) || 1;
+            if (h2 < bins2[index]) bins2[index] = h2;
+            if (h4 < bins4[index]) bins4[index] = h4;
+            if (h8 < bins8[index]) bins8[index] = h8;
+            if (h16 < bins16[index]) bins16[index] = h16;
+            if (mixed < bins32[index]) bins32[index] = mixed;
+        }
+        return this;
+    }
+
+    /**
+     * Adds every element hash of an iterable.
+     * @param {Iterable<number>} elementHashes - Numerical element hashes.
+     * @returns {SignatureBuilder} this
+     */
+    addAll(elementHashes) {
+        for (const elementHash of elementHashes) {
+            this.add(elementHash);
+        }
+        return this;
+    }
+
+    /**
+     * Folds another builder's elements into this one (element-wise minimum, valid for OPH),
+     * as if they had been added here. The other builder is left unchanged.
+     * @param {SignatureBuilder} other - Builder with the same numHashes, numGroups and seed.
+     * @returns {SignatureBuilder} this
+     */
+    merge(other) {
+        if (!(other instanceof SignatureBuilder)) {
+            throw new Error("Can only merge another SignatureBuilder.");
+        }
+        for (const field of ['numHashes', 'numGroups', 'seed']) {
+            if (this[field] !== other[field]) {
+                throw new Error(`Cannot merge builders: ${field} differs (${this[field]} vs ${other[field]}).`);
+            }
+        }
+        for (const bitDepth of BUILDER_BIT_DEPTHS) {
+            const bins = this._bins[bitDepth];
+            const otherBins = other._bins[bitDepth];
+            for (let k = 0; k < this.numHashes; k++) {
+                if (otherBins[k] < bins[k]) bins[k] = otherBins[k];
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Produces the signature of everything added so far. The builder can keep accepting elements.
+     * @param {number} [bitDepth=32] - Bit depth (2, 4, 8, 16, or 32).
+     * @param {object} [options] - `densify`, `packed` and `metadata`, as for `generateGroupedOPHSignature`.
+     * @returns {Uint8Array | Uint16Array | Uint32Array | PackedSignature | GroupedOPHSignature}
+     */
+    finalize(bitDepth = 32, options = {}) {
+        const { densify, packed = false, metadata = false } = options === null ? {} : options;
+        _validateOutputOptions(bitDepth, densify, packed);
+        return _finishSignature(this._bins[bitDepth].slice(), this.numGroups, bitDepth, { densify, packed, metadata, seed: this.seed });
+    }
+}
+
+/**
+ * Merges two signatures of the same bit depth into the signature of the union of their sets
+ * (element-wise minimum, with 0 meaning an empty bin). The result is identical to generating a
+ * signature from the union directly.
+ *
+ * Densified signatures cannot be merged: their borrowed values are not bin minima.
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} signatureA - First signature.
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} signatureB - Second signature,
+ *   of the same type, length and bit depth.
+ * @returns {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} The merged signature, of the same type.
+ */
+export function mergeSignatures(signatureA, signatureB) {
+    if (!signatureA || !signatureB || signatureA.length !== signatureB.length) {
+        throw new Error("Signatures must be non-null and of equal length.");
+    }
+
+    if (signatureA instanceof GroupedOPHSignature || signatureB instanceof GroupedOPHSignature) {
+        if (!(signatureA instanceof GroupedOPHSignature && signatureB instanceof GroupedOPHSignature)) {
+            throw new Error("Cannot merge a GroupedOPHSignature with a raw signature.");
+        }
+        _assertCompatibleSignatures(signatureA, signatureB);
+        if (signatureA.bitDepth !== signatureB.bitDepth) {
+            throw new Error(`Cannot merge signatures of different bit depths (${signatureA.bitDepth} vs ${signatureB.bitDepth}).`);
+        }
+        if (signatureA.densify !== null) {
+            throw new Error("Densified signatures cannot be merged.");
+        }
+        if (signatureA.weighted) {
+            throw new Error("Weighted signatures cannot be merged.");
+        }
+        const merged = mergeSignatures(signatureA.values, signatureB.values);
+        return new GroupedOPHSignature(merged, {
+            numGroups: signatureA.numGroups,
+            bitDepth: signatureA.bitDepth,
+            seed: signatureA.seed,
+            version: signatureA.version,
+            hash: signatureA.hash
+        });
+    }
+
+    if (signatureA instanceof PackedSignature || signatureB instanceof PackedSignature) {
+        if (!(signatureA instanceof PackedSignature && signatureB instanceof PackedSignature) || signatureA.bitDepth !== signatureB.bitDepth) {
+            throw new Error("Packed signatures can only be merged with packed signatures of the same bit depth.");
+        }
+        return PackedSignature.from(mergeSignatures(signatureA.unpack(), signatureB.unpack()), signatureA.bitDepth);
+    }
+
+    if (getBitDepth(signatureA) === null || signatureA.constructor !== signatureB.constructor) {
+        throw new Error("Signatures must be TypedArrays of the same type to be merged.");
+    }
+    return _mergeMinima(signatureA, signatureB, signatureA instanceof Uint32Array);
+}
+
+/**
+ * @private
+ * Element-wise minimum of two value arrays of the same type, with 0 as empty.
+ * @param {boolean} signed - Compare as int32, as generation does for 32-bit minima (see _computeDenseHash).
+ */
+function _mergeMinima(valuesA, valuesB, signed) {
+    const merged = new valuesA.constructor(valuesA.length);
+    const len = valuesA.length;
+    if (valuesA instanceof BigUint64Array) {
+        for (let i = 0; i < len; i++) {
+            const valA = valuesA[i];
+            const valB = valuesB[i];
+            merged[i] = valA === 0n ? valB : (valB === 0n || valA < valB ? valA : valB);
+        }
+        return merged;
+    }
+    for (let i = 0; i < len; i++) {
+        const valA = valuesA[i];
+        const valB = valuesB[i];
+        merged[i] = valA === 0 ? valB : (valB === 0 || (signed ? (valA | 0) < (valB | 0) : valA < valB) ? valA : valB);
+    }
+    return merged;
+}
+
+/**
+ * Applies the text normalization steps of `shingleHashes`, in a fixed order.
+ * @private
+ */
+function _normalizeText(text, { nfkc = true, caseFold = true, stripPunctuation = false, collapseWhitespace = true }) {
+    if (nfkc) text = text.normalize('NFKC');
+    if (caseFold) text = text.toLowerCase();
+    if (stripPunctuation) text = text.replace(/\p{P}/gu, '');
+    if (collapseWhitespace) text = text.replace(/\s+/g, ' ').trim();
+    return text;
+}
+
+/**
+ * Matches the characters of the `\s` regular expression class, used to split words.
+ * @private
+ */
+function _isWhitespace(code) {
+    return (code >= 0x09 && code <= 0x0D) || code === 0x20 || code === 0xA0 || code === 0x1680 ||
+        (code >= 0x2000 && code <= 0x200A) || code === 0x2028 || code === 0x2029 || code === 0x202F ||
+        code === 0x205F || code === 0x3000 || code === 0xFEFF;
+}
+
+/**
+ * Index of the code point after the one starting at `i` (surrogate pairs are not split).
+ * @private
+ */
+function _nextCodePoint(text, i) {
+    const code = text.charCodeAt(i);
+    if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+        const next = text.charCodeAt(i + 1);
+        if (next >= 0xDC00 && next <= 0xDFFF) return i + 2;
+    }
+    return i + 1;
+}
+
+/**
+ * Resolves the `hash` option to a function hashing `text.slice(start, end)`.
+ * The built-in hashes read the range in place; a custom function receives the substring.
+ * @private
+ */
+function _textRangeHash(hash, hashSeed) {
+    if (hash === 'fnv1a') {
+        return (text, start, end) => _hashFNV1aUtf8Range(text, start, end);
+    }
+    if (hash === 'murmur3') {
+        return (text, start, end) => _murmurhash3_32_utf8_range(text, start, end, hashSeed);
+    }
+    if (typeof hash === 'function') {
+        return (text, start, end) => hash(text.slice(start, end));
+    }
+    throw new Error("hash must be 'fnv1a', 'murmur3', or a function.");
+}
+
+/**
+ * Character k-grams (in code points) of normalized text. A text shorter than `size` is one shingle.
+ * @private
+ */
+function* _charShingleHashes(text, size, rangeHash) {
+    const len = text.length;
+    if (len === 0) return;
+
+    let start = 0;
+    let end = 0;
+    for (let n = 0; n < size && end < len; n++) {
+        end = _nextCodePoint(text, end);
+    }
+    yield rangeHash(text, start, end);
+    while (end < len) {
+        start = _nextCodePoint(text, start);
+        end = _nextCodePoint(text, end);
+        yield rangeHash(text, start, end);
+    }
+}
+
+/**
+ * Word n-grams of normalized text: the range from the first word's start to the last word's end,
+ * so the separating whitespace is part of the shingle. Fewer than `size` words form one shingle.
+ * @private
+ */
+function* _wordShingleHashes(text, size, rangeHash) {
+    const len = text.length;
+    const starts = new Array(size); // Ring buffer of the last `size` word starts
+    let count = 0;
+    let i = 0;
+    while (i < len) {
+        while (i < len && _isWhitespace(text.charCodeAt(i))) i++;
+        if (i >= len) break;
+        const wordStart = i;
+        while (i < len && !_isWhitespace(text.charCodeAt(i))) i++;
+
+        starts[count % size] = wordStart;
+        count++;
+        if (count >= size) {
+            yield rangeHash(text, starts[count % size], i);
+        }
+    }
+    if (count > 0 && count < size) {
+        yield rangeHash(text, starts[0], i);
+    }
+}
+
+/**
+ * Normalizes a text and yields the hash of each of its shingles, without creating the shingle substrings
+ * (unless `hash` is a custom function). Repeated shingles are yielded each time they occur.
+ *
+ * @param {string} text - The text to shingle.
+ * @param {object} [options] - Optional options object
+ * @param {'char'|'word'} [options.shingle='char'] - Character k-grams or word n-grams.
+ * @param {number} [options.size] - Shingle size: characters (code points) per k-gram, default 5, or words per n-gram, default 3.
+ * @param {boolean} [options.nfkc=true] - Apply Unicode NFKC normalization.
+ * @param {boolean} [options.caseFold=true] - Lowercase the text.
+ * @param {boolean} [options.stripPunctuation=false] - Remove Unicode punctuation (`\p{P}`).
+ * @param {boolean} [options.collapseWhitespace=true] - Replace whitespace runs with one space and trim.
+ * @param {'fnv1a'|'murmur3'|function(string): number} [options.hash='fnv1a'] - Shingle hash function
+ *   (`hashFNV1aUtf8` or `murmurhash3_32_utf8`, or a custom function).
+ * @param {number} [options.hashSeed=0] - Seed for the 'murmur3' shingle hash.
+ * @returns {Generator<number>} The shingle hashes.
+ */
+export function shingleHashes(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error("text must be a string.");
+    }
+    const {
+        shingle = 'char',
+        size = shingle === 'word' ? 3 : 5,
+        hash = 'fnv1a',
+        hashSeed = 0,
+        ...normalization
+    } = options === null ? {} : options;
+    if (shingle !== 'char' && shingle !== 'word') {
+        throw new Error("shingle must be 'char' or 'word'.");
+    }
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error("size must be a positive integer.");
+    }
+    const rangeHash = _textRangeHash(hash, hashSeed);
+    const normalized = _normalizeText(text, normalization);
+    return shingle === 'char'
+        ? _charShingleHashes(normalized, size, rangeHash)
+        : _wordShingleHashes(normalized, size, rangeHash);
+}
+
+/**
+ * Generates a signature for a text: normalizes it, shingles it and feeds the shingle hashes
+ * straight into `generateGroupedOPHSignature`.
+ *
+ * @param {string} text - The text.
+ * @param {object} [options] - Optional options object
+ * @param {number} [options.numHashes=128] - Total signature length.
+ * @param {number} [options.numGroups=4] - Number of base hashes per element (g).
+ * @param {number} [options.bitDepth=32] - Bit depth (2, 4, 8, 16, or 32).
+ * @param {number} [options.seed] - Also `densify`, `packed` and `metadata`: as for `generateGroupedOPHSignature`.
+ * @param {'char'|'word'} [options.shingle] - Also `size`, `nfkc`, `caseFold`, `stripPunctuation`,
+ *   `collapseWhitespace`, `hash` and `hashSeed`: as for `shingleHashes`.
+ * @returns {Uint8Array | Uint16Array | Uint32Array | PackedSignature | GroupedOPHSignature} The signature.
+ */
+export function signatureFromText(text, options = {}) {
+    const {
+        numHashes = 128,
+        numGroups = 4,
+        bitDepth = 32,
+        seed,
+        densify,
+        packed,
+        metadata,
+        ...shingling
+    } = options === null ? {} : options;
+    return generateGroupedOPHSignature(shingleHashes(text, shingling), numHashes, numGroups, bitDepth, { seed, densify, packed, metadata });
+}
+
+/**
+ * Determines the bit depth of a signature TypedArray.
+ * A `PackedSignature` or `GroupedOPHSignature` reports its true bit depth (e.g. 4 rather than 8).
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} signature The signature array.
+ * @returns {number|null} The bit depth (e.g., 8, 16, 32, 64) or null if type is unrecognized.
+ */
+export function getBitDepth(signature) {
+    if (signature instanceof GroupedOPHSignature) return signature.bitDepth;
+    if (signature instanceof PackedSignature) return signature.bitDepth;
+    if (signature instanceof Uint8Array) return 8;
+    if (signature instanceof Uint16Array) return 16;
+    if (signature instanceof Uint32Array) return 32;
+    if (signature instanceof BigUint64Array) return 64;
+    return null;
+}
+
+
+/**
+ * Downgrades a signature to a lower bit depth.
+ * This is useful for comparing signatures of different precisions or for storage.
+ * WARNING: This is a lossy conversion if the original values exceed the target bit depth's max.
+ *
+ * A `GroupedOPHSignature` is downgraded from its true bit depth and returned wrapped, with the same metadata.
+ * A 64-bit signature (BigUint64Array) can also be downgraded to 32 bits, keeping the low 32 bits of each value.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} signature - The original signature TypedArray.
+ * @param {number} targetBitDepth - The desired bit depth (2, 4, 8, 16, or 32 from 64). Must be lower than original.
+ * @param {object} [options] - Optional options object
+ * @param {boolean} [options.packed=false] - For a target of 2 or 4 bits, return a bit-packed `PackedSignature`.
+ * @returns {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} The new signature with downgraded bit depth.
+ */
+export function downgradeSignature(signature, targetBitDepth, options = {}) {
+    if (signature instanceof GroupedOPHSignature) {
+        if (targetBitDepth >= signature.bitDepth) {
+            throw new Error("Target bit depth must be lower than current bit depth for downgrade.");
+        }
+        return new GroupedOPHSignature(downgradeSignature(signature.values, targetBitDepth, options), {
+            numGroups: signature.numGroups,
+            bitDepth: targetBitDepth,
+            seed: signature.seed,
+            version: signature.version,
+            densify: signature.densify,
+            weighted: signature.weighted,
+            hash: signature.hash
+        });
+    }
+    const currentBitDepth = getBitDepth(signature);
+
+    if (currentBitDepth === null) {
+        throw new Error("Invalid or unsupported signature type for downgrade.");
+    }
+    if (targetBitDepth >= currentBitDepth) {
+        throw new Error("Target bit depth must be lower than current bit depth for downgrade.");
+    }
+    if (![2, 4, 8, 16].includes(targetBitDepth) && !(targetBitDepth === 32 && currentBitDepth === 64)) {
+        throw new Error("Target bit depth must be 2, 4, 8, or 16.");
+    }
+
+    const { packed = false } = options === null ? {} : options;
+    if (packed && targetBitDepth !== 2 && targetBitDepth !== 4) {
+        throw new Error("packed is only supported for a target bit depth of 2 or 4.");
+    }
+    if (signature instanceof PackedSignature) {
+        signature = signature.unpack();
+    }
+    if (signature instanceof BigUint64Array) {
+        // Low 32 bits, so that the masks below see the same bits as they would in the 64-bit value
+        const low = new Uint32Array(signature.length);
+        for (let i = 0; i < signature.length; i++) {
+            const value = signature[i];
+            if (value !== 0n) {
+                const lowBits = Number(value & 0xFFFFFFFFn);
+                low[i] = lowBits === 0 ? 1 : lowBits;
+            }
+        }
+        if (targetBitDepth === 32) {
+            return low;
+        }
+        signature = low;
+    }
+
+    let NewTypedArrayConstructor;
     let mask;
     if (targetBitDepth === 16) {
         NewTypedArrayConstructor = Uint16Array;
@@ -391,195 +2283,1925 @@ export function downgradeSignature(signature, targetBitDepth) {
         NewTypedArrayConstructor = Uint8Array;
         mask = 0x0F;
     } else {
-        NewTypedArrayConstructor = Uint8Array;
-        mask = 0x03;
+        NewTypedArrayConstructor = Uint8Array;
+        mask = 0x03;
+    }
+
+    const newSignature = new NewTypedArrayConstructor(signature.length);
+    const len = signature.length;
+    for (var i = 0; i < len; i++) {
+        const originalValue = signature[i];
+        if (originalValue === 0) {
+            newSignature[i] = 0;
+        } else {
+            let maskedValue = originalValue & mask;
+            if (maskedValue === 0) {
+                maskedValue = 1;
+            }
+            newSignature[i] = maskedValue;
+    }
+    }
+    return packed ? PackedSignature.from(newSignature, targetBitDepth) : newSignature;
+}
+
+/**
+ * @private
+ * The result of comparing two signatures: the estimate and the counts it was computed from, read by
+ * `estimateJaccardWithConfidence` and `compareAgainstThreshold`.
+ * @returns {{estimate: number, matches: number, both: number, union: number, binsCompared: number,
+ *   groupsProcessed: (number|null), numGroups: (number|null), earlyTermination: ('above'|'below'|null), collisionRate: number}}
+ */
+function _comparison(estimate, matches, both, union, binsCompared, groupsProcessed, numGroups, earlyTermination, collisionRate) {
+    return { estimate, matches, both, union, binsCompared, groupsProcessed, numGroups, earlyTermination, collisionRate };
+}
+
+/**
+ * Estimates Jaccard similarity between two Grouped MinHash signatures.
+ * Assumes signatures were generated with the same number of hash functions and compatible settings.
+ * Handles signatures of different bit depths by attempting to downgrade the higher precision one.
+ *
+ * Two `PackedSignature`s of the same bit depth are compared directly on their packed words.
+ * `GroupedOPHSignature`s supply their own numGroups and throw if generated with incompatible settings;
+ * if their bit depths differ, the higher-precision one is downgraded first.
+ *
+ * When the bit depth is known to be 8 or less (from a `GroupedOPHSignature`, a `PackedSignature` or
+ * `options.bitDepth`), equal values are corrected for accidental collisions, in the style of b-bit minwise
+ * hashing (Li & König, 2010): with C the chance that two values from different minima are equal,
+ * J = (matches - C * both) / ((1 - C) * union), where `both` counts positions non-empty in both signatures.
+ * C is measured from pairs of values at different positions of the two signatures. The correction is
+ * reliable for downgraded signatures at every bit depth and for native 8-bit ones. Native 2- and 4-bit
+ * signatures stay biased (upwards at 2 bits, downwards at 4): their values are minima of a few bits rather
+ * than low bits of a hash, so equal values are not independent of the bins holding the same minimum.
+ * Generate at 32 bits and downgrade for accurate low-bit estimates.
+ *
+ * 64-bit signatures (BigUint64Array) are compared with each other; against a lower depth, wrap both in
+ * `GroupedOPHSignature`s so that the 64-bit one is downgraded, or downgrade it yourself.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|Array<number>|PackedSignature} signatureA - First signature.
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|Array<number>|PackedSignature} signatureB - Second signature.
+ * @param {object} options - Optional options object
+ * @param {number} options.numGroups - Number of groups the signature was generated with (taken from a `GroupedOPHSignature` if omitted)
+ * @param {number} options.similarityThreshold - Optional T from paper (target Jaccard index)
+ * @param {number} options.errorTolerance - Optional epsilon from paper (acceptable error probability for early exit)
+ * @param {number} options.maxGroups - Optional limit on number of groups to use (for fast approximation)
+ * @param {number} options.bitDepth - Optional true bit depth of raw signatures, e.g. 4 for a 4-bit signature in a Uint8Array
+ * @param {boolean} options.collisionCorrection - Optional, default true. Set to false to count raw equality at low bit depths
+ * @returns {number} The estimated Jaccard similarity.
+ */
+export function estimateJaccardSimilarity(
+    signatureA,
+    signatureB,
+    options = {}
+) {
+    return _compareSignatures(signatureA, signatureB, options).estimate;
+}
+
+/**
+ * @private
+ * Validates and compares two signatures for `estimateJaccardSimilarity`, `estimateJaccardWithConfidence`
+ * and `compareAgainstThreshold`.
+ * @returns {object} A `_comparison` result.
+ */
+function _compareSignatures(signatureA, signatureB, options) {
+    if (!signatureA || !signatureB || signatureA.length !== signatureB.length) {
+        throw new Error("Signatures must be non-null and of equal length.");
+    }
+    if (signatureA.length === 0) {
+        return _comparison(1.0, 0, 0, 0, 0, null, null, null, 0); // Or 0.0 if definitionally no items? Paper implies 1.0 for empty sets.
+    }
+
+    const currentOptions = options === null ? {} : options;
+
+    let metadataNumGroups;
+    let valueBitDepth = currentOptions.bitDepth;
+    if (valueBitDepth !== undefined && ![2, 4, 8, 16, 32].includes(valueBitDepth)) {
+        throw new Error("'bitDepth' option must be 2, 4, 8, 16, or 32.");
+    }
+    if (signatureA instanceof GroupedOPHSignature || signatureB instanceof GroupedOPHSignature) {
+        const unwrapped = _unwrapSignaturePair(signatureA, signatureB);
+        signatureA = unwrapped.valuesA;
+        signatureB = unwrapped.valuesB;
+        metadataNumGroups = unwrapped.numGroups;
+        valueBitDepth = unwrapped.bitDepth;
+        if (currentOptions.numGroups !== undefined && currentOptions.numGroups !== metadataNumGroups) {
+            throw new Error(`'numGroups' option (${currentOptions.numGroups}) does not match the signature's numGroups (${metadataNumGroups}).`);
+        }
+    }
+
+    // Bit depth of the packed words when both signatures are packed, 0 otherwise
+    let packedBitDepth = 0;
+    if (signatureA instanceof PackedSignature && signatureB instanceof PackedSignature) {
+        if (signatureA.bitDepth !== signatureB.bitDepth) {
+            throw new Error("Packed signatures must have the same bit depth to be compared.");
+        }
+        packedBitDepth = signatureA.bitDepth;
+        valueBitDepth = packedBitDepth;
+    } else if (signatureA instanceof PackedSignature) {
+        valueBitDepth = signatureA.bitDepth;
+        signatureA = signatureA.unpack();
+    } else if (signatureB instanceof PackedSignature) {
+        valueBitDepth = signatureB.bitDepth;
+        signatureB = signatureB.unpack();
+    }
+
+    const wide = signatureA instanceof BigUint64Array || signatureB instanceof BigUint64Array;
+    if (wide && !(signatureA instanceof BigUint64Array && signatureB instanceof BigUint64Array)) {
+        throw new Error("A 64-bit signature can only be compared with another 64-bit signature; downgrade it first.");
+    }
+
+    // Chance that two values from different minima are equal; 0 when not corrected
+    const collisionRate = currentOptions.collisionCorrection !== false && valueBitDepth <= 8
+        ? _collisionRate(signatureA, signatureB, valueBitDepth)
+        : 0;
+
+    const {
+        numGroups = metadataNumGroups, // Number of groups the signature was generated with
+        similarityThreshold,   // Optional T from paper (target Jaccard index)
+        errorTolerance,        // Optional epsilon from paper (acceptable error probability for early exit)
+        maxGroups              // Optional limit on number of groups to use (for fast approximation)
+    } = currentOptions;
+
+    const hasStatisticalEarlyTermination = similarityThreshold !== undefined || errorTolerance !== undefined;
+    const hasFastMode = maxGroups !== undefined;
+    const needsNumGroups = hasStatisticalEarlyTermination || hasFastMode;
+
+    if (needsNumGroups) {
+        if (
+            typeof numGroups !== 'number' || numGroups <= 0 ||
+            !Number.isInteger(numGroups) ||
+            signatureA.length % numGroups !== 0
+        ) {
+            throw new Error("Invalid or missing 'numGroups' for optimized similarity estimation. It must be a positive integer and a divisor of signature length.");
+        }
+        
+        // Validate statistical early termination parameters if any are provided
+        if (hasStatisticalEarlyTermination) {
+            if (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1) {
+                throw new Error("Invalid or missing 'similarityThreshold' for optimized similarity estimation. It must be a number between 0 and 1.");
+            }
+            if (typeof errorTolerance !== 'number' || errorTolerance <= 0 || errorTolerance >= 1) {
+                throw new Error("Invalid or missing 'errorTolerance' for optimized similarity estimation. It must be a number > 0 and < 1.");
+            }
+        }
+        
+        if (hasFastMode && (typeof maxGroups !== 'number' || maxGroups <= 0 || !Number.isInteger(maxGroups) || maxGroups > numGroups)) {
+            throw new Error("Invalid 'maxGroups' for fast approximation. It must be a positive integer <= numGroups.");
+        }
+    } else {
+        // numGroups is optional here; report it only when it describes the signature
+        const knownNumGroups = Number.isInteger(numGroups) && numGroups > 0 && signatureA.length % numGroups === 0 ? numGroups : null;
+        if (packedBitDepth !== 0) {
+            const counts = _countPackedRange(signatureA.words, signatureB.words, packedBitDepth, 0, signatureA.length);
+            const estimate = _correctCollisions(counts.matches, counts.both, counts.union, collisionRate);
+            return _comparison(estimate, counts.matches, counts.both, counts.union, signatureA.length, knownNumGroups, knownNumGroups, null, collisionRate);
+        }
+        if (wide) {
+            const counts = _countWideRange(signatureA, signatureB, 0, 0, signatureA.length);
+            const estimate = _correctCollisions(counts.matches, counts.both, counts.union, 0);
+            return _comparison(estimate, counts.matches, counts.both, counts.union, signatureA.length, knownNumGroups, knownNumGroups, null, 0);
+        }
+        let matches = 0;
+        let unionCount = 0;
+        let bothCount = 0;
+        const len = signatureA.length;
+        for (let i = 0; i < len; i++) {
+            const valA = signatureA[i];
+            const valB = signatureB[i];
+            // Branchless version using arithmetic and bitwise operations
+            // unionCount += (valA !== 0 || valB !== 0) ? 1 : 0;
+            // matches += (valA === valB && valA !== 0) ? 1 : 0;
+            // The following is branchless:
+            const isActive = ((valA | valB) !== 0) | 0; // 1 if either is nonzero, else 0
+            unionCount += isActive;
+            // (valA === valB) is 1 if equal, 0 if not; (valA !== 0) is 1 if nonzero, 0 if zero
+            // So: (valA === valB) & (valA !== 0) is 1 if both true, else 0
+            matches += ((valA === valB) & (valA !== 0));
+            bothCount += ((valA !== 0) & (valB !== 0));
+        }
+        const estimate = _correctCollisions(matches, bothCount, unionCount, collisionRate);
+        return _comparison(estimate, matches, bothCount, unionCount, len, knownNumGroups, knownNumGroups, null, collisionRate);
+    }
+
+    return _compareGroups(signatureA, signatureB, 0, {
+        numGroups,
+        maxGroups: hasFastMode ? Math.min(maxGroups, numGroups) : numGroups,
+        similarityThreshold: hasStatisticalEarlyTermination ? similarityThreshold : undefined,
+        errorTolerance,
+        packedBitDepth,
+        wide
+    }, collisionRate);
+}
+
+/**
+ * @private
+ * Group-by-group comparison with optional early termination: the optimized path of `estimateJaccardSimilarity`,
+ * shared with `SignatureMatrix.queryAll`. Nothing is validated here.
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|Array<number>|PackedSignature} signatureA - Query values.
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|Array<number>|PackedSignature} signatureB - Values compared from `offsetB` on.
+ * @param {number} offsetB - Index of the first value of signatureB (0 for packed signatures).
+ * @param {object} plan - Comparison settings
+ * @param {number} plan.numGroups - Number of groups in the signature.
+ * @param {number} plan.maxGroups - Number of groups to compare, at most numGroups.
+ * @param {number} [plan.similarityThreshold] - Threshold T for early termination; undefined to compare all groups.
+ * @param {number} [plan.errorTolerance] - Epsilon for early termination.
+ * @param {number} plan.packedBitDepth - Bit depth when both signatures are packed, 0 otherwise.
+ * @param {boolean} [plan.wide=false] - Whether both signatures are 64-bit (BigUint64Array).
+ * @param {number} collisionRate - Collision probability C, or 0.
+ * @returns {object} A `_comparison` result.
+ */
+function _compareGroups(signatureA, signatureB, offsetB, plan, collisionRate) {
+    const { numGroups, maxGroups: effectiveNumGroups, similarityThreshold, errorTolerance, packedBitDepth, wide = false } = plan;
+    const hasStatisticalEarlyTermination = similarityThreshold !== undefined;
+    const n_total_hashes = signatureA.length;
+    const k_prime = n_total_hashes / numGroups; // k' in paper (bins per group)
+    // Raw bins match with probability T + (1 - T) * C at similarity T
+    const T = hasStatisticalEarlyTermination ? similarityThreshold + (1 - similarityThreshold) * collisionRate : undefined;
+    const epsilon = errorTolerance;
+
+    // Pre-calculate constants to avoid repeated computation
+    const Ma = k_prime * T; // Ma from paper (target matches in a group if overall sim=T)
+    const np_approx = k_prime * T;
+    const nq_approx = k_prime * (1 - T);
+
+    // Pre-calculate mean and stdDev for normal approximation if it's likely to be used
+    let precalc_norm_mean;
+    let precalc_norm_stdDev;
+    if (hasStatisticalEarlyTermination && k_prime > N_APPROX_THRESHOLD && np_approx >= 5 && nq_approx >= 5) {
+        precalc_norm_mean = np_approx;
+        precalc_norm_stdDev = Math.sqrt(np_approx * (1 - T));
+    }
+
+    let Mc = 0; // current total matched bins where valA === valB && valA !== 0
+    let final_unionCount = 0; // Calculate union count as we go to avoid second pass
+    let final_bothCount = 0; // Bins non-empty in both signatures, for collision correction
+    
+    for (let l_group_idx = 0; l_group_idx < effectiveNumGroups; l_group_idx++) {
+        let current_group_matches = 0;
+        const group_start_offset = l_group_idx * k_prime;
+        const group_end_offset = group_start_offset + k_prime;
+
+        if (packedBitDepth !== 0) {
+            const counts = _countPackedRange(signatureA.words, signatureB.words, packedBitDepth, group_start_offset, group_end_offset);
+            final_unionCount += counts.union;
+            final_bothCount += counts.both;
+            current_group_matches = counts.matches;
+        } else if (wide) {
+            const counts = _countWideRange(signatureA, signatureB, offsetB, group_start_offset, group_end_offset);
+            final_unionCount += counts.union;
+            final_bothCount += counts.both;
+            current_group_matches = counts.matches;
+        } else {
+            // Single loop to count matches and union elements for this group
+            for (let sig_idx = group_start_offset; sig_idx < group_end_offset; sig_idx++) {
+                const valA = signatureA[sig_idx];
+                const valB = signatureB[offsetB + sig_idx];
+
+                // Branchless counting for union and matches
+                // union: increment if either is nonzero
+                final_unionCount += ((valA | valB) !== 0) | 0;
+                // matches: increment if equal and nonzero
+                current_group_matches += ((valA === valB) & (valA !== 0));
+                final_bothCount += ((valA !== 0) & (valB !== 0));
+            }
+        }
+        
+        Mc += current_group_matches;
+
+        // Skip early exit check for last group
+        if (l_group_idx === effectiveNumGroups - 1) {
+            break;
+        }
+
+        // Only do statistical early exit if we have both optimization parameters
+        if (!hasStatisticalEarlyTermination) {
+            continue; // Skip early exit logic, just compute with limited groups
+        }
+
+        // Early exit logic, with target matches for the number of groups we're using
+        const remaining_groups = effectiveNumGroups - (l_group_idx + 1);
+        const Mra = (effectiveNumGroups * Ma - Mc) / remaining_groups;
+
+        let prob_of_undesired_outcome;
+        if (Mra < Ma) {
+            // Trending "better" than T. Concerned about dropping below T.
+            prob_of_undesired_outcome = _binomialCDF(Math.floor(Mra - 1e-9), k_prime, T, precalc_norm_mean, precalc_norm_stdDev);
+            if (prob_of_undesired_outcome <= epsilon) {
+                // Confident it's above threshold - estimate final similarity
+                // Estimate remaining union count based on current ratio
+                const processed_elements = (l_group_idx + 1) * k_prime;
+                const union_ratio = final_unionCount / processed_elements;
+                const estimated_total_union = union_ratio * n_total_hashes;
+                
+                // Estimate remaining matches based on current match rate
+                const match_ratio = Mc / processed_elements;
+                const estimated_total_matches = match_ratio * n_total_hashes;
+                const estimated_total_both = final_bothCount / processed_elements * n_total_hashes;
+                
+                const estimate = _correctCollisions(estimated_total_matches, estimated_total_both, estimated_total_union, collisionRate);
+                return _comparison(estimate, Mc, final_bothCount, final_unionCount, processed_elements, l_group_idx + 1, numGroups, 'above', collisionRate);
+            }
+        } else { // Mra >= Ma (Trending "worse" than T or on track)
+            // Use pre-calculated ceiling to avoid repeated Math.ceil calls
+            const ceiling_Mra = Math.ceil(Mra - 1e-9);
+            prob_of_undesired_outcome = 1 - _binomialCDF(ceiling_Mra - 1, k_prime, T, precalc_norm_mean, precalc_norm_stdDev);
+            if (prob_of_undesired_outcome <= epsilon) {
+                // Confidently dissimilar
+                return _comparison(0.0, Mc, final_bothCount, final_unionCount, (l_group_idx + 1) * k_prime, l_group_idx + 1, numGroups, 'below', collisionRate);
+            }
+        }
+    }
+
+    // Return final similarity using the groups we processed (all or limited by maxGroups)
+    const estimate = _correctCollisions(Mc, final_bothCount, final_unionCount, collisionRate);
+    return _comparison(estimate, Mc, final_bothCount, final_unionCount, effectiveNumGroups * k_prime, effectiveNumGroups, numGroups, null, collisionRate);
+}
+
+/**
+ * Estimates Jaccard similarity like `estimateJaccardSimilarity`, with the evidence behind the estimate.
+ *
+ * The union bins compared are treated as independent trials that match with probability q (the raw match
+ * rate, J + (1 - J) * C with collision correction). The standard error is sqrt(q(1 - q) / union) / (1 - C),
+ * and the interval is the Wilson score interval for q mapped to J, so it stays inside [0, 1] and is not
+ * degenerate when no or all bins match. For native 2- and 4-bit signatures, whose corrected estimate is
+ * biased (see `estimateJaccardSimilarity`), it covers the true similarity less often than `confidenceLevel`.
+ *
+ * With early termination the statistics describe the groups actually compared. When the pair is
+ * confidently below the threshold, `estimate` is 0 (as from `estimateJaccardSimilarity`) while the
+ * interval still reflects what was observed before stopping.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>|PackedSignature|GroupedOPHSignature} signatureA - First signature.
+ * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>|PackedSignature|GroupedOPHSignature} signatureB - Second signature.
+ * @param {object} options - Any `estimateJaccardSimilarity` option, plus:
+ * @param {number} options.confidenceLevel - Optional, default 0.95. Coverage of the confidence interval, in (0, 1)
+ * @returns {{estimate: number, standardError: number, confidenceInterval: [number, number], confidenceLevel: number,
+ *   matches: number, union: number, binsCompared: number, groupsProcessed: (number|null), numGroups: (number|null),
+ *   earlyTermination: ('above'|'below'|null)}} `groupsProcessed` and `numGroups` are null when numGroups is not known.
+ */
+export function estimateJaccardWithConfidence(signatureA, signatureB, options = {}) {
+    const currentOptions = options === null ? {} : options;
+    const { confidenceLevel = 0.95 } = currentOptions;
+    if (typeof confidenceLevel !== 'number' || !(confidenceLevel > 0 && confidenceLevel < 1)) {
+        throw new Error("Invalid 'confidenceLevel'. It must be a number > 0 and < 1.");
+    }
+
+    const comparison = _compareSignatures(signatureA, signatureB, currentOptions);
+    const { estimate, matches, union, binsCompared, groupsProcessed, numGroups, earlyTermination, collisionRate } = comparison;
+
+    const q = union === 0 ? 0 : matches / union;
+    const standardError = union === 0 ? 0 : Math.sqrt(q * (1 - q) / union) / (1 - collisionRate);
+
+    return {
+        estimate,
+        standardError,
+        confidenceInterval: _comparisonInterval(comparison, _normalQuantile(0.5 + confidenceLevel / 2)),
+        confidenceLevel,
+        matches,
+        union,
+        binsCompared,
+        groupsProcessed,
+        numGroups,
+        earlyTermination
+    };
+}
+
+/**
+ * Decides whether the Jaccard similarity of two signatures is above or below a threshold, using the same
+ * sequential test as early termination in `estimateJaccardSimilarity`, but with an explicit answer instead
+ * of an estimate of 0 for rejected pairs.
+ *
+ * If the sequential test does not stop early, the decision is made from all compared bins: 'above' when the
+ * one-sided Wilson lower bound at error probability `errorTolerance` is at least the threshold, 'below' when
+ * the upper bound is under it, and 'uncertain' otherwise, typically for pairs close to the threshold.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>|PackedSignature|GroupedOPHSignature} signatureA - First signature.
+ * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>|PackedSignature|GroupedOPHSignature} signatureB - Second signature.
+ * @param {object} options - Options object
+ * @param {number} options.numGroups - Number of groups the signature was generated with (taken from a `GroupedOPHSignature` if omitted)
+ * @param {number} options.similarityThreshold - Jaccard threshold to decide against
+ * @param {number} options.errorTolerance - Acceptable probability of a wrong 'above' or 'below'
+ * @param {number} options.maxGroups - Optional limit on number of groups to use
+ * @returns {{decision: ('above'|'below'|'uncertain'), estimate: number, groupsProcessed: number, numGroups: number}}
+ *   `estimate` is the similarity observed over the groups processed, also when the decision is 'below'.
+ */
+export function compareAgainstThreshold(signatureA, signatureB, options = {}) {
+    const currentOptions = options === null ? {} : options;
+    if (currentOptions.similarityThreshold === undefined && currentOptions.errorTolerance === undefined) {
+        throw new Error("Invalid or missing 'similarityThreshold' for optimized similarity estimation. It must be a number between 0 and 1.");
+    }
+
+    const comparison = _compareSignatures(signatureA, signatureB, currentOptions);
+    const { matches, both, union, groupsProcessed, numGroups, earlyTermination, collisionRate } = comparison;
+    const estimate = _correctCollisions(matches, both, union, collisionRate);
+
+    let decision = earlyTermination;
+    if (decision === null) {
+        const [lower, upper] = _comparisonInterval(comparison, _normalQuantile(1 - currentOptions.errorTolerance));
+        const threshold = currentOptions.similarityThreshold;
+        decision = lower >= threshold ? 'above' : (upper < threshold ? 'below' : 'uncertain');
+    }
+
+    return { decision, estimate, groupsProcessed, numGroups };
+}
+
+/**
+ * @private
+ * Wilson score bounds on the Jaccard similarity behind a comparison, z standard errors either side.
+ * The bounds are computed for the raw match rate and then corrected for collisions.
+ * @param {object} comparison - A `_comparison` result.
+ * @param {number} z - Standard normal quantile.
+ * @returns {[number, number]} Lower and upper bound; both are the estimate when no bins were non-empty.
+ */
+function _comparisonInterval({ matches, both, union, collisionRate }, z) {
+    if (union === 0) return [1.0, 1.0];
+    const q = matches / union;
+    const z2 = z * z;
+    const denominator = 1 + z2 / union;
+    const center = (q + z2 / (2 * union)) / denominator;
+    const halfWidth = z * Math.sqrt(q * (1 - q) / union + z2 / (4 * union * union)) / denominator;
+    return [
+        _correctCollisions(Math.max(0, center - halfWidth) * union, both, union, collisionRate),
+        _correctCollisions(Math.min(1, center + halfWidth) * union, both, union, collisionRate)
+    ];
+}
+
+// Pseudo-count of value pairs at the uniform collision rate, steadying C for nearly empty signatures
+const COLLISION_PRIOR_PAIRS = 64;
+
+// Scratch value histograms for _collisionRate, avoids allocating per comparison.
+const _collisionCountsA = new Uint32Array(256);
+const _collisionCountsB = new Uint32Array(256);
+const _collisionByteCounts = new Uint32Array(256);
+
+/**
+ * @private
+ * Estimates the probability that values from two different bin minima are equal, from all pairs of
+ * non-empty positions i != j (a value of A at i against a value of B at j). Downgraded values are nearly
+ * uniform, giving about (2^b + 2) / 2^(2b) (0 is stored as 1); native low-bit minima crowd towards 1, giving more.
+ * This models collisions as independent of the minima, which holds for downgraded values and native 8-bit
+ * ones but not for native 2- and 4-bit minima, so their corrected estimates remain biased.
+ * Two `PackedSignature`s are counted on their packed words, without unpacking.
+ * @param {Uint8Array|PackedSignature} signatureA - Values of at most 8 bits.
+ * @param {Uint8Array|PackedSignature} signatureB - Values of at most 8 bits.
+ * @param {number} bitDepth - Bit depth of the values (2, 4, or 8).
+ * @param {number} [offsetB=0] - Index of the first value of signatureB (0 for packed signatures).
+ * @returns {number} Collision probability C.
+ */
+function _collisionRate(signatureA, signatureB, bitDepth, offsetB = 0) {
+    const levels = 1 << bitDepth;
+    const countsA = _collisionCountsA.fill(0);
+    const countsB = _collisionCountsB.fill(0);
+    let nonEmptyA = 0;
+    let nonEmptyB = 0;
+    let samePositionMatches = 0;
+    let samePositionBoth = 0;
+    if (signatureA instanceof PackedSignature && signatureB instanceof PackedSignature) {
+        nonEmptyA = _packedHistogram(signatureA, countsA);
+        nonEmptyB = _packedHistogram(signatureB, countsB);
+        const counts = _countPackedRange(signatureA.words, signatureB.words, bitDepth, 0, signatureA.length);
+        samePositionMatches = counts.matches;
+        samePositionBoth = counts.both;
+    } else {
+        const valuesA = signatureA instanceof PackedSignature ? signatureA.unpack() : signatureA;
+        const valuesB = signatureB instanceof PackedSignature ? signatureB.unpack() : signatureB;
+        const len = valuesA.length;
+        for (let i = 0; i < len; i++) {
+            const valA = valuesA[i];
+            const valB = valuesB[offsetB + i];
+            if (valA !== 0) {
+                countsA[valA]++;
+                nonEmptyA++;
+            }
+            if (valB !== 0) {
+                countsB[valB]++;
+                nonEmptyB++;
+            }
+            if (valA !== 0 && valB !== 0) {
+                samePositionBoth++;
+                if (valA === valB) samePositionMatches++;
+            }
+        }
+    }
+
+    let equalPairs = 0;
+    for (let v = 1; v < 256; v++) {
+        equalPairs += countsA[v] * countsB[v];
+    }
+    const uniformRate = (levels + 2) / (levels * levels);
+    const crossPairs = nonEmptyA * nonEmptyB - samePositionBoth;
+    return (equalPairs - samePositionMatches + COLLISION_PRIOR_PAIRS * uniformRate) / (crossPairs + COLLISION_PRIOR_PAIRS);
+}
+
+/**
+ * @private
+ * Adds the number of values equal to each level of a packed signature to `counts`. Whole words are
+ * tallied by byte, and each byte value then contributes to the levels of its 2 or 4 lanes.
+ * @param {PackedSignature} signature - A packed signature.
+ * @param {Uint32Array} counts - Histogram indexed by value.
+ * @returns {number} Number of non-zero values.
+ */
+function _packedHistogram(signature, counts) {
+    const { words, length, bitDepth } = signature;
+    const perWord = 32 / bitDepth;
+    const mask = (1 << bitDepth) - 1;
+    const fullWords = (length / perWord) | 0;
+    const byteCounts = _collisionByteCounts.fill(0);
+    for (let w = 0; w < fullWords; w++) {
+        const word = words[w];
+        byteCounts[word & 0xFF]++;
+        byteCounts[(word >>> 8) & 0xFF]++;
+        byteCounts[(word >>> 16) & 0xFF]++;
+        byteCounts[word >>> 24]++;
+    }
+    for (let byte = 1; byte < 256; byte++) {
+        const n = byteCounts[byte];
+        if (n === 0) continue;
+        for (let shift = 0; shift < 8; shift += bitDepth) {
+            counts[(byte >>> shift) & mask] += n;
+        }
+    }
+    for (let i = fullWords * perWord; i < length; i++) {
+        counts[signature.get(i)]++;
+    }
+    let nonEmpty = 0;
+    for (let v = 1; v <= mask; v++) nonEmpty += counts[v];
+    return nonEmpty;
+}
+
+/**
+ * @private
+ * Jaccard estimate from raw counts, removing the expected accidental matches among bins non-empty in both.
+ * With collisionRate 0 this is plain matches / union.
+ */
+function _correctCollisions(matches, both, union, collisionRate) {
+    if (union === 0) return 1.0;
+    if (collisionRate <= 0 || collisionRate >= 1) return matches / union;
+    const corrected = (matches - collisionRate * both) / ((1 - collisionRate) * union);
+    return corrected < 0 ? 0 : (corrected > 1 ? 1 : corrected);
+}
+
+/**
+ * @private
+ * Maximum-likelihood estimate of the number of distinct elements behind a signature.
+ *
+ * Each group splits the elements over M bins, so per bin the hash values behave like a Poisson process
+ * of rate n / M on [0, 1): a bin's stored minimum says where the first arrival fell (to within the
+ * resolution of the bit depth), and an empty bin says there was none. The rate is fitted over all bins
+ * of all groups by Newton's method on the score, which is decreasing in the rate.
+ *
+ * At bit depths below 32, a bin whose minimum is the largest value looks empty (it equals the fill value),
+ * so empty bins only rule out arrivals below 1 - 2^-bitDepth. When every bin holds the smallest value
+ * the likelihood has no maximum and the estimate is Infinity.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|Array<number>} values - Unpacked, non-densified, unweighted values.
+ * @param {number} numGroups - Number of groups (g).
+ * @param {number} bitDepth - True bit depth of the values.
+ * @returns {number} Estimated cardinality (0 for an empty signature, Infinity when saturated).
+ */
+function _estimateCardinality(values, numGroups, bitDepth) {
+    const numHashes = values.length;
+    const M = numHashes / numGroups;
+    const binWidth = bitDepth === 64 ? 2 ** -64 : bitDepth === 32 ? 1 / 4294967296 : 1 / (1 << bitDepth);
+    const emptyExposure = bitDepth >= 32 ? 1 : 1 - binWidth;
+
+    // Each non-empty bin: its minimum fell in [starts[k], starts[k] + widths[k])
+    const starts = new Float64Array(numHashes);
+    const widths = new Float64Array(numHashes);
+    let nonEmpty = 0;
+    let emptyBins = 0;
+    let startSum = 0;
+    for (let k = 0; k < numHashes; k++) {
+        const value = values[k];
+        if (value === 0 || value === 0n) {
+            emptyBins++;
+            continue;
+        }
+        if (bitDepth === 64) {
+            starts[nonEmpty] = Number(value) * binWidth;
+            widths[nonEmpty] = binWidth;
+        } else if (bitDepth === 32) {
+            // 32-bit minima are taken over signed values (see _computeDenseHash)
+            starts[nonEmpty] = ((value | 0) + 2147483648) * binWidth;
+            widths[nonEmpty] = binWidth;
+        } else if (value === 1) {
+            // A masked 0 is stored as 1
+            starts[nonEmpty] = 0;
+            widths[nonEmpty] = 2 * binWidth;
+        } else {
+            starts[nonEmpty] = value * binWidth;
+            widths[nonEmpty] = binWidth;
+        }
+        startSum += starts[nonEmpty];
+        nonEmpty++;
+    }
+    if (nonEmpty === 0) return 0;
+    if (startSum === 0 && emptyBins === 0) return Infinity;
+
+    // Score: sum of w / (e^(rate * w) - 1) - start over non-empty bins, minus the exposure of empty bins
+    const emptyTerm = emptyBins * emptyExposure;
+    let rate = nonEmpty / (startSum + emptyTerm + binWidth * nonEmpty / 2);
+    let low = 0;
+    let high = Infinity;
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let score = -emptyTerm;
+        let slope = 0;
+        for (let k = 0; k < nonEmpty; k++) {
+            const w = widths[k];
+            const growth = Math.expm1(rate * w);
+            score += w / growth - starts[k];
+            slope -= w * w * (growth + 1) / (growth * growth);
+        }
+        if (score > 0) low = rate;
+        else high = rate;
+
+        let next = rate - score / slope;
+        if (!(next > low && next < high)) {
+            next = high === Infinity ? rate * 2 : (low + high) / 2;
+        }
+        if (Math.abs(next - rate) <= 1e-12 * rate) {
+            rate = next;
+            break;
+        }
+        rate = next;
+    }
+    return M * rate;
+}
+
+/**
+ * Estimates the number of distinct elements that went into a signature, from its empty bins and
+ * the size of its bin minima, without the original set.
+ *
+ * The relative standard error is about 1 / sqrt(numHashes) for large sets (9% at 128 values, 4.4% at 512),
+ * and lower for sets with fewer elements than bins. At bit depths below 32 the minima only resolve sets of up to
+ * roughly (numHashes / numGroups) * 2^bitDepth / 2 elements; beyond that the estimate degrades, and once every bin holds
+ * the smallest value it is Infinity. Densified and weighted signatures are rejected, as their bins do not reveal the set size.
+ * Downgrading keeps the low bits of each minimum, which are no longer the minimum of anything, so estimate before downgrading.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature} signature - The signature.
+ * @param {object} options - Optional options object
+ * @param {number} options.numGroups - Number of groups (taken from a `GroupedOPHSignature` if omitted; required otherwise).
+ * @param {number} options.bitDepth - True bit depth of a raw signature, e.g. 4 for a 4-bit signature in a Uint8Array
+ *   (defaults to the depth implied by the array type).
+ * @returns {number} The estimated cardinality: 0 for an empty signature, Infinity if the bit depth cannot resolve it.
+ */
+export function estimateCardinality(signature, options = {}) {
+    let { numGroups, bitDepth } = options === null ? {} : options;
+    let values = signature;
+    if (signature instanceof GroupedOPHSignature) {
+        if (signature.densify !== null) {
+            throw new Error("Cardinality cannot be estimated from a densified signature.");
+        }
+        if (signature.weighted) {
+            throw new Error("Cardinality cannot be estimated from a weighted signature.");
+        }
+        numGroups = signature.numGroups;
+        bitDepth = signature.bitDepth;
+        values = signature.values;
+    }
+    if (values instanceof PackedSignature) {
+        bitDepth = values.bitDepth;
+        values = values.unpack();
+    }
+
+    const storageBitDepth = getBitDepth(values);
+    if (storageBitDepth === null) {
+        throw new Error("Invalid or unsupported signature type for cardinality estimation.");
+    }
+    if (bitDepth === undefined) {
+        bitDepth = storageBitDepth;
+    } else if (storageBitDepth === 8 ? ![2, 4, 8].includes(bitDepth) : bitDepth !== storageBitDepth) {
+        throw new Error(`bitDepth ${bitDepth} does not fit a signature stored as ${values.constructor.name}.`);
+    }
+    if (typeof numGroups !== 'number' || numGroups <= 0 || !Number.isInteger(numGroups) || values.length % numGroups !== 0) {
+        throw new Error("Invalid or missing 'numGroups' for cardinality estimation. It must be a positive integer and a divisor of signature length.");
+    }
+    return _estimateCardinality(values, numGroups, bitDepth);
+}
+
+/**
+ * @private
+ * Cardinalities of both signatures, which must be finite to be combined with a Jaccard estimate.
+ */
+function _pairCardinalities(signatureA, signatureB, options) {
+    const cardinalityA = estimateCardinality(signatureA, options);
+    const cardinalityB = estimateCardinality(signatureB, options);
+    if (cardinalityA === Infinity || cardinalityB === Infinity) {
+        throw new Error("Set size is beyond what the signature's bit depth can resolve; use a higher bit depth.");
+    }
+    return { cardinalityA, cardinalityB };
+}
+
+/**
+ * @private
+ * |A ∩ B| from J = |A ∩ B| / |A ∪ B| and |A ∪ B| = |A| + |B| - |A ∩ B|, clamped to [0, min(|A|, |B|)].
+ */
+function _intersectionFromJaccard(jaccard, cardinalityA, cardinalityB) {
+    const intersection = jaccard * (cardinalityA + cardinalityB) / (1 + jaccard);
+    return Math.min(intersection, cardinalityA, cardinalityB);
+}
+
+/**
+ * Estimates the size of the intersection of the two sets behind two signatures, combining the Jaccard
+ * estimate with an estimate of each set's cardinality: |A ∩ B| = J (|A| + |B|) / (1 + J).
+ *
+ * Densified and weighted signatures are not supported, since their bins do not reveal set sizes.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signatureA - First signature.
+ * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signatureB - Second signature.
+ * @param {object} options - Optional options object
+ * @param {number} options.numGroups - Number of groups (taken from a `GroupedOPHSignature` if omitted; required otherwise).
+ * @param {number} options.bitDepth - True bit depth of raw signatures, e.g. 4 for a 4-bit signature in a Uint8Array
+ *   (defaults to the depth implied by the array type).
+ * @param {number} options.maxGroups - Optional limit on number of groups used for the Jaccard estimate.
+ * @returns {number} The estimated number of elements in both sets.
+ */
+export function estimateIntersectionSize(signatureA, signatureB, options = {}) {
+    const currentOptions = options === null ? {} : options;
+    const { cardinalityA, cardinalityB } = _pairCardinalities(signatureA, signatureB, currentOptions);
+    const jaccard = estimateJaccardSimilarity(signatureA, signatureB, currentOptions);
+    return _intersectionFromJaccard(jaccard, cardinalityA, cardinalityB);
+}
+
+/**
+ * Estimates the containment of set A in set B, |A ∩ B| / |A|: how much of A is inside B.
+ * Unlike Jaccard similarity this is not symmetric, which makes it suited to finding a short
+ * passage quoted inside a longer document.
+ *
+ * With `containmentThreshold` and `errorTolerance`, the threshold is translated into the equivalent Jaccard
+ * threshold, T|A| / (|A| + |B| - T|A|), using the cardinality estimates, and the grouped early termination of
+ * `estimateJaccardSimilarity` decides; as there, `0.0` is returned when A is confidently below the threshold,
+ * and an extrapolated estimate when it is confidently above.
+ *
+ * Densified and weighted signatures are not supported, since their bins do not reveal set sizes.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signatureA - Signature of the contained set.
+ * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signatureB - Signature of the containing set.
+ * @param {object} options - Optional options object
+ * @param {number} options.numGroups - Number of groups (taken from a `GroupedOPHSignature` if omitted; required otherwise).
+ * @param {number} options.bitDepth - True bit depth of raw signatures (see `estimateIntersectionSize`).
+ * @param {number} options.containmentThreshold - Optional containment threshold (0 to 1) for early termination
+ * @param {number} options.errorTolerance - Optional acceptable error probability for early exit
+ * @param {number} options.maxGroups - Optional limit on number of groups to use (for fast approximation)
+ * @returns {number} The estimated containment (0 to 1). 1 if A is empty.
+ */
+export function estimateContainment(signatureA, signatureB, options = {}) {
+    const currentOptions = options === null ? {} : options;
+    const { containmentThreshold, ...jaccardOptions } = currentOptions;
+    if (jaccardOptions.similarityThreshold !== undefined) {
+        throw new Error("Use 'containmentThreshold' rather than 'similarityThreshold' for containment estimation.");
+    }
+    const { cardinalityA, cardinalityB } = _pairCardinalities(signatureA, signatureB, currentOptions);
+
+    if (containmentThreshold !== undefined || jaccardOptions.errorTolerance !== undefined) {
+        if (typeof containmentThreshold !== 'number' || containmentThreshold < 0 || containmentThreshold > 1) {
+            throw new Error("Invalid or missing 'containmentThreshold' for optimized containment estimation. It must be a number between 0 and 1.");
+        }
+        const scaledA = containmentThreshold * cardinalityA;
+        const denominator = cardinalityA + cardinalityB - scaledA;
+        jaccardOptions.similarityThreshold = denominator === 0 ? 1 : Math.min(1, scaledA / denominator);
+    }
+
+    const jaccard = estimateJaccardSimilarity(signatureA, signatureB, jaccardOptions);
+    if (cardinalityA === 0) return 1.0;
+    return Math.min(1, _intersectionFromJaccard(jaccard, cardinalityA, cardinalityB) / cardinalityA);
+}
+
+/**
+ * @private
+ * Probability that a pair with Jaccard similarity s becomes a candidate under b bands of r rows.
+ */
+function _lshCandidateProbability(s, bands, rows) {
+    return 1 - Math.pow(1 - Math.pow(s, rows), bands);
+}
+
+/**
+ * @private
+ * Picks the bands/rows pair that minimizes the (equally weighted) false positive and false negative
+ * areas under the LSH S-curve for the given threshold, as in Leskovec et al., "Mining of Massive Datasets".
+ * @param {number} threshold - Target Jaccard similarity (0 to 1).
+ * @param {number} numHashes - Total signature length.
+ * @param {number} numGroups - Number of groups in the signature.
+ * @param {boolean} alignToGroups - Whether bands must stay inside a single group.
+ * @returns {{bands: number, rows: number}}
+ */
+function _optimalBandsAndRows(threshold, numHashes, numGroups, alignToGroups) {
+    const M = numHashes / numGroups;
+    const maxRows = alignToGroups ? M : numHashes;
+    const steps = 100;
+    let best = null;
+
+    for (let rows = 1; rows <= maxRows; rows++) {
+        const maxBands = alignToGroups ? numGroups * Math.floor(M / rows) : Math.floor(numHashes / rows);
+        for (let bands = 1; bands <= maxBands; bands++) {
+            let falsePositive = 0;
+            let falseNegative = 0;
+            for (let step = 0; step < steps; step++) {
+                const s = (step + 0.5) / steps;
+                const p = _lshCandidateProbability(s, bands, rows);
+                if (s < threshold) {
+                    falsePositive += p;
+                } else {
+                    falseNegative += 1 - p;
+                }
+            }
+            const error = (falsePositive + falseNegative) / steps;
+            if (best === null || error < best.error) {
+                best = { bands, rows, error };
+            }
+        }
+    }
+    return { bands: best.bands, rows: best.rows };
+}
+
+/**
+ * Locality-sensitive hashing (banding) index over GroupedOPH signatures.
+ * Each signature is cut into `bands` slices of `rows` values; two signatures become candidates
+ * when at least one slice matches exactly. By default bands are laid out inside groups, so a band
+ * never straddles two groups.
+ *
+ * Bands whose values are all 0 (empty bins) are not indexed, since matching empty bins says nothing
+ * about similarity. Generate signatures with `densify` to make every band usable for small sets.
+ *
+ * The first `GroupedOPHSignature` inserted fixes the index's generation parameters: inserting or querying a
+ * wrapped signature with a different seed, densify, hash or other setting throws, as comparing them would.
+ */
+export class LSHIndex {
+    /**
+     * @param {object} options - Index configuration
+     * @param {number} options.numHashes - Length of the indexed signatures.
+     * @param {number} options.numGroups - Number of groups the signatures were generated with.
+     * @param {number} [options.bitDepth=32] - Bit depth of the indexed signatures (2, 4, 8, 16, or 32).
+     * @param {number} [options.bands] - Number of bands (b). Required with `rows` unless `threshold` is given.
+     * @param {number} [options.rows] - Number of signature values per band (r).
+     * @param {number} [options.threshold] - Target Jaccard similarity used to derive bands/rows, and the default verification threshold.
+     * @param {boolean} [options.alignToGroups=true] - Keep every band inside a single group.
+     */
+    constructor(options = {}) {
+        const {
+            numHashes,
+            numGroups,
+            bitDepth = 32,
+            threshold,
+            alignToGroups = true
+        } = options;
+        let { bands, rows } = options;
+
+        _validateSignatureShape(numHashes, numGroups);
+        if (bitDepth === 64) {
+            throw new Error("64-bit signatures cannot be indexed: downgrade them to 32 bits or fewer with downgradeSignature first.");
+        }
+        if (![2, 4, 8, 16, 32].includes(bitDepth)) {
+            throw new Error("bitDepth must be 2, 4, 8, 16, or 32.");
+        }
+        if (threshold !== undefined && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+            throw new Error("threshold must be a number > 0 and <= 1.");
+        }
+
+        const M = numHashes / numGroups;
+
+        if (bands === undefined && rows === undefined) {
+            if (threshold === undefined) {
+                throw new Error("Either 'bands' and 'rows' or a 'threshold' must be provided.");
+            }
+            ({ bands, rows } = _optimalBandsAndRows(threshold, numHashes, numGroups, alignToGroups));
+        }
+        if (typeof bands !== 'number' || bands <= 0 || !Number.isInteger(bands) ||
+            typeof rows !== 'number' || rows <= 0 || !Number.isInteger(rows)) {
+            throw new Error("bands and rows must both be positive integers.");
+        }
+
+        const bandStarts = new Array(bands);
+        if (alignToGroups) {
+            const bandsPerGroup = Math.floor(M / rows);
+            if (bands > bandsPerGroup * numGroups) {
+                throw new Error(`Cannot fit ${bands} bands of ${rows} rows inside ${numGroups} groups of ${M} bins.`);
+            }
+            // Round-robin over groups so a partial layout still samples every group.
+            for (let k = 0; k < bands; k++) {
+                bandStarts[k] = (k % numGroups) * M + Math.floor(k / numGroups) * rows;
+            }
+        } else {
+            if (bands * rows > numHashes) {
+                throw new Error("bands * rows must not exceed numHashes.");
+            }
+            for (let k = 0; k < bands; k++) {
+                bandStarts[k] = k * rows;
+            }
+        }
+
+        this.numHashes = numHashes;
+        this.numGroups = numGroups;
+        this.bitDepth = bitDepth;
+        this.bands = bands;
+        this.rows = rows;
+        this.threshold = threshold;
+        this._bandStarts = bandStarts;
+        this._buckets = Array.from({ length: bands }, () => new Map());
+        this._signatures = new Map();
+        this._metadata = null; // _compatibilityFields of the first wrapped signature inserted
+        this._bandKeys = new Map(); // id -> bucket key of each band at insert time, so removal survives later edits to the signature
+    }
+
+    /**
+     * Number of signatures currently in the index.
+     * @returns {number}
+     */
+    get size() {
+        return this._signatures.size;
+    }
+
+    /**
+     * @param {*} id - Identifier of a previously inserted signature.
+     * @returns {boolean} Whether the id is in the index.
+     */
+    has(id) {
+        return this._signatures.has(id);
+    }
+
+    /**
+     * Adds a signature to the index.
+     * @param {*} id - Identifier returned by `query`. Must not already be present.
+     * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signature - Signature generated with the index's settings.
+     */
+    insert(id, signature) {
+        this._validateSignature(signature);
+        if (this._signatures.has(id)) {
+            throw new Error(`id '${id}' is already in the index.`);
+        }
+        if (this._metadata === null && signature instanceof GroupedOPHSignature) {
+            this._metadata = _compatibilityFields(signature);
+        }
+        this._signatures.set(id, signature);
+
+        const keys = new Array(this.bands);
+        for (let k = 0; k < this.bands; k++) {
+            const key = keys[k] = this._bandKey(signature, k);
+            if (key === null) continue;
+            const bucket = this._buckets[k];
+            let ids = bucket.get(key);
+            if (ids === undefined) {
+                ids = new Set();
+                bucket.set(key, ids);
+            }
+            ids.add(id);
+        }
+        this._bandKeys.set(id, keys);
+    }
+
+    /**
+     * Removes a signature from the index.
+     * @param {*} id - Identifier passed to `insert`.
+     * @returns {boolean} True if the id was present.
+     */
+    remove(id) {
+        const keys = this._bandKeys.get(id);
+        if (keys === undefined) return false;
+        this._signatures.delete(id);
+        this._bandKeys.delete(id);
+
+        for (let k = 0; k < this.bands; k++) {
+            const key = keys[k];
+            if (key === null) continue;
+            const bucket = this._buckets[k];
+            const ids = bucket.get(key);
+            ids.delete(id);
+            if (ids.size === 0) bucket.delete(key);
+        }
+        return true;
+    }
+
+    /**
+     * Finds ids whose signatures share at least one band with the query.
+     * With `verify`, candidates are checked with `estimateJaccardSimilarity` and only those reaching the
+     * threshold are returned; passing `errorTolerance` enables its early-termination path.
+     * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signature - Query signature.
+     * @param {object} [options] - Optional options object
+     * @param {boolean} [options.verify=false] - Verify candidates against the threshold.
+     * @param {number} [options.similarityThreshold] - Verification threshold. Defaults to the index `threshold`.
+     * @param {number} [options.errorTolerance] - Epsilon for early termination during verification.
+     * @param {number} [options.maxGroups] - Limit verification to the first `maxGroups` groups.
+     * @returns {Array<*>} Candidate ids, in insertion order of their first matching band.
+     */
+    query(signature, options = {}) {
+        this._validateSignature(signature);
+        const {
+            verify = false,
+            similarityThreshold = this.threshold,
+            errorTolerance,
+            maxGroups
+        } = options === null ? {} : options;
+
+        const candidates = new Set();
+        for (let k = 0; k < this.bands; k++) {
+            const key = this._bandKey(signature, k);
+            if (key === null) continue;
+            const ids = this._buckets[k].get(key);
+            if (ids === undefined) continue;
+            for (const id of ids) candidates.add(id);
+        }
+
+        if (!verify) {
+            return [...candidates];
+        }
+        if (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1) {
+            throw new Error("Verification requires a 'similarityThreshold' (or an index 'threshold') between 0 and 1.");
+        }
+
+        const estimateOptions = { numGroups: this.numGroups, bitDepth: this.bitDepth, maxGroups };
+        if (errorTolerance !== undefined) {
+            estimateOptions.similarityThreshold = similarityThreshold;
+            estimateOptions.errorTolerance = errorTolerance;
+        }
+
+        const verified = [];
+        for (const id of candidates) {
+            const similarity = estimateJaccardSimilarity(signature, this._signatures.get(id), estimateOptions);
+            if (similarity >= similarityThreshold) {
+                verified.push(id);
+            }
+        }
+        return verified;
+    }
+
+    /**
+     * @private
+     * Hashes band k of a signature into a bucket key, or returns null for an all-empty band.
+     */
+    _bandKey(signature, k) {
+        const start = this._bandStarts[k];
+        const end = start + this.rows;
+        if (signature instanceof GroupedOPHSignature) signature = signature.values;
+        const packed = signature instanceof PackedSignature;
+        let key = k;
+        let allEmpty = true;
+        for (let i = start; i < end; i++) {
+            const value = packed ? signature.get(i) : signature[i];
+            if (value !== 0) allEmpty = false;
+            key = murmurhash3_32_gc_single_int(value, key);
+        }
+        return allEmpty ? null : key;
+    }
+
+    /**
+     * @private
+     */
+    _validateSignature(signature) {
+        if (!signature || signature.length !== this.numHashes) {
+            throw new Error(`Signature must be non-null and of length ${this.numHashes}.`);
+        }
+        if (signature instanceof GroupedOPHSignature) {
+            if (signature.numGroups !== this.numGroups || signature.bitDepth !== this.bitDepth) {
+                throw new Error(`Signature (numGroups ${signature.numGroups}, bitDepth ${signature.bitDepth}) does not match the index (numGroups ${this.numGroups}, bitDepth ${this.bitDepth}).`);
+            }
+            if (this._metadata !== null) _assertCompatibleSignatures(this._metadata, signature);
+            return;
+        }
+        const storageBitDepth = this.bitDepth <= 8 && !(signature instanceof PackedSignature) ? 8 : this.bitDepth;
+        if (getBitDepth(signature) !== storageBitDepth) {
+            throw new Error(`Signature type does not match the index bit depth (${this.bitDepth}).`);
+        }
+    }
+}
+
+/**
+ * N signatures of the same shape stored row after row in one contiguous TypedArray, for scanning a query
+ * against all of them. `queryAll` validates the query once and compares it with every row using the same
+ * group-by-group logic as `estimateJaccardSimilarity`, including `maxGroups` and threshold early termination.
+ * 2- and 4-bit values are stored one per byte; packed signatures are unpacked when added.
+ * With a WebAssembly backend (see `setBackend`) the rows live in the module's memory, and scans without
+ * early termination count every row there.
+ * As with `LSHIndex`, wrapped signatures are checked against the generation parameters of the first one added.
+ */
+export class SignatureMatrix {
+    /**
+     * @param {object} options - Matrix configuration
+     * @param {number} options.numHashes - Length of the stored signatures.
+     * @param {number} options.numGroups - Number of groups the signatures were generated with.
+     * @param {number} [options.bitDepth=32] - Bit depth of the stored signatures (2, 4, 8, 16, or 32).
+     * @param {number} [options.capacity=16] - Rows to allocate up front; storage doubles when full.
+     */
+    constructor(options = {}) {
+        const {
+            numHashes,
+            numGroups,
+            bitDepth = 32,
+            capacity = 16
+        } = options === null ? {} : options;
+
+        _validateSignatureShape(numHashes, numGroups);
+        if (bitDepth === 64) {
+            throw new Error("64-bit signatures cannot be indexed: downgrade them to 32 bits or fewer with downgradeSignature first.");
+        }
+        if (![2, 4, 8, 16, 32].includes(bitDepth)) {
+            throw new Error("bitDepth must be 2, 4, 8, 16, or 32.");
+        }
+        if (typeof capacity !== 'number' || capacity < 0 || !Number.isInteger(capacity)) {
+            throw new Error("capacity must be a non-negative integer.");
+        }
+
+        this.numHashes = numHashes;
+        this.numGroups = numGroups;
+        this.bitDepth = bitDepth;
+        this._rows = 0;
+        this._metadata = null; // _compatibilityFields of the first wrapped signature added
+        this._wasm = _wasmInstance();
+        this._values = null;
+        this._values = this._allocate(Math.max(capacity, 1) * numHashes);
+    }
+
+    /**
+     * Builds a matrix from a list of signatures. numHashes is taken from the first signature, and
+     * numGroups and bitDepth too if it is a `GroupedOPHSignature`; `options` override them.
+     * @param {Iterable<Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature>} signatures - Signatures to add, in row order.
+     * @param {object} [options] - As for the constructor.
+     * @returns {SignatureMatrix}
+     */
+    static from(signatures, options = {}) {
+        const list = Array.isArray(signatures) ? signatures : [...signatures];
+        const first = list[0];
+        const inferred = {};
+        if (first instanceof GroupedOPHSignature) {
+            inferred.numGroups = first.numGroups;
+            inferred.bitDepth = first.bitDepth;
+        } else if (first instanceof PackedSignature) {
+            inferred.bitDepth = first.bitDepth;
+        } else if (first !== undefined && getBitDepth(first) !== null) {
+            inferred.bitDepth = getBitDepth(first);
+        }
+        const matrix = new SignatureMatrix({
+            numHashes: first === undefined ? undefined : first.length,
+            capacity: list.length,
+            ...inferred,
+            ...(options === null ? {} : options)
+        });
+        for (const signature of list) {
+            matrix.add(signature);
+        }
+        return matrix;
+    }
+
+    /**
+     * Number of signatures in the matrix.
+     * @returns {number}
+     */
+    get size() {
+        return this._rows;
+    }
+
+    /**
+     * The stored values, `size * numHashes` of them, row after row. The view is only valid until the
+     * next `add` or `queryAll`, which may move the storage.
+     * @returns {Uint8Array|Uint16Array|Uint32Array}
+     */
+    get values() {
+        return this._values.subarray(0, this._rows * this.numHashes);
+    }
+
+    /**
+     * Appends a signature as the next row.
+     * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signature - Signature generated with the matrix's settings.
+     * @returns {number} Index of the new row.
+     */
+    add(signature) {
+        this._validateSignature(signature);
+        if (this._metadata === null && signature instanceof GroupedOPHSignature) {
+            this._metadata = _compatibilityFields(signature);
+        }
+        let values = signature instanceof GroupedOPHSignature ? signature.values : signature;
+        if (values instanceof PackedSignature) values = values.unpack();
+
+        const offset = this._rows * this.numHashes;
+        if (offset + this.numHashes > this._values.length) {
+            this._values = this._allocate(this._values.length * 2);
+        }
+        this._values.set(values, offset);
+        return this._rows++;
+    }
+
+    /**
+     * @param {number} index - Row index returned by `add`.
+     * @returns {Uint8Array|Uint16Array|Uint32Array} A copy of the row's values.
+     */
+    row(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this._rows) {
+            throw new Error(`Row index ${index} is out of range (size ${this._rows}).`);
+        }
+        return this._values.slice(index * this.numHashes, (index + 1) * this.numHashes);
+    }
+
+    /**
+     * Estimates the Jaccard similarity of a query with every row.
+     * With `topK`, only the best rows are kept, in a heap of k entries, instead of a score per row.
+     * @param {Uint8Array|Uint16Array|Uint32Array|PackedSignature|GroupedOPHSignature} signature - Query signature.
+     * @param {object} [options] - Optional options object
+     * @param {number} [options.maxGroups] - Compare only the first `maxGroups` groups of each row.
+     * @param {number} [options.similarityThreshold] - Threshold for early termination; with `topK`, rows below it are left out.
+     * @param {number} [options.errorTolerance] - Epsilon for early termination. Required with `similarityThreshold`.
+     * @param {number} [options.topK] - Return only the k most similar rows.
+     * @param {boolean} [options.collisionCorrection=true] - Correct 2-, 4- and 8-bit matches for accidental collisions.
+     * @returns {Float32Array|Array<{index: number, similarity: number}>} One similarity per row (0 for rows confidently
+     *   below the threshold, as from `estimateJaccardSimilarity`), or with `topK` the best rows, most similar first.
+     */
+    queryAll(signature, options = {}) {
+        this._validateSignature(signature);
+        const {
+            maxGroups = this.numGroups,
+            similarityThreshold,
+            errorTolerance,
+            topK,
+            collisionCorrection = true
+        } = options === null ? {} : options;
+
+        if (typeof maxGroups !== 'number' || maxGroups <= 0 || !Number.isInteger(maxGroups) || maxGroups > this.numGroups) {
+            throw new Error("Invalid 'maxGroups' for fast approximation. It must be a positive integer <= numGroups.");
+        }
+        const hasThreshold = similarityThreshold !== undefined || errorTolerance !== undefined;
+        if (hasThreshold) {
+            if (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1) {
+                throw new Error("Invalid or missing 'similarityThreshold' for optimized similarity estimation. It must be a number between 0 and 1.");
+            }
+            if (typeof errorTolerance !== 'number' || errorTolerance <= 0 || errorTolerance >= 1) {
+                throw new Error("Invalid or missing 'errorTolerance' for optimized similarity estimation. It must be a number > 0 and < 1.");
+            }
+        }
+        if (topK !== undefined && (typeof topK !== 'number' || topK <= 0 || !Number.isInteger(topK))) {
+            throw new Error("topK must be a positive integer.");
+        }
+
+        let query = signature instanceof GroupedOPHSignature ? signature.values : signature;
+        if (query instanceof PackedSignature) query = query.unpack();
+        const plan = {
+            numGroups: this.numGroups,
+            maxGroups,
+            similarityThreshold: hasThreshold ? similarityThreshold : undefined,
+            errorTolerance,
+            packedBitDepth: 0
+        };
+        const correct = collisionCorrection !== false && this.bitDepth <= 8;
+        const numHashes = this.numHashes;
+        const rows = this._rows;
+        // Without early termination every row is compared in full, so all of them are counted at once
+        const counts = this._wasm !== null && !hasThreshold && rows > 0 && getBackend() !== 'js'
+            ? this._countRows(query, maxGroups * (numHashes / this.numGroups))
+            : null;
+        const values = this._values;
+        const similarityOf = (r) => {
+            const offset = r * numHashes;
+            const collisionRate = correct ? _collisionRate(query, values, this.bitDepth, offset) : 0;
+            if (counts === null) {
+                return _compareGroups(query, values, offset, plan, collisionRate).estimate;
+            }
+            return _correctCollisions(counts[3 * r], counts[3 * r + 2], counts[3 * r + 1], collisionRate);
+        };
+
+        if (topK === undefined) {
+            const similarities = new Float32Array(rows);
+            for (let r = 0; r < rows; r++) {
+                similarities[r] = similarityOf(r);
+            }
+            return similarities;
+        }
+
+        const capacity = Math.min(topK, rows);
+        const heapScores = new Float64Array(capacity);
+        const heapRows = new Uint32Array(capacity);
+        let count = 0;
+        for (let r = 0; r < rows; r++) {
+            const similarity = similarityOf(r);
+            if (hasThreshold && similarity < similarityThreshold) continue;
+            if (count < capacity) {
+                heapScores[count] = similarity;
+                heapRows[count] = r;
+                _heapSiftUp(heapScores, heapRows, count++);
+            } else if (similarity > heapScores[0]) {
+                // Equal scores keep the earlier row already in the heap
+                heapScores[0] = similarity;
+                heapRows[0] = r;
+                _heapSiftDown(heapScores, heapRows, count, 0);
+            }
+        }
+
+        const best = new Array(count);
+        for (let i = 0; i < count; i++) {
+            best[i] = { index: heapRows[i], similarity: heapScores[i] };
+        }
+        return best.sort((a, b) => b.similarity - a.similarity || a.index - b.index);
+    }
+
+    /**
+     * @private
+     * Storage for `length` values, holding the rows added so far. In WebAssembly memory the rows follow
+     * a slot for the query and stay in place when the memory grows.
+     */
+    _allocate(length) {
+        const TypedArrayConstructor = this.bitDepth <= 8 ? Uint8Array : this.bitDepth === 16 ? Uint16Array : Uint32Array;
+        if (this._wasm === null) {
+            const storage = new TypedArrayConstructor(length);
+            if (this._values !== null) storage.set(this._values);
+            return storage;
+        }
+        const rowsOffset = _align16(this.numHashes * 4);
+        _wasmReserve(this._wasm.exports, rowsOffset + length * TypedArrayConstructor.BYTES_PER_ELEMENT);
+        return new TypedArrayConstructor(this._wasm.exports.memory.buffer, rowsOffset, length);
+    }
+
+    /**
+     * @private
+     * Counts matches, union and both-non-empty bins over the first `count` values of every row in WebAssembly.
+     * @returns {Int32Array} Three counts per row: matches, union, both.
+     */
+    _countRows(query, count) {
+        const { exports } = this._wasm;
+        const { length, byteOffset, byteLength, BYTES_PER_ELEMENT } = this._values;
+        const countsOffset = byteOffset + _align16(byteLength);
+        _wasmReserve(exports, countsOffset + this._rows * 12);
+
+        const TypedArrayConstructor = this._values.constructor;
+        this._values = new TypedArrayConstructor(exports.memory.buffer, byteOffset, length);
+        new TypedArrayConstructor(exports.memory.buffer, 0, this.numHashes).set(query);
+        exports.compare(0, byteOffset, this._rows, count, this.numHashes, BYTES_PER_ELEMENT, countsOffset);
+        return new Int32Array(exports.memory.buffer, countsOffset, this._rows * 3);
+    }
+
+    /**
+     * @private
+     */
+    _validateSignature(signature) {
+        if (!signature || signature.length !== this.numHashes) {
+            throw new Error(`Signature must be non-null and of length ${this.numHashes}.`);
+        }
+        if (signature instanceof GroupedOPHSignature) {
+            if (signature.numGroups !== this.numGroups || signature.bitDepth !== this.bitDepth) {
+                throw new Error(`Signature (numGroups ${signature.numGroups}, bitDepth ${signature.bitDepth}) does not match the matrix (numGroups ${this.numGroups}, bitDepth ${this.bitDepth}).`);
+            }
+            if (this._metadata !== null) _assertCompatibleSignatures(this._metadata, signature);
+            return;
+        }
+        const storageBitDepth = this.bitDepth <= 8 && !(signature instanceof PackedSignature) ? 8 : this.bitDepth;
+        if (getBitDepth(signature) !== storageBitDepth) {
+            throw new Error(`Signature type does not match the matrix bit depth (${this.bitDepth}).`);
+        }
     }
+}
 
-    const newSignature = new NewTypedArrayConstructor(signature.length);
-    const len = signature.length;
-    for (var i = 0; i < len; i++) {
-        const originalValue = signature[i];
-        if (originalValue === 0) {
-            newSignature[i] = 0;
-        } else {
-            let maskedValue = originalValue & mask;
-            if (maskedValue === 0) {
-                maskedValue = 1;
-            }
-            newSignature[i] = maskedValue;
+/**
+ * @private
+ * Whether heap entry i ranks below entry j: a lower score, or the same score from a later row.
+ */
+function _heapWorse(scores, rows, i, j) {
+    return scores[i] < scores[j] || (scores[i] === scores[j] && rows[i] > rows[j]);
+}
+
+/**
+ * @private
+ * Moves entry i of a min-heap (worst entry at the root) up to its place.
+ */
+function _heapSiftUp(scores, rows, i) {
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!_heapWorse(scores, rows, i, parent)) break;
+        _heapSwap(scores, rows, i, parent);
+        i = parent;
     }
+}
+
+/**
+ * @private
+ * Moves entry i of a min-heap of `count` entries down to its place.
+ */
+function _heapSiftDown(scores, rows, count, i) {
+    for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let worst = i;
+        if (left < count && _heapWorse(scores, rows, left, worst)) worst = left;
+        if (right < count && _heapWorse(scores, rows, right, worst)) worst = right;
+        if (worst === i) return;
+        _heapSwap(scores, rows, i, worst);
+        i = worst;
     }
-    return newSignature;
 }
 
 /**
- * Estimates Jaccard similarity between two Grouped MinHash signatures.
- * Assumes signatures were generated with the same number of hash functions and compatible settings.
- * Handles signatures of different bit depths by attempting to downgrade the higher precision one.
+ * @private
+ */
+function _heapSwap(scores, rows, i, j) {
+    const score = scores[i];
+    scores[i] = scores[j];
+    scores[j] = score;
+    const row = rows[i];
+    rows[i] = rows[j];
+    rows[j] = row;
+}
+
+/**
+ * Finds every pair of signatures whose Jaccard similarity reaches a threshold (a self-join), e.g. for
+ * corpus-level deduplication. Signatures are read one at a time: each is looked up in an `LSHIndex` of the
+ * signatures read before it, the candidates are verified with `estimateJaccardSimilarity`, and it is then
+ * added to the index. Pairs are yielded as they are found, so memory holds the index but never the pairs.
  *
- * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>} signatureA - First signature.
- * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>} signatureB - Second signature.
- * @param {object} options - Optional options object
- * @param {number} options.numGroups - Number of groups the signature was generated with
- * @param {number} options.similarityThreshold - Optional T from paper (target Jaccard index)
- * @param {number} options.errorTolerance - Optional epsilon from paper (acceptable error probability for early exit)
- * @param {number} options.maxGroups - Optional limit on number of groups to use (for fast approximation)
- * @returns {number} The estimated Jaccard similarity.
+ * Recall is set by the banding: a pair of similarity s becomes a candidate with probability
+ * 1 - (1 - s^rows)^bands. The bands derived from the threshold balance missed pairs against wasted
+ * verifications; pass shorter `rows` (and more `bands`) to miss fewer pairs just above the threshold.
+ *
+ * Options are validated immediately; the signatures are read as the iterator is consumed.
+ *
+ * @param {Iterable|AsyncIterable|Map} signatures - Signatures identified by their position, or a Map from id to signature.
+ * @param {object} options - Join configuration
+ * @param {number} options.threshold - Jaccard threshold; pairs at or above it are yielded.
+ * @param {number} [options.numGroups] - Number of groups. Taken from the first signature if it is a `GroupedOPHSignature`.
+ * @param {number} [options.bitDepth] - Bit depth of the signatures. Defaults to `getBitDepth` of the first signature.
+ * @param {number} [options.errorTolerance] - Verify candidates with early termination at this error probability.
+ * @param {number} [options.bands] - Number of LSH bands. Derived from the threshold with `rows` if omitted.
+ * @param {number} [options.rows] - Number of signature values per band.
+ * @returns {AsyncGenerator<{a: *, b: *, similarity: number}>} Pairs of ids, `a` read before `b`, with their estimated similarity.
  */
-export function estimateJaccardSimilarity(
-    signatureA,
-    signatureB,
-    options = {}
-) {
-    if (!signatureA || !signatureB || signatureA.length !== signatureB.length) {
-        throw new Error("Signatures must be non-null and of equal length.");
+export function similarityJoin(signatures, options = {}) {
+    if (!signatures || (typeof signatures[Symbol.iterator] !== 'function' && typeof signatures[Symbol.asyncIterator] !== 'function')) {
+        throw new Error("signatures must be an iterable, an async iterable, or a Map.");
     }
-    if (signatureA.length === 0) return 1.0; // Or 0.0 if definitionally no items? Paper implies 1.0 for empty sets.
-
     const currentOptions = options === null ? {} : options;
+    _validateJoinOptions(currentOptions);
+    return _similarityJoin(signatures, currentOptions);
+}
 
-    const {
-        numGroups,         // Number of groups the signature was generated with
-        similarityThreshold,   // Optional T from paper (target Jaccard index)
-        errorTolerance,        // Optional epsilon from paper (acceptable error probability for early exit)
-        maxGroups              // Optional limit on number of groups to use (for fast approximation)
-    } = currentOptions;
+/**
+ * @private
+ * The generator behind `similarityJoin`.
+ */
+async function* _similarityJoin(signatures, options) {
+    const keyed = signatures instanceof Map;
+    const join = _createJoiner(options);
+    let position = 0;
 
-    const hasStatisticalEarlyTermination = similarityThreshold !== undefined || errorTolerance !== undefined;
-    const hasFastMode = maxGroups !== undefined;
-    const needsNumGroups = hasStatisticalEarlyTermination || hasFastMode;
+    for await (const item of signatures) {
+        const [id, signature] = keyed ? item : [position, item];
+        position++;
+        yield* join(id, signature);
+    }
+}
 
-    if (needsNumGroups) {
-        if (
-            typeof numGroups !== 'number' || numGroups <= 0 ||
-            !Number.isInteger(numGroups) ||
-            signatureA.length % numGroups !== 0
-        ) {
-            throw new Error("Invalid or missing 'numGroups' for optimized similarity estimation. It must be a positive integer and a divisor of signature length.");
-        }
-        
-        // Validate statistical early termination parameters if any are provided
-        if (hasStatisticalEarlyTermination) {
-            if (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1) {
-                throw new Error("Invalid or missing 'similarityThreshold' for optimized similarity estimation. It must be a number between 0 and 1.");
+/**
+ * @private
+ * Validates the options shared by `similarityJoin` and `clusterSignatures`.
+ */
+function _validateJoinOptions(options) {
+    const { threshold, errorTolerance } = options;
+    if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+        throw new Error("threshold must be a number > 0 and <= 1.");
+    }
+    if (errorTolerance !== undefined && (typeof errorTolerance !== 'number' || errorTolerance <= 0 || errorTolerance >= 1)) {
+        throw new Error("Invalid or missing 'errorTolerance' for optimized similarity estimation. It must be a number > 0 and < 1.");
+    }
+}
+
+/**
+ * @private
+ * Returns a function that takes the signatures of a join one at a time, as (id, signature), and returns the
+ * verified pairs with signatures taken before it. The index is built from the first signature, whose shape
+ * supplies numHashes and, unless given, numGroups and bitDepth.
+ */
+function _createJoiner(options) {
+    const { threshold, errorTolerance, bands, rows } = options;
+    const stored = new Map();
+    let index = null;
+    let estimateOptions;
+
+    return (id, signature) => {
+        if (index === null) {
+            index = new LSHIndex({
+                numHashes: signature ? signature.length : undefined,
+                numGroups: options.numGroups !== undefined || !(signature instanceof GroupedOPHSignature) ? options.numGroups : signature.numGroups,
+                bitDepth: options.bitDepth !== undefined ? options.bitDepth : (getBitDepth(signature) || undefined),
+                threshold,
+                bands,
+                rows
+            });
+            estimateOptions = { numGroups: index.numGroups, bitDepth: index.bitDepth };
+            if (errorTolerance !== undefined) {
+                estimateOptions.similarityThreshold = threshold;
+                estimateOptions.errorTolerance = errorTolerance;
             }
-            if (typeof errorTolerance !== 'number' || errorTolerance <= 0 || errorTolerance >= 1) {
-                throw new Error("Invalid or missing 'errorTolerance' for optimized similarity estimation. It must be a number > 0 and < 1.");
+        }
+
+        const pairs = [];
+        for (const candidate of index.query(signature)) {
+            const similarity = estimateJaccardSimilarity(stored.get(candidate), signature, estimateOptions);
+            if (similarity >= threshold) {
+                pairs.push({ a: candidate, b: id, similarity });
             }
         }
-        
-        if (hasFastMode && (typeof maxGroups !== 'number' || maxGroups <= 0 || !Number.isInteger(maxGroups) || maxGroups > numGroups)) {
-            throw new Error("Invalid 'maxGroups' for fast approximation. It must be a positive integer <= numGroups.");
+        index.insert(id, signature);
+        stored.set(id, signature);
+        return pairs;
+    };
+}
+
+/**
+ * Groups near-duplicate signatures into clusters. Pairs at or above the threshold are found as in
+ * `similarityJoin` (LSH candidates verified with `estimateJaccardSimilarity`), then:
+ *
+ * - 'connected' (default): clusters are the connected components of the similar pairs, found with union-find.
+ *   Similarity is not transitive, so the ends of a long chain of edits can land in one cluster.
+ * - 'centroid': stricter. Signatures are taken in order of how many similar signatures they have; each one not
+ *   yet clustered becomes a centroid, and its unclustered similar signatures join it. Every member is then
+ *   within the threshold of its centroid.
+ *
+ * Every signature is in exactly one cluster; one without similar signatures forms a cluster of its own.
+ *
+ * @param {Iterable|Map} signatures - Signatures identified by their position, or a Map from id to signature.
+ * @param {object} options - Clustering configuration, plus the `similarityJoin` options
+ * @param {number} options.threshold - Jaccard threshold for two signatures to count as similar.
+ * @param {number} [options.numGroups] - Number of groups. Taken from the first signature if it is a `GroupedOPHSignature`.
+ * @param {'connected'|'centroid'} [options.mode='connected'] - How pairs are turned into clusters.
+ * @returns {Array<{centroid: *, members: Array<*>}>} Clusters ordered by their first member, members in input order.
+ *   In 'connected' mode the centroid is the member with the most similar signatures.
+ */
+export function clusterSignatures(signatures, options = {}) {
+    if (!signatures || typeof signatures[Symbol.iterator] !== 'function') {
+        throw new Error("signatures must be an iterable or a Map.");
+    }
+    const currentOptions = options === null ? {} : options;
+    _validateJoinOptions(currentOptions);
+    const { mode = 'connected' } = currentOptions;
+    if (mode !== 'connected' && mode !== 'centroid') {
+        throw new Error("mode must be 'connected' or 'centroid'.");
+    }
+
+    const keyed = signatures instanceof Map;
+    const join = _createJoiner(currentOptions);
+    const ids = [];
+    const positions = new Map();
+    const neighbors = [];
+    for (const item of signatures) {
+        const [id, signature] = keyed ? item : [ids.length, item];
+        const position = ids.length;
+        const pairs = join(id, signature);
+        ids.push(id);
+        positions.set(id, position);
+        neighbors.push([]);
+        for (const { a } of pairs) {
+            const other = positions.get(a);
+            neighbors[position].push(other);
+            neighbors[other].push(position);
         }
-    } else {
-        let matches = 0;
-        let unionCount = 0;
-        const len = signatureA.length;
-        for (let i = 0; i < len; i++) {
-            const valA = signatureA[i];
-            const valB = signatureB[i];
-            // Branchless version using arithmetic and bitwise operations
-            // unionCount += (valA !== 0 || valB !== 0) ? 1 : 0;
-            // matches += (valA === valB && valA !== 0) ? 1 : 0;
-            // The following is branchless:
-            const isActive = ((valA | valB) !== 0) | 0; // 1 if either is nonzero, else 0
-            unionCount += isActive;
-            // (valA === valB) is 1 if equal, 0 if not; (valA !== 0) is 1 if nonzero, 0 if zero
-            // So: (valA === valB) & (valA !== 0) is 1 if both true, else 0
-            matches += ((valA === valB) & (valA !== 0));
+    }
+
+    const clusterOf = mode === 'centroid' ? _centroidClusters(neighbors) : _connectedClusters(neighbors);
+    const clusters = [];
+    const clusterIndex = new Map();
+    for (let position = 0; position < ids.length; position++) {
+        const { label, centroid } = clusterOf[position];
+        let cluster = clusterIndex.get(label);
+        if (cluster === undefined) {
+            cluster = { centroid: ids[centroid], members: [] };
+            clusterIndex.set(label, cluster);
+            clusters.push(cluster);
         }
-        return unionCount === 0 ? 1.0 : matches / unionCount;
+        cluster.members.push(ids[position]);
     }
+    return clusters;
+}
 
-    // Optimized path with early termination
-    const n_total_hashes = signatureA.length;
-    const k_prime = n_total_hashes / numGroups; // k' in paper (bins per group)
-    const T = similarityThreshold;
-    const epsilon = errorTolerance;
+/**
+ * @private
+ * Connected components of the similarity graph by union-find (union by size, path halving).
+ * @param {Array<Array<number>>} neighbors - Positions of the similar signatures of each position.
+ * @returns {Array<{label: number, centroid: number}>} Per position, its component and the component's best-connected position.
+ */
+function _connectedClusters(neighbors) {
+    const count = neighbors.length;
+    const parent = new Int32Array(count);
+    const size = new Int32Array(count).fill(1);
+    for (let i = 0; i < count; i++) parent[i] = i;
 
-    // Pre-calculate constants to avoid repeated computation
-    const Ma = k_prime * T; // Ma from paper (target matches in a group if overall sim=T)
-    const total_target_matches_overall = numGroups * Ma; // numGroups * k_prime * T
-    const np_approx = k_prime * T;
-    const nq_approx = k_prime * (1 - T);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
 
-    // Pre-calculate mean and stdDev for normal approximation if it's likely to be used
-    let precalc_norm_mean;
-    let precalc_norm_stdDev;
-    if (hasStatisticalEarlyTermination && k_prime > N_APPROX_THRESHOLD && np_approx >= 5 && nq_approx >= 5) {
-        precalc_norm_mean = np_approx;
-        precalc_norm_stdDev = Math.sqrt(np_approx * (1 - T));
+    for (let i = 0; i < count; i++) {
+        for (const j of neighbors[i]) {
+            let rootI = find(i);
+            let rootJ = find(j);
+            if (rootI === rootJ) continue;
+            if (size[rootI] < size[rootJ]) [rootI, rootJ] = [rootJ, rootI];
+            parent[rootJ] = rootI;
+            size[rootI] += size[rootJ];
+        }
     }
 
-    let Mc = 0; // current total matched bins where valA === valB && valA !== 0
-    let final_unionCount = 0; // Calculate union count as we go to avoid second pass
-    
-    // Determine how many groups to actually process
-    const effectiveNumGroups = hasFastMode ? Math.min(maxGroups, numGroups) : numGroups;
-    
-    for (let l_group_idx = 0; l_group_idx < effectiveNumGroups; l_group_idx++) {
-        let current_group_matches = 0;
-        const group_start_offset = l_group_idx * k_prime;
-        const group_end_offset = group_start_offset + k_prime;
+    // The earliest position with the most neighbors represents its component
+    const best = new Map();
+    for (let i = 0; i < count; i++) {
+        const root = find(i);
+        const current = best.get(root);
+        if (current === undefined || neighbors[i].length > neighbors[current].length) best.set(root, i);
+    }
+    const result = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const root = find(i);
+        result[i] = { label: root, centroid: best.get(root) };
+    }
+    return result;
+}
 
-        // Single loop to count matches and union elements for this group
-        for (let sig_idx = group_start_offset; sig_idx < group_end_offset; sig_idx++) {
-            const valA = signatureA[sig_idx];
-            const valB = signatureB[sig_idx];
-            
-            // Branchless counting for union and matches
-            // union: increment if either is nonzero
-            final_unionCount += ((valA | valB) !== 0) | 0;
-            // matches: increment if equal and nonzero
-            current_group_matches += ((valA === valB) & (valA !== 0));
+/**
+ * @private
+ * Greedy centroid clustering: best-connected positions first, each claiming its unclaimed neighbors.
+ * @param {Array<Array<number>>} neighbors - Positions of the similar signatures of each position.
+ * @returns {Array<{label: number, centroid: number}>} Per position, its centroid (also used as the label).
+ */
+function _centroidClusters(neighbors) {
+    const count = neighbors.length;
+    const order = Array.from({ length: count }, (_, i) => i)
+        .sort((a, b) => neighbors[b].length - neighbors[a].length || a - b);
+    const result = new Array(count);
+    for (const centroid of order) {
+        if (result[centroid] !== undefined) continue;
+        const assignment = { label: centroid, centroid };
+        result[centroid] = assignment;
+        for (const member of neighbors[centroid]) {
+            if (result[member] === undefined) result[member] = assignment;
         }
-        
-        Mc += current_group_matches;
+    }
+    return result;
+}
 
-        // Skip early exit check for last group
-        if (l_group_idx === effectiveNumGroups - 1) {
-            break;
-        }
+const SERIALIZED_MAGIC = 0x48504f47; // "GOPH" read as a little-endian uint32
+const SERIALIZED_FORMAT_VERSION = 1;
+const SERIALIZED_HEADER_BYTES = 24;
+const SERIALIZED_CHECKSUM_BYTES = 4;
+const FLAG_DENSIFY_MASK = 0x03;
+const FLAG_PACKED_VALUES = 0x04;
+const FLAG_WEIGHTED = 0x08;
+const FLAG_XXH64 = 0x10;
+const FLAG_HASH_NAME = 0x20;
 
-        // Early exit logic - cache denominator calculation
-        const remaining_groups = effectiveNumGroups - (l_group_idx + 1);
-        
-        // Adjust target matches for the effective number of groups we're using
-        const effective_target_matches = hasFastMode ? effectiveNumGroups * Ma : total_target_matches_overall;
-        const Mra = (effective_target_matches - Mc) / remaining_groups;
+/**
+ * @private
+ * Size in bytes of a serialized payload of numHashes values at bitDepth.
+ */
+function _payloadByteLength(numHashes, bitDepth) {
+    return Math.ceil(numHashes * bitDepth / 8);
+}
 
-        // Only do statistical early exit if we have both optimization parameters
-        if (!hasStatisticalEarlyTermination || similarityThreshold === undefined || errorTolerance === undefined) {
-            continue; // Skip early exit logic, just compute with limited groups
+/**
+ * Serializes a signature into a compact binary blob.
+ *
+ * Layout (all integers little-endian):
+ *
+ *     0  uint32  magic "GOPH"
+ *     4  uint8   format version (1)
+ *     5  uint8   algorithm version
+ *     6  uint8   bitDepth
+ *     7  uint8   flags (bits 0-1: densify scheme, bit 2: values were packed in memory, bit 3: weighted,
+ *                bit 4: hash 'xxh64', bit 5: hash named after the header)
+ *     8  uint32  numHashes
+ *    12  uint32  numGroups
+ *    16  uint32  seed
+ *    20  uint32  payload byte length
+ *    24  ...     with flag bit 5 only: uint8 name length, then the hash strategy name in ASCII
+ *     .  ...     payload: values at bitDepth, bit-packed lowest bits first for 2 and 4 bits
+ *   end  uint32  FNV-1a checksum of everything before it
+ *
+ * Releases before 64-bit hashing reject blobs with bit 4 set or a bitDepth of 64 as unknown flags or depth,
+ * and releases before hash strategies reject bit 5.
+ *
+ * @param {GroupedOPHSignature|Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature} signature - The signature.
+ *   Raw values need `options.numGroups`.
+ * @param {object} [options] - Metadata for raw values, as accepted by the `GroupedOPHSignature` constructor.
+ * @returns {Uint8Array} The serialized signature.
+ */
+export function serializeSignature(signature, options = {}) {
+    if (!(signature instanceof GroupedOPHSignature)) {
+        signature = new GroupedOPHSignature(signature, options === null ? {} : options);
+    }
+    const { values, numHashes, numGroups, bitDepth, seed, version, densify, weighted, hash } = signature;
+
+    const namedHash = !BUILTIN_HASHES.includes(hash);
+    const payloadBytes = _payloadByteLength(numHashes, bitDepth);
+    const offset = SERIALIZED_HEADER_BYTES + (namedHash ? 1 + hash.length : 0);
+    const bytes = new Uint8Array(offset + payloadBytes + SERIALIZED_CHECKSUM_BYTES);
+    const view = new DataView(bytes.buffer);
+
+    let flags = DENSIFY_CODES.indexOf(densify);
+    if (values instanceof PackedSignature) flags |= FLAG_PACKED_VALUES;
+    if (weighted) flags |= FLAG_WEIGHTED;
+    if (hash === 'xxh64') flags |= FLAG_XXH64;
+    if (namedHash) flags |= FLAG_HASH_NAME;
+
+    view.setUint32(0, SERIALIZED_MAGIC, true);
+    view.setUint8(4, SERIALIZED_FORMAT_VERSION);
+    view.setUint8(5, version);
+    view.setUint8(6, bitDepth);
+    view.setUint8(7, flags);
+    view.setUint32(8, numHashes, true);
+    view.setUint32(12, numGroups, true);
+    view.setUint32(16, seed, true);
+    view.setUint32(20, payloadBytes, true);
+    if (namedHash) {
+        // The constructor only accepts printable ASCII names of up to 64 characters
+        bytes[SERIALIZED_HEADER_BYTES] = hash.length;
+        for (let i = 0; i < hash.length; i++) bytes[SERIALIZED_HEADER_BYTES + 1 + i] = hash.charCodeAt(i);
+    }
+
+    if (bitDepth === 64) {
+        for (let i = 0; i < numHashes; i++) view.setBigUint64(offset + i * 8, values[i], true);
+    } else if (bitDepth === 32) {
+        for (let i = 0; i < numHashes; i++) view.setUint32(offset + i * 4, values[i], true);
+    } else if (bitDepth === 16) {
+        for (let i = 0; i < numHashes; i++) view.setUint16(offset + i * 2, values[i], true);
+    } else if (bitDepth === 8) {
+        bytes.set(values, offset);
+    } else {
+        const packed = values instanceof PackedSignature;
+        const perByte = 8 / bitDepth;
+        for (let i = 0; i < numHashes; i++) {
+            const value = packed ? values.get(i) : values[i];
+            bytes[offset + ((i / perByte) | 0)] |= value << ((i % perByte) * bitDepth);
         }
+    }
 
-        let prob_of_undesired_outcome;
-        if (Mra < Ma) {
-            // Trending "better" than T. Concerned about dropping below T.
-            prob_of_undesired_outcome = _binomialCDF(Math.floor(Mra - 1e-9), k_prime, T, precalc_norm_mean, precalc_norm_stdDev);
-            if (prob_of_undesired_outcome <= epsilon) {
-                // Confident it's above threshold - estimate final similarity
-                // Estimate remaining union count based on current ratio
-                const processed_elements = (l_group_idx + 1) * k_prime;
-                const union_ratio = final_unionCount / processed_elements;
-                const estimated_total_union = union_ratio * n_total_hashes;
-                
-                // Estimate remaining matches based on current match rate
-                const match_ratio = Mc / processed_elements;
-                const estimated_total_matches = match_ratio * n_total_hashes;
-                
-                return estimated_total_union === 0 ? 1.0 : estimated_total_matches / estimated_total_union;
-            }
-        } else { // Mra >= Ma (Trending "worse" than T or on track)
-            // Use pre-calculated ceiling to avoid repeated Math.ceil calls
-            const ceiling_Mra = Math.ceil(Mra - 1e-9);
-            prob_of_undesired_outcome = 1 - _binomialCDF(ceiling_Mra - 1, k_prime, T, precalc_norm_mean, precalc_norm_stdDev);
-            if (prob_of_undesired_outcome <= epsilon) {
-                return 0.0; // Confidently dissimilar
-            }
+    const checksumOffset = offset + payloadBytes;
+    view.setUint32(checksumOffset, _fnv1aBytes(bytes, 0, checksumOffset), true);
+    return bytes;
+}
+
+/**
+ * Parses a blob produced by `serializeSignature`, validating the header, length and checksum. Signatures of an
+ * algorithm version newer than `ALGORITHM_VERSION` are rejected.
+ * @param {Uint8Array|ArrayBuffer} input - The serialized signature.
+ * @returns {GroupedOPHSignature} The signature with its metadata.
+ */
+export function deserializeSignature(input) {
+    let bytes;
+    if (input instanceof Uint8Array) {
+        bytes = input;
+    } else if (input instanceof ArrayBuffer) {
+        bytes = new Uint8Array(input);
+    } else {
+        throw new Error("Serialized signature must be a Uint8Array or ArrayBuffer.");
+    }
+
+    const minimumBytes = SERIALIZED_HEADER_BYTES + SERIALIZED_CHECKSUM_BYTES;
+    if (bytes.length < minimumBytes) {
+        throw new Error(`Serialized signature is truncated: expected at least ${minimumBytes} bytes, got ${bytes.length}.`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (view.getUint32(0, true) !== SERIALIZED_MAGIC) {
+        throw new Error("Invalid serialized signature: bad magic number.");
+    }
+    const formatVersion = view.getUint8(4);
+    if (formatVersion !== SERIALIZED_FORMAT_VERSION) {
+        throw new Error(`Unsupported serialized signature format version ${formatVersion}.`);
+    }
+    const version = view.getUint8(5);
+    if (version > ALGORITHM_VERSION) {
+        throw new Error(`Unsupported algorithm version ${version}: this library generates version ${ALGORITHM_VERSION} and cannot compare newer signatures.`);
+    }
+    const bitDepth = view.getUint8(6);
+    const flags = view.getUint8(7);
+    const numHashes = view.getUint32(8, true);
+    const numGroups = view.getUint32(12, true);
+    const seed = view.getUint32(16, true);
+    const payloadBytes = view.getUint32(20, true);
+
+    if (![2, 4, 8, 16, 32, 64].includes(bitDepth) || (bitDepth === 64 && !(flags & FLAG_XXH64))) {
+        throw new Error(`Invalid serialized signature: unsupported bitDepth ${bitDepth}.`);
+    }
+    if ((flags & ~(FLAG_DENSIFY_MASK | FLAG_PACKED_VALUES | FLAG_WEIGHTED | FLAG_XXH64 | FLAG_HASH_NAME)) !== 0 ||
+        (flags & FLAG_DENSIFY_MASK) >= DENSIFY_CODES.length || ((flags & FLAG_XXH64) && (flags & FLAG_HASH_NAME))) {
+        throw new Error(`Invalid serialized signature: unknown flags 0x${flags.toString(16)}.`);
+    }
+    if (payloadBytes !== _payloadByteLength(numHashes, bitDepth)) {
+        throw new Error(`Invalid serialized signature: payload length ${payloadBytes} does not match ${numHashes} values at ${bitDepth} bits.`);
+    }
+    const nameLength = flags & FLAG_HASH_NAME ? bytes[SERIALIZED_HEADER_BYTES] : 0;
+    const offset = SERIALIZED_HEADER_BYTES + (flags & FLAG_HASH_NAME ? 1 + nameLength : 0);
+    const expectedBytes = offset + payloadBytes + SERIALIZED_CHECKSUM_BYTES;
+    if (bytes.length < expectedBytes) {
+        throw new Error(`Serialized signature is truncated: expected ${expectedBytes} bytes, got ${bytes.length}.`);
+    }
+    if (bytes.length > expectedBytes) {
+        throw new Error(`Invalid serialized signature: ${bytes.length - expectedBytes} unexpected trailing bytes.`);
+    }
+    const checksumOffset = offset + payloadBytes;
+    if (view.getUint32(checksumOffset, true) !== _fnv1aBytes(bytes, 0, checksumOffset)) {
+        throw new Error("Serialized signature checksum mismatch: data is corrupt.");
+    }
+
+    let hash = flags & FLAG_XXH64 ? 'xxh64' : 'murmur3';
+    if (flags & FLAG_HASH_NAME) {
+        hash = String.fromCharCode(...bytes.subarray(SERIALIZED_HEADER_BYTES + 1, offset));
+    }
+    let values;
+    if (bitDepth === 64) {
+        values = new BigUint64Array(numHashes);
+        for (let i = 0; i < numHashes; i++) values[i] = view.getBigUint64(offset + i * 8, true);
+    } else if (bitDepth === 32) {
+        values = new Uint32Array(numHashes);
+        for (let i = 0; i < numHashes; i++) values[i] = view.getUint32(offset + i * 4, true);
+    } else if (bitDepth === 16) {
+        values = new Uint16Array(numHashes);
+        for (let i = 0; i < numHashes; i++) values[i] = view.getUint16(offset + i * 2, true);
+    } else if (bitDepth === 8) {
+        values = bytes.slice(offset, offset + numHashes);
+    } else {
+        const perByte = 8 / bitDepth;
+        const mask = (1 << bitDepth) - 1;
+        values = new Uint8Array(numHashes);
+        for (let i = 0; i < numHashes; i++) {
+            values[i] = (bytes[offset + ((i / perByte) | 0)] >>> ((i % perByte) * bitDepth)) & mask;
+        }
+        if (flags & FLAG_PACKED_VALUES) {
+            values = PackedSignature.from(values, bitDepth);
         }
     }
 
-    // Return final similarity using the groups we processed (all or limited by maxGroups)
-    return final_unionCount === 0 ? 1.0 : Mc / final_unionCount;
+    // The constructor re-validates numGroups against numHashes.
+    return new GroupedOPHSignature(values, {
+        numGroups,
+        bitDepth,
+        seed,
+        version,
+        densify: DENSIFY_CODES[flags & FLAG_DENSIFY_MASK],
+        weighted: (flags & FLAG_WEIGHTED) !== 0,
+        hash
+    });
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE64_LOOKUP = new Int8Array(128).fill(-1);
+for (let i = 0; i < 64; i++) {
+    BASE64_LOOKUP[BASE64_ALPHABET.charCodeAt(i)] = i;
+    BASE64_LOOKUP[BASE64URL_ALPHABET.charCodeAt(i)] = i;
+}
+
+/**
+ * Serializes a signature (see `serializeSignature`) to a base64 or base64url string for JSON APIs.
+ * Implemented without Buffer or btoa so it runs in any JavaScript runtime.
+ * @param {GroupedOPHSignature|Uint8Array|Uint16Array|Uint32Array|PackedSignature} signature - The signature.
+ * @param {object} [options] - Metadata for raw values, plus:
+ * @param {boolean} [options.url=false] - Use the URL-safe alphabet without padding.
+ * @returns {string} The encoded signature.
+ */
+export function serializeSignatureToBase64(signature, options = {}) {
+    const { url = false, ...metadata } = options === null ? {} : options;
+    const bytes = serializeSignature(signature, metadata);
+    const alphabet = url ? BASE64URL_ALPHABET : BASE64_ALPHABET;
+
+    let out = '';
+    const len = bytes.length;
+    let i = 0;
+    for (; i + 2 < len; i += 3) {
+        const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+        out += alphabet[n >>> 18] + alphabet[(n >>> 12) & 63] + alphabet[(n >>> 6) & 63] + alphabet[n & 63];
+    }
+    if (i < len) {
+        const n = (bytes[i] << 16) | (i + 1 < len ? bytes[i + 1] << 8 : 0);
+        out += alphabet[n >>> 18] + alphabet[(n >>> 12) & 63];
+        out += i + 1 < len ? alphabet[(n >>> 6) & 63] : (url ? '' : '=');
+        out += url ? '' : '=';
+    }
+    return out;
+}
+
+/**
+ * Parses a string produced by `serializeSignatureToBase64`. Accepts both the standard and the URL-safe
+ * alphabet, with or without padding.
+ * @param {string} encoded - The encoded signature.
+ * @returns {GroupedOPHSignature} The signature with its metadata.
+ */
+export function deserializeSignatureFromBase64(encoded) {
+    if (typeof encoded !== 'string') {
+        throw new Error("Encoded signature must be a string.");
+    }
+    const trimmed = encoded.replace(/=+$/, '');
+    if (trimmed.length % 4 === 1) {
+        throw new Error("Invalid base64 signature string: bad length.");
+    }
+
+    const bytes = new Uint8Array((trimmed.length * 3) >>> 2);
+    let buffer = 0;
+    let bits = 0;
+    let out = 0;
+    for (let i = 0; i < trimmed.length; i++) {
+        const code = trimmed.charCodeAt(i);
+        const sextet = code < 128 ? BASE64_LOOKUP[code] : -1;
+        if (sextet === -1) {
+            throw new Error(`Invalid base64 signature string: unexpected character at position ${i}.`);
+        }
+        buffer = ((buffer << 6) | sextet) & 0xFFFF;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[out++] = (buffer >>> bits) & 0xFF;
+        }
+    }
+    return deserializeSignature(bytes);
 }
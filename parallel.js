@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Parallel signature generation on Node.js worker threads.
+ * Kept out of index.js so that the main module has no dependency on Node built-ins.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import os from 'node:os';
+import {
+    generateGroupedOPHSignature,
+    generateFromHashes,
+    GroupedOPHSignature,
+    PackedSignature,
+    murmur3Strategy
+} from './index.js';
+
+const WORKER_MARKER = 'grouped-oph/parallel';
+const BATCHES_PER_THREAD = 2; // Batches in flight per worker: one being generated, one queued
+
+/**
+ * Generates signatures for many sets on worker threads. Sets are sent to the workers in batches as
+ * flat typed arrays whose buffers are transferred, not copied, and the signatures come back the same way.
+ * The signatures are identical to `generateGroupedOPHSignature` with the same arguments.
+ *
+ * The input is read only as results are consumed: at most `2 * threads` batches are in flight, so a
+ * large or slow async iterable is never read far ahead of the consumer. Worker threads are started when
+ * iteration begins and stopped when it ends, fails, or is abandoned (`break` in `for await`).
+ *
+ * Options are validated immediately; the sets are read as the iterator is consumed.
+ *
+ * @param {Iterable|AsyncIterable} sets - Sets of element hashes: iterables of numbers (Set, Array, Uint32Array),
+ *   or Maps from element hash to weight for weighted signatures. With `hash: 'xxh64'`, iterables of 64-bit
+ *   element ids (BigInts or safe integers, BigUint64Array).
+ * @param {object} options - Generation configuration
+ * @param {number} options.numHashes - The total desired length of each signature (must be divisible by numGroups).
+ * @param {number} options.numGroups - The number of base hashes to compute per element (g).
+ * @param {number} [options.bitDepth=32] - Bit depth of the signature values (2, 4, 8, 16, or 32).
+ * @param {'rotation'|'optimal'} [options.densify] - As for `generateGroupedOPHSignature`.
+ * @param {boolean} [options.packed=false] - As for `generateGroupedOPHSignature`.
+ * @param {boolean} [options.metadata=false] - As for `generateGroupedOPHSignature`.
+ * @param {number} [options.seed=0] - As for `generateGroupedOPHSignature`.
+ * @param {'murmur3'|'xxh64'} [options.hash='murmur3'] - As for `generateGroupedOPHSignature`. Hash strategy
+ *   objects are functions, which cannot be sent to a worker thread, so only the built-in hashes are accepted.
+ * @param {number} [options.threads] - Number of worker threads. Defaults to the available parallelism.
+ * @param {number} [options.batchSize=256] - Sets per message to a worker.
+ * @param {boolean} [options.ordered=true] - Yield signatures in input order. With `false`, yield
+ *   `{index, signature}` as soon as each batch is done.
+ * @returns {AsyncGenerator<Uint8Array|Uint16Array|Uint32Array|BigUint64Array|PackedSignature|GroupedOPHSignature|{index: number, signature: *}>}
+ */
+export function generateSignaturesParallel(sets, options = {}) {
+    const {
+        numHashes,
+        numGroups,
+        bitDepth = 32,
+        densify,
+        packed = false,
+        metadata = false,
+        seed = 0,
+        hash = 'murmur3',
+        threads = _defaultThreads(),
+        batchSize = 256,
+        ordered = true
+    } = options === null ? {} : options;
+
+    if (hash !== 'murmur3' && hash !== murmur3Strategy && hash !== 'xxh64') {
+        throw new Error("generateSignaturesParallel supports hash 'murmur3' or 'xxh64'; hash strategies cannot be sent to worker threads.");
+    }
+    const hashName = hash === 'xxh64' ? 'xxh64' : 'murmur3';
+    // Reports invalid signature options with the same errors as the single-threaded path
+    if (hashName === 'xxh64') {
+        generateGroupedOPHSignature(new BigUint64Array(0), numHashes, numGroups, bitDepth, { densify, packed, seed, hash: hashName });
+    } else {
+        generateFromHashes(new Uint32Array(0), numHashes, numGroups, bitDepth, { densify, packed, seed });
+    }
+    if (typeof threads !== 'number' || threads <= 0 || !Number.isInteger(threads)) {
+        throw new Error("threads must be a positive integer.");
+    }
+    if (typeof batchSize !== 'number' || batchSize <= 0 || !Number.isInteger(batchSize)) {
+        throw new Error("batchSize must be a positive integer.");
+    }
+    if (sets === null || sets === undefined || (typeof sets[Symbol.iterator] !== 'function' && typeof sets[Symbol.asyncIterator] !== 'function')) {
+        throw new Error("sets must be an iterable or an async iterable.");
+    }
+
+    const generation = { numHashes, numGroups, bitDepth, densify, seed, hash: hashName };
+    const output = { numHashes, numGroups, bitDepth, densify, packed, metadata, seed, hash: hashName };
+    return _generateParallel(sets, generation, output, threads, batchSize, ordered);
+}
+
+/**
+ * @private
+ */
+async function* _generateParallel(sets, generation, output, threads, batchSize, ordered) {
+    const iterator = typeof sets[Symbol.asyncIterator] === 'function' ? sets[Symbol.asyncIterator]() : sets[Symbol.iterator]();
+    const pool = new _WorkerPool(threads, generation);
+    const inFlight = [];
+    let exhausted = false;
+    let nextIndex = 0;
+
+    try {
+        for (;;) {
+            while (!exhausted && inFlight.length < threads * BATCHES_PER_THREAD) {
+                const batch = [];
+                while (batch.length < batchSize) {
+                    const { value, done } = await iterator.next();
+                    if (done) {
+                        exhausted = true;
+                        break;
+                    }
+                    batch.push(value);
+                }
+                if (batch.length === 0) break;
+
+                const start = nextIndex;
+                nextIndex += batch.length;
+                const entry = { start, results: null };
+                entry.promise = pool.run(_flattenBatch(batch, start, generation.hash)).then(message => {
+                    entry.results = _unpackResults(message, batch.length, output);
+                    return entry;
+                });
+                // Settled entries are awaited later, possibly after a rejection elsewhere has been thrown
+                entry.promise.catch(() => {});
+                inFlight.push(entry);
+            }
+            if (inFlight.length === 0) return;
+
+            const entry = ordered ? inFlight[0] : await Promise.race(inFlight.map(pending => pending.promise));
+            await entry.promise;
+            inFlight.splice(inFlight.indexOf(entry), 1);
+            for (let k = 0; k < entry.results.length; k++) {
+                yield ordered ? entry.results[k] : { index: entry.start + k, signature: entry.results[k] };
+            }
+        }
+    } finally {
+        await pool.close();
+        if (!exhausted && typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+    }
+}
+
+/**
+ * @private
+ * Copies a batch of sets into one array of element hashes, with the offset where each set starts.
+ * Non-number elements are left out, as `generateGroupedOPHSignature` skips them; non-number weights
+ * become NaN, which the worker rejects with the usual weights error. With 'xxh64' the elements are
+ * 64-bit ids in a BigUint64Array, and BigInts are kept as well.
+ */
+function _flattenBatch(batch, start, hash) {
+    if (hash === 'xxh64') return _flattenBatch64(batch, start);
+    let hashes = new Uint32Array(1024);
+    let weights = null; // Allocated at the first Map; elements of other sets get weight 1
+    let count = 0;
+    const offsets = new Uint32Array(batch.length + 1);
+    const weighted = new Uint8Array(batch.length);
+    const append = (elementHash, weight) => {
+        if (count === hashes.length) {
+            hashes = _grow(hashes);
+            if (weights !== null) weights = _grow(weights);
+        }
+        hashes[count] = elementHash;
+        if (weights !== null) weights[count] = weight;
+        count++;
+    };
+
+    for (let k = 0; k < batch.length; k++) {
+        const set = batch[k];
+        if (set instanceof Map) {
+            weighted[k] = 1;
+            if (weights === null) weights = new Float64Array(hashes.length).fill(1);
+            for (const [elementHash, weight] of set) {
+                if (typeof elementHash !== 'number') continue;
+                append(elementHash, typeof weight === 'number' ? weight : NaN);
+            }
+        } else if (set !== null && set !== undefined && typeof set[Symbol.iterator] === 'function') {
+            for (const elementHash of set) {
+                if (typeof elementHash !== 'number') continue;
+                append(elementHash, 1);
+            }
+        } else {
+            throw new Error(`Set ${start + k} must be an iterable of element hashes or a Map.`);
+        }
+        offsets[k + 1] = count;
+    }
+
+    return { hashes: hashes.subarray(0, count), offsets, weights: weights === null ? null : weights.subarray(0, count), weighted };
+}
+
+/**
+ * @private
+ * `_flattenBatch` for 'xxh64': element ids are checked here, since a BigUint64Array would wrap
+ * negative or oversized values into other ids.
+ */
+function _flattenBatch64(batch, start) {
+    let hashes = new BigUint64Array(1024);
+    let count = 0;
+    const offsets = new Uint32Array(batch.length + 1);
+
+    for (let k = 0; k < batch.length; k++) {
+        const set = batch[k];
+        if (set instanceof Map) {
+            throw new Error("Weighted signatures are not supported with hash 'xxh64'.");
+        }
+        if (set === null || set === undefined || typeof set[Symbol.iterator] !== 'function') {
+            throw new Error(`Set ${start + k} must be an iterable of element ids.`);
+        }
+        for (const element of set) {
+            let id;
+            if (typeof element === 'bigint') {
+                if (element < 0n || element > 0xFFFFFFFFFFFFFFFFn) {
+                    throw new Error("Element ids must be integers between 0 and 2^64 - 1 for hash 'xxh64'.");
+                }
+                id = element;
+            } else if (typeof element === 'number') {
+                if (!Number.isSafeInteger(element) || element < 0) {
+                    throw new Error("Element ids must be integers between 0 and 2^64 - 1 for hash 'xxh64'; numbers above 2^53 - 1 must be BigInts.");
+                }
+                id = BigInt(element);
+            } else {
+                continue;
+            }
+            if (count === hashes.length) hashes = _grow(hashes);
+            hashes[count++] = id;
+        }
+        offsets[k + 1] = count;
+    }
+
+    return { hashes: hashes.subarray(0, count), offsets, weights: null, weighted: new Uint8Array(batch.length) };
+}
+
+/**
+ * @private
+ * A typed array of twice the length holding the same values.
+ */
+function _grow(array) {
+    const grown = new array.constructor(array.length * 2);
+    grown.set(array);
+    return grown;
+}
+
+/**
+ * @private
+ * Turns a worker's flat values back into the signatures `generateGroupedOPHSignature` returns,
+ * each with its own buffer.
+ */
+function _unpackResults({ values, weighted }, count, output) {
+    const { numHashes, numGroups, bitDepth, densify, packed, metadata, seed, hash } = output;
+    const signatures = new Array(count);
+    for (let k = 0; k < count; k++) {
+        let signature = values.slice(k * numHashes, (k + 1) * numHashes);
+        if (packed) {
+            signature = PackedSignature.from(signature, bitDepth);
+        }
+        if (metadata) {
+            signature = new GroupedOPHSignature(signature, { numGroups, bitDepth, seed, densify: densify === undefined ? null : densify, weighted: weighted[k] === 1, hash });
+        }
+        signatures[k] = signature;
+    }
+    return signatures;
+}
+
+/**
+ * @private
+ */
+function _defaultThreads() {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : Math.max(os.cpus().length, 1);
+}
+
+/**
+ * @private
+ * Worker threads running this module, each given the next batch when it has the fewest batches pending.
+ */
+class _WorkerPool {
+    constructor(threads, generation) {
+        this._nextId = 0;
+        this._workers = [];
+        for (let t = 0; t < threads; t++) {
+            const worker = new Worker(new URL(import.meta.url), { workerData: { marker: WORKER_MARKER, generation } });
+            const slot = { worker, pending: new Map() };
+            worker.on('message', ({ id, error, ...message }) => {
+                const { resolve, reject } = slot.pending.get(id);
+                slot.pending.delete(id);
+                if (error !== undefined) {
+                    reject(new Error(error));
+                } else {
+                    resolve(message);
+                }
+            });
+            worker.on('error', (error) => {
+                for (const { reject } of slot.pending.values()) reject(error);
+                slot.pending.clear();
+            });
+            this._workers.push(slot);
+        }
+    }
+
+    /**
+     * Sends a flattened batch to a worker, transferring its buffers.
+     * @returns {Promise<{values: Uint8Array|Uint16Array|Uint32Array, weighted: Uint8Array}>}
+     */
+    run(batch) {
+        let slot = this._workers[0];
+        for (const candidate of this._workers) {
+            if (candidate.pending.size < slot.pending.size) slot = candidate;
+        }
+        const id = this._nextId++;
+        const transfer = [batch.hashes.buffer, batch.offsets.buffer, batch.weighted.buffer];
+        if (batch.weights !== null) transfer.push(batch.weights.buffer);
+        return new Promise((resolve, reject) => {
+            slot.pending.set(id, { resolve, reject });
+            slot.worker.postMessage({ id, ...batch }, transfer);
+        });
+    }
+
+    close() {
+        return Promise.all(this._workers.map(({ worker }) => worker.terminate()));
+    }
+}
+
+/**
+ * @private
+ * Worker side: generates every set of a batch into one transferable array of values.
+ */
+function _serveBatches({ numHashes, numGroups, bitDepth, densify, seed, hash }) {
+    const TypedArrayConstructor = bitDepth === 64 ? BigUint64Array : bitDepth === 32 ? Uint32Array : bitDepth === 16 ? Uint16Array : Uint8Array;
+    parentPort.on('message', ({ id, hashes, offsets, weights, weighted }) => {
+        try {
+            const count = offsets.length - 1;
+            const values = new TypedArrayConstructor(count * numHashes);
+            for (let k = 0; k < count; k++) {
+                const elements = hashes.subarray(offsets[k], offsets[k + 1]);
+                const out = values.subarray(k * numHashes, (k + 1) * numHashes);
+                if (hash === 'xxh64') {
+                    out.set(generateGroupedOPHSignature(elements, numHashes, numGroups, bitDepth, { densify, seed, hash }));
+                } else if (weighted[k] === 1) {
+                    const elementWeights = weights.subarray(offsets[k], offsets[k + 1]);
+                    out.set(generateGroupedOPHSignature(elements, numHashes, numGroups, bitDepth, { densify, seed, weights: elementWeights }));
+                } else {
+                    generateFromHashes(elements, numHashes, numGroups, bitDepth, { densify, seed, out });
+                }
+            }
+            parentPort.postMessage({ id, values, weighted }, [values.buffer, weighted.buffer]);
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+if (!isMainThread && workerData !== null && typeof workerData === 'object' && workerData.marker === WORKER_MARKER) {
+    _serveBatches(workerData.generation);
+}
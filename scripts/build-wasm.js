@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Assembles the WebAssembly backend from its text source (wasm/kernels.wat and
+ * wasm/kernels-simd.wat) with wabt, and writes the bytes into the generated block of index.js.
+ * Run it with `npm run build:wasm` after changing either file; test/wasm-source.test.js fails until then.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import wabt from 'wabt';
+
+export const SOURCES = { 'wasm': 'kernels.wat', 'wasm-simd': 'kernels-simd.wat' };
+export const BLOCK_START = '// Generated by scripts/build-wasm.js from wasm/kernels.wat and wasm/kernels-simd.wat; do not edit by hand.';
+export const BLOCK_END = '// End of generated WebAssembly.';
+
+const root = new URL('../', import.meta.url);
+const BYTES_PER_LINE = 48;
+
+/**
+ * Assembles both modules.
+ * @returns {Promise<Object<string, Uint8Array>>} The bytes of each backend, keyed 'wasm' and 'wasm-simd'.
+ */
+export async function assembleKernels() {
+    const { parseWat } = await wabt();
+    const modules = {};
+    for (const [kind, file] of Object.entries(SOURCES)) {
+        const module = parseWat(file, readFileSync(new URL(`wasm/${file}`, root), 'utf8'), { simd: true });
+        try {
+            module.validate();
+            modules[kind] = module.toBinary({ canonicalize_lebs: true, write_debug_names: false }).buffer;
+        } finally {
+            module.destroy();
+        }
+    }
+    return modules;
+}
+
+/**
+ * The generated block of index.js for the given bytes, from BLOCK_START to BLOCK_END.
+ * @param {Object<string, Uint8Array>} modules - Bytes from `assembleKernels`.
+ * @returns {string} The block, without a trailing newline.
+ */
+export function renderBlock(modules) {
+    const entries = Object.entries(modules).map(([kind, bytes]) => {
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        const lines = [];
+        for (let i = 0; i < hex.length; i += BYTES_PER_LINE * 2) {
+            lines.push(`'${hex.slice(i, i + BYTES_PER_LINE * 2)}'`);
+        }
+        return `    '${kind}': ${lines.join('\n        + ')}`;
+    });
+    return `${BLOCK_START}\nconst WASM_MODULES = {\n${entries.join(',\n')}\n};\n${BLOCK_END}`;
+}
+
+/**
+ * The generated block currently in a source text.
+ * @param {string} source - The contents of index.js.
+ * @returns {string} The block, from BLOCK_START to BLOCK_END.
+ */
+export function extractBlock(source) {
+    const start = source.indexOf(BLOCK_START);
+    const end = source.indexOf(BLOCK_END);
+    if (start === -1 || end < start) {
+        throw new Error("index.js has no generated WebAssembly block.");
+    }
+    return source.slice(start, end + BLOCK_END.length);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const indexFile = new URL('index.js', root);
+    const source = readFileSync(indexFile, 'utf8');
+    const block = renderBlock(await assembleKernels());
+    writeFileSync(indexFile, source.replace(extractBlock(source), () => block));
+    console.log('Wrote the WebAssembly modules into index.js.');
+}
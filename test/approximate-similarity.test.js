@@ -2,7 +2,8 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import {
     generateGroupedOPHSignature,
-    estimateJaccardSimilarity
+    estimateJaccardSimilarity,
+    compareAgainstThreshold
 } from '../index.js';
 const MAX_ITERS = 10000;
 
@@ -395,4 +396,166 @@ test('Fast Approximation Input Validation', async () => {
     // Fast mode should work without statistical early termination params
     const fastResult = estimateJaccardSimilarity(sig, sig, { numGroups: 4, maxGroups: 2 });
     assert.ok(fastResult >= 0 && fastResult <= 1, 'Fast mode should work without threshold/errorTolerance');
-}); 
\ No newline at end of file
+}); 
+
+test('Threshold Decisions - compareAgainstThreshold', async () => {
+    const numHashes = 256;
+    const numGroups = 8;
+    const { setA, setB } = createSimilarSets(400, 0.6, 321);
+    const actualJ = calculateActualJaccard(setA, setB);
+    const sigA = generateGroupedOPHSignature(setA, numHashes, numGroups);
+    const sigB = generateGroupedOPHSignature(setB, numHashes, numGroups);
+    const fullEstimate = estimateJaccardSimilarity(sigA, sigB);
+
+    const above = compareAgainstThreshold(sigA, sigB, { numGroups, similarityThreshold: 0.2, errorTolerance: 0.01 });
+    assert.equal(above.decision, 'above', `J ~${actualJ.toFixed(2)} is confidently above 0.2`);
+    assert.ok(above.groupsProcessed < numGroups, 'Decided before comparing every group');
+    assert.equal(above.numGroups, numGroups);
+    assert.equal(above.estimate, estimateJaccardSimilarity(sigA, sigB, { numGroups, similarityThreshold: 0.2, errorTolerance: 0.01 }));
+
+    const belowOptions = { numGroups, similarityThreshold: 0.95, errorTolerance: 0.01 };
+    const below = compareAgainstThreshold(sigA, sigB, belowOptions);
+    assert.equal(below.decision, 'below', `J ~${actualJ.toFixed(2)} is confidently below 0.95`);
+    assert.equal(estimateJaccardSimilarity(sigA, sigB, belowOptions), 0.0, 'estimateJaccardSimilarity reports 0 for the same pair');
+    assert.ok(Math.abs(below.estimate - actualJ) < 0.25, `The partial estimate ${below.estimate.toFixed(3)} is the observed similarity, not 0`);
+
+    const borderline = compareAgainstThreshold(sigA, sigB, { numGroups, similarityThreshold: actualJ, errorTolerance: 0.01 });
+    assert.equal(borderline.decision, 'uncertain', 'A pair at the threshold cannot be decided');
+    assert.equal(borderline.groupsProcessed, numGroups);
+    assert.equal(borderline.estimate, fullEstimate);
+
+    // Without an early exit, the full comparison can still decide
+    const wideMargin = compareAgainstThreshold(sigA, sigB, { numGroups, maxGroups: 1, similarityThreshold: 0.05, errorTolerance: 0.01 });
+    assert.equal(wideMargin.decision, 'above');
+    assert.equal(wideMargin.groupsProcessed, 1);
+
+    const wrapped = generateGroupedOPHSignature(setA, numHashes, numGroups, 32, { metadata: true });
+    assert.equal(compareAgainstThreshold(wrapped, wrapped, { similarityThreshold: 0.9, errorTolerance: 0.01 }).decision, 'above', 'numGroups is taken from the signature metadata');
+
+    assert.throws(() => compareAgainstThreshold(sigA, sigB, { numGroups }), /Invalid or missing 'similarityThreshold'/);
+    assert.throws(() => compareAgainstThreshold(sigA, sigB, { numGroups, similarityThreshold: 0.5 }), /Invalid or missing 'errorTolerance'/);
+    assert.throws(() => compareAgainstThreshold(sigA, sigB, { similarityThreshold: 0.5, errorTolerance: 0.01 }), /Invalid or missing 'numGroups'/);
+});
+
+test('Threshold Decisions - Error Rates (Monte Carlo)', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const threshold = 0.5;
+    const errorTolerance = 0.05;
+    const trials = 200;
+    let wrong = 0;
+    let uncertain = 0;
+
+    for (let i = 0; i < trials; i++) {
+        // Alternate between pairs well above and well below the threshold
+        const targetJ = i % 2 === 0 ? 0.75 : 0.25;
+        const { setA, setB } = createSimilarSets(300, targetJ, i + 70000);
+        const result = compareAgainstThreshold(
+            generateGroupedOPHSignature(setA, numHashes, numGroups),
+            generateGroupedOPHSignature(setB, numHashes, numGroups),
+            { numGroups, similarityThreshold: threshold, errorTolerance }
+        );
+        if (result.decision === 'uncertain') uncertain++;
+        else if (result.decision !== (targetJ > threshold ? 'above' : 'below')) wrong++;
+    }
+
+    assert.ok(wrong <= trials * errorTolerance, `Wrong decisions: ${wrong} of ${trials}`);
+    assert.ok(uncertain < trials * 0.1, `Pairs far from the threshold are rarely uncertain (${uncertain} of ${trials})`);
+});
+
+test('Densification - Fills Empty Bins', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const smallSet = new Set([11, 22, 33, 44, 55]); // 5 elements, 32 bins per group
+
+    const sparse = generateGroupedOPHSignature(smallSet, numHashes, numGroups, 32);
+    assert.ok(sparse.some(v => v === 0), 'Without densification a small set leaves empty bins');
+
+    for (const densify of ['rotation', 'optimal']) {
+        for (const bitDepth of [2, 4, 8, 16, 32]) {
+            const sig = generateGroupedOPHSignature(smallSet, numHashes, numGroups, bitDepth, { densify });
+            assert.equal(sig.length, numHashes, `${densify}/${bitDepth}-bit: length should match numHashes`);
+            assert.ok(sig.every(v => v !== 0), `${densify}/${bitDepth}-bit: densified signature should have no empty bins`);
+
+            const again = generateGroupedOPHSignature(new Set([...smallSet].reverse()), numHashes, numGroups, bitDepth, { densify });
+            assert.deepEqual(again, sig, `${densify}/${bitDepth}-bit: densification should not depend on insertion order`);
+        }
+
+        // Bins filled by the original elements are left untouched
+        const dense = generateGroupedOPHSignature(smallSet, numHashes, numGroups, 32, { densify });
+        sparse.forEach((v, i) => {
+            if (v !== 0) assert.equal(dense[i], v, `${densify}: non-empty bin ${i} should keep its value`);
+        });
+
+        const emptySig = generateGroupedOPHSignature(new Set(), numHashes, numGroups, 32, { densify });
+        assert.ok(emptySig.every(v => v === 0), `${densify}: empty set should still produce an all-zero signature`);
+    }
+
+    assert.throws(() => {
+        generateGroupedOPHSignature(smallSet, numHashes, numGroups, 32, { densify: 'nearest' });
+    }, /densify must be 'rotation' or 'optimal'/, 'Throws for an unknown densification scheme');
+});
+
+test('Densification - Unbiased Estimates for Small Sets (Monte Carlo)', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const setSize = 20; // Far fewer elements than the 32 bins per group
+    const iterations = MAX_ITERS;
+
+    for (const densify of ['rotation', 'optimal']) {
+        for (const targetJaccard of [0.2, 0.5, 0.8]) {
+            let signedError = 0;
+            let absError = 0;
+
+            for (let i = 0; i < iterations; i++) {
+                const { setA, setB } = createSimilarSets(setSize, targetJaccard, i + 60000);
+                const actualJ = calculateActualJaccard(setA, setB);
+                const sigA = generateGroupedOPHSignature(setA, numHashes, numGroups, 32, { densify });
+                const sigB = generateGroupedOPHSignature(setB, numHashes, numGroups, 32, { densify });
+                const estimate = estimateJaccardSimilarity(sigA, sigB);
+                signedError += estimate - actualJ;
+                absError += Math.abs(estimate - actualJ);
+            }
+
+            const bias = signedError / iterations;
+            const avgError = absError / iterations;
+            assert.ok(Math.abs(bias) <= 0.01, `${densify}: bias should be ~0 for J~${targetJaccard}. Got: ${bias.toFixed(4)}`);
+            assert.ok(avgError <= 0.08, `${densify}: average error should be ≤0.08 for J~${targetJaccard}. Got: ${avgError.toFixed(4)}`);
+            console.log(`Densification ${densify}, J~${targetJaccard}: bias ${bias.toFixed(4)}, avg error ${avgError.toFixed(4)}`);
+        }
+    }
+});
+
+test('Independent Seeds - Variance Reduction (Monte Carlo)', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const repetitions = 8;
+    const iterations = MAX_ITERS / 10;
+    const setSize = 200;
+    const targetJaccard = 0.5;
+
+    let singleError = 0;
+    let averagedError = 0;
+    for (let i = 0; i < iterations; i++) {
+        const { setA, setB } = createSimilarSets(setSize, targetJaccard, i + 70000);
+        const actualJ = calculateActualJaccard(setA, setB);
+
+        let sum = 0;
+        for (let r = 0; r < repetitions; r++) {
+            const seed = r + 1;
+            const sigA = generateGroupedOPHSignature(setA, numHashes, numGroups, 32, { seed });
+            const sigB = generateGroupedOPHSignature(setB, numHashes, numGroups, 32, { seed });
+            const estimate = estimateJaccardSimilarity(sigA, sigB);
+            if (r === 0) singleError += Math.abs(estimate - actualJ);
+            sum += estimate;
+        }
+        averagedError += Math.abs(sum / repetitions - actualJ);
+    }
+
+    const avgSingle = singleError / iterations;
+    const avgAveraged = averagedError / iterations;
+    assert.ok(avgSingle <= 0.06, `Seeded signatures should be as accurate as the default family. Got: ${avgSingle.toFixed(4)}`);
+    // Independent repetitions shrink the error roughly by sqrt(repetitions)
+    assert.ok(avgAveraged <= avgSingle / 2, `Averaging ${repetitions} seeds should at least halve the error. Got: ${avgAveraged.toFixed(4)} vs ${avgSingle.toFixed(4)}`);
+    console.log(`Seeds: single estimate error ${avgSingle.toFixed(4)}, ${repetitions}-seed average error ${avgAveraged.toFixed(4)}`);
+});
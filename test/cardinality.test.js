@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateCardinality,
+    mergeSignatures,
+    PackedSignature
+} from '../index.js';
+
+// `count` distinct elements starting at `start`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+test('estimateCardinality - Accuracy at 32 Bits', () => {
+    const numHashes = 512;
+    const standardError = 1 / Math.sqrt(numHashes);
+
+    assert.equal(estimateCardinality(generateGroupedOPHSignature([], numHashes, 4), { numGroups: 4 }), 0, 'Empty signature');
+    const single = estimateCardinality(generateGroupedOPHSignature([42], numHashes, 4), { numGroups: 4 });
+    assert.ok(Math.abs(single - 1) < 0.1, `Single element (${single.toFixed(3)})`);
+
+    for (const n of [10, 100, 1000, 50000]) {
+        const trials = 20;
+        let sumRelative = 0;
+        let sumSquared = 0;
+        for (let seed = 1; seed <= trials; seed++) {
+            const estimate = estimateCardinality(generateGroupedOPHSignature(range(seed * 1000003, n), numHashes, 4, 32, { seed }), { numGroups: 4 });
+            const relative = (estimate - n) / n;
+            assert.ok(Math.abs(relative) < 3 * standardError, `n=${n}, seed=${seed}: estimate ${estimate.toFixed(1)}`);
+            sumRelative += relative;
+            sumSquared += relative * relative;
+        }
+        const bias = sumRelative / trials;
+        const rmse = Math.sqrt(sumSquared / trials);
+        assert.ok(Math.abs(bias) < 0.03, `n=${n}: mean relative bias ${bias.toFixed(4)}`);
+        assert.ok(rmse < 1.5 * standardError, `n=${n}: relative RMSE ${rmse.toFixed(4)} vs documented ${standardError.toFixed(4)}`);
+    }
+});
+
+test('estimateCardinality - Bit Depths and Signature Types', () => {
+    const set = range(0, 300);
+    const cases = [
+        [32, generateGroupedOPHSignature(set, 512, 4, 32), {}],
+        [16, generateGroupedOPHSignature(set, 512, 4, 16), {}],
+        [8, generateGroupedOPHSignature(set, 512, 4, 8), {}],
+        [4, generateGroupedOPHSignature(set, 512, 4, 4), { bitDepth: 4 }],
+        [2, generateGroupedOPHSignature(set, 512, 4, 2), { bitDepth: 2 }]
+    ];
+    for (const [bitDepth, signature, options] of cases) {
+        const estimate = estimateCardinality(signature, { numGroups: 4, ...options });
+        assert.ok(Math.abs(estimate - 300) < 300 * 0.15, `${bitDepth}-bit estimate ${estimate.toFixed(1)} vs 300`);
+    }
+
+    const packed = generateGroupedOPHSignature(set, 512, 4, 4, { packed: true });
+    assert.ok(packed instanceof PackedSignature);
+    assert.equal(estimateCardinality(packed, { numGroups: 4 }), estimateCardinality(packed.unpack(), { numGroups: 4, bitDepth: 4 }), 'A PackedSignature supplies its bit depth');
+
+    const wrapped = generateGroupedOPHSignature(set, 512, 4, 16, { metadata: true });
+    assert.equal(estimateCardinality(wrapped), estimateCardinality(wrapped.values, { numGroups: 4 }), 'A GroupedOPHSignature supplies numGroups and bit depth');
+});
+
+test('estimateCardinality - Union Sizes and Filtering', () => {
+    const setA = range(0, 600);
+    const setB = range(400, 600); // 200 shared, union of 1000
+    const sigA = generateGroupedOPHSignature(setA, 512, 4, 32, { metadata: true });
+    const sigB = generateGroupedOPHSignature(setB, 512, 4, 32, { metadata: true });
+
+    const unionSize = estimateCardinality(mergeSignatures(sigA, sigB));
+    assert.ok(Math.abs(unionSize - 1000) < 1000 * 0.15, `Union size from merged signatures ${unionSize.toFixed(1)} vs 1000`);
+
+    const documents = [range(10000, 3), range(20000, 500), range(30000, 8), range(40000, 2000)];
+    const large = documents
+        .map(doc => generateGroupedOPHSignature(doc, 128, 4, 16, { metadata: true }))
+        .filter(sig => estimateCardinality(sig) >= 50);
+    assert.equal(large.length, 2, 'Tiny documents can be filtered without their sets');
+});
+
+test('estimateCardinality - Saturation and Validation', () => {
+    // 2-bit minima cannot tell 100k elements apart from infinitely many
+    const saturated = generateGroupedOPHSignature(range(0, 100000), 128, 4, 2);
+    assert.equal(estimateCardinality(saturated, { numGroups: 4, bitDepth: 2 }), Infinity);
+    // The same set is resolved at 16 bits
+    const resolved = estimateCardinality(generateGroupedOPHSignature(range(0, 100000), 128, 4, 16), { numGroups: 4 });
+    assert.ok(Math.abs(resolved - 100000) < 100000 * 0.3, `16-bit estimate ${resolved.toFixed(0)}`);
+
+    const raw = generateGroupedOPHSignature(range(0, 10), 64, 4);
+    assert.throws(() => estimateCardinality(raw), /Invalid or missing 'numGroups' for cardinality estimation/);
+    assert.throws(() => estimateCardinality(raw, { numGroups: 5 }), /Invalid or missing 'numGroups'/);
+    assert.throws(() => estimateCardinality(raw, { numGroups: 4, bitDepth: 8 }), /bitDepth 8 does not fit a signature stored as Uint32Array/);
+    assert.throws(() => estimateCardinality([1, 2, 3, 4], { numGroups: 4 }), /Invalid or unsupported signature type/);
+    assert.throws(() => estimateCardinality(generateGroupedOPHSignature(range(0, 10), 64, 4, 32, { densify: 'rotation', metadata: true })), /densified signature/);
+    assert.throws(() => estimateCardinality(generateGroupedOPHSignature(new Map([[1, 1]]), 64, 4, 32, { metadata: true })), /weighted signature/);
+});
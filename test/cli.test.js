@@ -0,0 +1,184 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardWithConfidence,
+    downgradeSignature,
+    shingleHashes,
+    serializeSignatureToBase64,
+    deserializeSignatureFromBase64
+} from '../index.js';
+
+const bin = fileURLToPath(new URL('../bin/grouped-oph.js', import.meta.url));
+const directory = mkdtempSync(path.join(tmpdir(), 'grouped-oph-cli-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+// A text of `count` pseudo-random five-letter words
+function words(start, count) {
+    return Array.from({ length: count }, (_, i) => {
+        let x = Math.imul(start + i, 2654435761) >>> 0;
+        let word = '';
+        for (let k = 0; k < 5; k++) {
+            word += String.fromCharCode(97 + (x % 26));
+            x = Math.floor(x / 26);
+        }
+        return word;
+    }).join(' ');
+}
+
+const original = words(0, 400);
+const edited = `${words(1000, 20)} ${original.split(' ').slice(20).join(' ')}`; // Its first 20 words replaced
+const unrelated = words(5000, 400);
+mkdirSync(path.join(directory, 'corpus', 'nested'), { recursive: true });
+writeFileSync(path.join(directory, 'corpus', 'original.txt'), original);
+writeFileSync(path.join(directory, 'corpus', 'unrelated.txt'), unrelated);
+writeFileSync(path.join(directory, 'corpus', 'nested', 'edited.txt'), edited);
+writeFileSync(path.join(directory, 'corpus', 'nested', 'copy.txt'), original);
+const file = (...parts) => path.join(directory, 'corpus', ...parts);
+
+function run(args, input) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [bin, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status, stdout, stderr };
+}
+
+function sketch(text, bitDepth = 32, numHashes = 128, seed = 0) {
+    const signature = generateGroupedOPHSignature(shingleHashes(text), numHashes, 4, 32, { seed, metadata: true });
+    return bitDepth === 32 ? signature : downgradeSignature(signature, bitDepth);
+}
+
+test('CLI - sketch', () => {
+    const result = run(['sketch', file('original.txt'), file('nested')]);
+    assert.equal(result.status, 0, result.stderr);
+    const records = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => record.file), [file('original.txt'), file('nested', 'copy.txt'), file('nested', 'edited.txt')], 'Directories are read recursively, in order');
+    assert.deepEqual(deserializeSignatureFromBase64(records[0].signature), sketch(original));
+    assert.equal(records[1].signature, records[0].signature);
+    assert.deepEqual([records[0].shingle, records[0].size], ['char', 5], 'Records carry their shingling');
+
+    const stdin = run(['sketch', '--bit-depth', '8', '--num-hashes', '64', '--seed', '7'], edited);
+    assert.equal(stdin.status, 0, stdin.stderr);
+    const record = JSON.parse(stdin.stdout);
+    assert.equal(record.file, '-');
+    assert.deepEqual(deserializeSignatureFromBase64(record.signature), sketch(edited, 8, 64, 7), 'Generated at 32 bits and downgraded');
+
+    const words3 = JSON.parse(run(['sketch', '--shingle', 'word', '--size', '2', file('original.txt')]).stdout);
+    const expected = generateGroupedOPHSignature(shingleHashes(original, { shingle: 'word', size: 2 }), 128, 4, 32, { metadata: true });
+    assert.deepEqual(deserializeSignatureFromBase64(words3.signature), expected);
+    assert.deepEqual([words3.shingle, words3.size], ['word', 2]);
+});
+
+test('CLI - compare', () => {
+    const expected = estimateJaccardWithConfidence(sketch(original), sketch(edited));
+    const text = run(['compare', file('original.txt'), file('nested', 'edited.txt')]);
+    assert.equal(text.status, 0, text.stderr);
+    const [low, high] = expected.confidenceInterval;
+    assert.equal(text.stdout, `${expected.estimate.toFixed(4)} (95% confidence interval ${low.toFixed(4)} to ${high.toFixed(4)})\n`);
+    assert.ok(expected.estimate > 0.9);
+
+    // Sketch output, a base64 signature and a text, at different bit depths and confidence levels
+    const sketchFile = path.join(directory, 'original.jsonl');
+    writeFileSync(sketchFile, run(['sketch', file('original.txt')]).stdout);
+    const signature = serializeSignatureToBase64(sketch(unrelated, 16));
+    const mixed = JSON.parse(run(['compare', sketchFile, signature, '--json', '--confidence', '0.99']).stdout);
+    assert.deepEqual(mixed, estimateJaccardWithConfidence(downgradeSignature(sketch(original), 16), sketch(unrelated, 16), { confidenceLevel: 0.99 }));
+    assert.ok(mixed.estimate < 0.2);
+
+    const lowered = JSON.parse(run(['compare', sketchFile, file('nested', 'edited.txt'), '--bit-depth', '4', '--json']).stdout);
+    assert.deepEqual(lowered, estimateJaccardWithConfidence(sketch(original, 4), sketch(edited, 4)));
+
+    // A text is sketched with the parameters of the other operand
+    const small = serializeSignatureToBase64(sketch(original, 32, 64, 9));
+    const inherited = JSON.parse(run(['compare', small, file('nested', 'edited.txt'), '--json']).stdout);
+    assert.deepEqual(inherited, estimateJaccardWithConfidence(sketch(original, 32, 64, 9), sketch(edited, 32, 64, 9)));
+
+    // ... and with the shingling of a sketch record
+    const wordSketch = path.join(directory, 'original-words.jsonl');
+    writeFileSync(wordSketch, run(['sketch', '--shingle', 'word', '--size', '2', file('original.txt')]).stdout);
+    const words2 = JSON.parse(run(['compare', wordSketch, file('nested', 'edited.txt'), '--json']).stdout);
+    const wordSignature = (text) => generateGroupedOPHSignature(shingleHashes(text, { shingle: 'word', size: 2 }), 128, 4, 32, { metadata: true });
+    assert.deepEqual(words2, estimateJaccardWithConfidence(wordSignature(original), wordSignature(edited)));
+
+    // Records without shingling, from before it was recorded, are taken to match
+    const unrecorded = path.join(directory, 'unrecorded.jsonl');
+    writeFileSync(unrecorded, JSON.stringify({ file: 'original.txt', signature: serializeSignatureToBase64(sketch(original)) }) + '\n');
+    assert.deepEqual(JSON.parse(run(['compare', unrecorded, file('nested', 'edited.txt'), '--json']).stdout), expected);
+});
+
+test('CLI - dedup', () => {
+    for (const bitDepth of ['32', '8']) {
+        const result = run(['dedup', path.join(directory, 'corpus'), '--bit-depth', bitDepth]);
+        assert.equal(result.status, 0, result.stderr);
+        assert.deepEqual(result.stdout.trim().split('\n').map(line => JSON.parse(line)), [
+            { centroid: file('nested', 'copy.txt'), files: [file('nested', 'copy.txt'), file('nested', 'edited.txt'), file('original.txt')] }
+        ], `${bitDepth}-bit`);
+    }
+
+    const strict = run(['dedup', path.join(directory, 'corpus'), '--threshold', '1', '--mode', 'centroid']);
+    assert.deepEqual(strict.stdout.trim().split('\n').map(line => JSON.parse(line)).map(cluster => cluster.files), [[file('nested', 'copy.txt'), file('original.txt')]]);
+    assert.equal(run(['dedup', path.join(directory, 'corpus', 'nested'), '--threshold', '1']).stdout, '', 'No clusters, no output');
+});
+
+test('CLI - Errors', () => {
+    assert.equal(run(['--help']).status, 0);
+    assert.match(run(['--help']).stdout, /^Usage: grouped-oph <command>/);
+
+    const usage = [
+        [[], /A command is required/],
+        [['frobnicate'], /Unknown command 'frobnicate'/],
+        [['sketch', '--bogus'], /Unknown option '--bogus'/],
+        [['sketch', '--bit-depth', '12'], /--bit-depth must be 2, 4, 8, 16 or 32/],
+        [['sketch', '--num-hashes', 'many'], /--num-hashes must be a number/],
+        [['sketch', '--seed', '1.5'], /--seed must be an integer/],
+        [['sketch', '--shingle', 'line'], /--shingle must be 'char' or 'word'/],
+        [['sketch', '-', file('original.txt'), '-'], /sketch can read stdin only once/],
+        [['compare', file('original.txt')], /compare needs exactly two files or signatures/],
+        [['compare', '-', '-'], /compare can read only one operand from stdin/],
+        [['dedup'], /dedup needs exactly one directory/]
+    ];
+    for (const [args, message] of usage) {
+        const result = run(args, '');
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, message);
+        assert.match(result.stderr, /Run 'grouped-oph --help' for usage/);
+    }
+
+    const failures = [
+        [['sketch', '--num-groups', '3', file('original.txt')], /numHashes must be divisible by numGroups/],
+        [['sketch', file('missing.txt')], /ENOENT/],
+        [['compare', 'not-a-signature', file('original.txt')], /not-a-signature is neither a file nor a serialized signature/],
+        [['dedup', file('original.txt')], /is not a directory/],
+        [['dedup', path.join(directory, 'corpus'), '--mode', 'loose'], /mode must be 'connected' or 'centroid'/]
+    ];
+    for (const [args, message] of failures) {
+        const result = run(args, '');
+        assert.equal(result.status, 1, args.join(' '));
+        assert.match(result.stderr, message);
+        assert.doesNotMatch(result.stderr, /--help/);
+    }
+
+    const twoSketches = path.join(directory, 'two.jsonl');
+    writeFileSync(twoSketches, run(['sketch', file('nested')]).stdout);
+    assert.match(run(['compare', twoSketches, file('original.txt')]).stderr, /holds 2 signatures; compare needs one per operand/);
+
+    const charSketch = path.join(directory, 'char.jsonl');
+    const wordSketch = path.join(directory, 'word.jsonl');
+    writeFileSync(charSketch, run(['sketch', file('original.txt')]).stdout);
+    writeFileSync(wordSketch, run(['sketch', '--shingle', 'word', file('original.txt')]).stdout);
+    for (const args of [[charSketch, wordSketch], [wordSketch, file('original.txt'), '--shingle', 'char'], [charSketch, file('original.txt'), '--size', '4']]) {
+        const result = run(['compare', ...args]);
+        assert.equal(result.status, 1, args.join(' '));
+        assert.match(result.stderr, /is shingled as (char|word) \d-grams but .* as (char|word) \d-grams; compare needs the same shingling on both sides/);
+    }
+
+    const empty = path.join(directory, 'empty.txt');
+    writeFileSync(empty, '');
+    const nothing = run(['compare', empty, '-'], '  \n');
+    assert.equal(nothing.status, 1);
+    assert.match(nothing.stderr, /empty\.txt and - have no shingles, so their similarity is undefined/);
+    assert.deepEqual(JSON.parse(run(['compare', empty, file('original.txt'), '--json']).stdout), estimateJaccardWithConfidence(sketch(''), sketch(original)), 'One empty side is a similarity of 0');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    clusterSignatures
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+const sign = (set) => generateGroupedOPHSignature(set, 256, 8, 32, { metadata: true });
+// Short bands, so that pairs around J = 0.67 are reliably candidates
+const banding = { bands: 64, rows: 4 };
+
+test('clusterSignatures - Connected Components', () => {
+    // Three groups of near-duplicates and two unrelated documents, interleaved
+    const documents = [];
+    const group = [];
+    for (let i = 0; i < 12; i++) {
+        const g = i % 3;
+        documents.push(new Set([...range(g * 10000, 200), ...range(50000 + i * 100, 10)]));
+        group.push(g);
+    }
+    documents.push(range(90000, 150), range(95000, 150));
+
+    const clusters = clusterSignatures(documents.map(sign), { threshold: 0.8, ...banding });
+    assert.equal(clusters.length, 5, 'Three groups and two singletons');
+    assert.deepEqual(clusters.map(cluster => cluster.members), [
+        [0, 3, 6, 9],
+        [1, 4, 7, 10],
+        [2, 5, 8, 11],
+        [12],
+        [13]
+    ]);
+    for (const cluster of clusters) {
+        assert.ok(cluster.members.includes(cluster.centroid), 'The centroid is a member');
+        assert.ok(cluster.members.every(member => group[member] === group[cluster.members[0]]));
+    }
+    assert.equal(clusters[3].centroid, 12, 'A singleton is its own centroid');
+
+    const byId = clusterSignatures(new Map(documents.map((doc, i) => [`doc-${i}`, sign(doc)])), { threshold: 0.8, ...banding });
+    assert.deepEqual(byId.map(cluster => cluster.members), clusters.map(cluster => cluster.members.map(i => `doc-${i}`)), 'Map keys are used as ids');
+});
+
+test('clusterSignatures - Centroid Mode Breaks Chains', () => {
+    // A chain of edits: neighbors share 160 of 240 elements (J ~ 0.67), documents two apart only 120 of 280 (J ~ 0.43)
+    const chain = Array.from({ length: 5 }, (_, k) => range(k * 40, 200));
+    const signatures = chain.map(sign);
+    const threshold = 0.6;
+
+    const connected = clusterSignatures(signatures, { threshold, ...banding });
+    assert.deepEqual(connected.map(cluster => cluster.members), [[0, 1, 2, 3, 4]], 'The whole chain is one component');
+    assert.ok(estimateJaccardSimilarity(signatures[0], signatures[4]) < 0.2, 'Although its ends are unrelated');
+
+    const strict = clusterSignatures(signatures, { threshold, mode: 'centroid', ...banding });
+    assert.deepEqual(strict, [
+        { centroid: 1, members: [0, 1, 2] },
+        { centroid: 3, members: [3, 4] }
+    ]);
+    for (const { centroid, members } of strict) {
+        for (const member of members) {
+            assert.ok(estimateJaccardSimilarity(signatures[centroid], signatures[member]) >= threshold, `Member ${member} is within the threshold of centroid ${centroid}`);
+        }
+    }
+});
+
+test('clusterSignatures - Edge Cases and Validation', () => {
+    assert.deepEqual(clusterSignatures([], { threshold: 0.5 }), []);
+    const one = sign(range(0, 50));
+    assert.deepEqual(clusterSignatures([one], { threshold: 0.5 }), [{ centroid: 0, members: [0] }]);
+    assert.deepEqual(clusterSignatures([one, one, one], { threshold: 0.9, mode: 'centroid' }), [{ centroid: 0, members: [0, 1, 2] }], 'Identical signatures form one cluster');
+
+    const raw = [generateGroupedOPHSignature(range(0, 50), 128, 4)];
+    assert.throws(() => clusterSignatures(raw, { threshold: 0.5 }), /numGroups must be a positive integer/, 'Raw signatures need numGroups');
+    assert.deepEqual(clusterSignatures(raw, { threshold: 0.5, numGroups: 4 }), [{ centroid: 0, members: [0] }]);
+    assert.throws(() => clusterSignatures(raw, { threshold: 0 }), /threshold must be a number > 0 and <= 1/);
+    assert.throws(() => clusterSignatures(raw, { threshold: 0.5, numGroups: 4, mode: 'single-link' }), /mode must be 'connected' or 'centroid'/);
+    assert.throws(() => clusterSignatures(null, { threshold: 0.5 }), /signatures must be an iterable or a Map/);
+});
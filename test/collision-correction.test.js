@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    downgradeSignature
+} from '../index.js';
+
+// Deterministic pseudo-random numbers in [0, 1)
+function lcg(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+// Pairs of sets with sizes in [100, 5000] and Jaccard similarity in [0.1, 0.9], as in cross-bit-depth-accuracy.js
+function samplePairs(count, seed) {
+    const random = lcg(seed);
+    const pairs = [];
+    for (let p = 0; p < count; p++) {
+        const size = 100 + Math.floor(random() * 4901);
+        const shared = Math.round((0.1 + random() * 0.8) * size);
+        const onlyA = Math.round((size - shared) / 2);
+        const onlyB = size - shared - onlyA;
+        const base = (p + 1) * 100000;
+        const setA = new Set();
+        const setB = new Set();
+        for (let i = 0; i < shared; i++) {
+            const element = Math.imul(base + i, 2654435761) >>> 0;
+            setA.add(element);
+            setB.add(element);
+        }
+        for (let i = 0; i < onlyA; i++) setA.add(Math.imul(base + 20000 + i, 2654435761) >>> 0);
+        for (let i = 0; i < onlyB; i++) setB.add(Math.imul(base + 40000 + i, 2654435761) >>> 0);
+        pairs.push({ setA, setB, exact: shared / size });
+    }
+    return pairs;
+}
+
+const pairs = samplePairs(60, 2024);
+
+function meanError(estimate) {
+    let sum = 0;
+    for (const pair of pairs) sum += Math.abs(estimate(pair) - pair.exact);
+    return sum / pairs.length;
+}
+
+test('Collision Correction - Downgraded Signatures', () => {
+    const signatures = pairs.map(({ setA, setB }) => [
+        generateGroupedOPHSignature(setA, 128, 4, 32, { metadata: true }),
+        generateGroupedOPHSignature(setB, 128, 4, 32, { metadata: true })
+    ]);
+
+    for (const bitDepth of [8, 4, 2]) {
+        const downgraded = signatures.map(([sigA, sigB]) => [downgradeSignature(sigA, bitDepth), downgradeSignature(sigB, bitDepth)]);
+        let index = 0;
+        const corrected = meanError(() => {
+            const [sigA, sigB] = downgraded[index++];
+            return estimateJaccardSimilarity(sigA, sigB);
+        });
+        index = 0;
+        const uncorrected = meanError(() => {
+            const [sigA, sigB] = downgraded[index++];
+            return estimateJaccardSimilarity(sigA, sigB, { collisionCorrection: false });
+        });
+        assert.ok(corrected <= uncorrected + 0.002, `${bitDepth}-bit: corrected ${corrected.toFixed(4)} vs uncorrected ${uncorrected.toFixed(4)}`);
+        assert.ok(corrected < 0.06, `${bitDepth}-bit mean absolute error ${corrected.toFixed(4)}`);
+        if (bitDepth === 2) {
+            assert.ok(corrected < uncorrected / 2, `2-bit collisions dominate without correction (${uncorrected.toFixed(4)} vs ${corrected.toFixed(4)})`);
+        }
+    }
+});
+
+test('Collision Correction - Native 8-Bit Signatures', () => {
+    const signatures = pairs.map(({ setA, setB }) => [
+        generateGroupedOPHSignature(setA, 128, 4, 8, { metadata: true }),
+        generateGroupedOPHSignature(setB, 128, 4, 8, { metadata: true })
+    ]);
+    let index = 0;
+    const corrected = meanError(() => {
+        const [sigA, sigB] = signatures[index++];
+        return estimateJaccardSimilarity(sigA, sigB);
+    });
+    index = 0;
+    const uncorrected = meanError(() => {
+        const [sigA, sigB] = signatures[index++];
+        return estimateJaccardSimilarity(sigA, sigB, { collisionCorrection: false });
+    });
+    // Native minima crowd towards small values, so they collide far more often than uniform ones
+    assert.ok(corrected < uncorrected * 0.7, `Native 8-bit: corrected ${corrected.toFixed(4)} vs uncorrected ${uncorrected.toFixed(4)}`);
+    assert.ok(corrected < 0.06, `Native 8-bit mean absolute error ${corrected.toFixed(4)}`);
+});
+
+test('Collision Correction - When It Applies', () => {
+    const { setA, setB } = pairs[0];
+    const sigA = generateGroupedOPHSignature(setA, 128, 4, 32, { metadata: true });
+    const sigB = generateGroupedOPHSignature(setB, 128, 4, 32, { metadata: true });
+    const rawA = downgradeSignature(sigA.values, 4);
+    const rawB = downgradeSignature(sigB.values, 4);
+
+    const wrapped = estimateJaccardSimilarity(downgradeSignature(sigA, 4), downgradeSignature(sigB, 4));
+    assert.equal(estimateJaccardSimilarity(rawA, rawB, { bitDepth: 4 }), wrapped, 'bitDepth option for raw signatures');
+    assert.equal(
+        estimateJaccardSimilarity(downgradeSignature(sigA.values, 4, { packed: true }), downgradeSignature(sigB.values, 4, { packed: true })),
+        wrapped,
+        'A PackedSignature supplies its bit depth'
+    );
+    assert.equal(
+        estimateJaccardSimilarity(rawA, rawB),
+        estimateJaccardSimilarity(rawA, rawB, { bitDepth: 4, collisionCorrection: false }),
+        'Raw values of unknown depth are compared as before'
+    );
+
+    // 16- and 32-bit collisions are negligible and left alone
+    assert.equal(estimateJaccardSimilarity(sigA, sigB), estimateJaccardSimilarity(sigA, sigB, { collisionCorrection: false }));
+
+    const empty = downgradeSignature(generateGroupedOPHSignature([], 128, 4, 32, { metadata: true }), 2);
+    assert.equal(estimateJaccardSimilarity(empty, empty), 1, 'Two empty signatures are identical');
+    assert.equal(estimateJaccardSimilarity(downgradeSignature(sigA, 2), downgradeSignature(sigA, 2)), 1, 'A signature is identical to itself');
+    assert.equal(estimateJaccardSimilarity(downgradeSignature(sigA, 2), empty), 0);
+
+    assert.throws(() => estimateJaccardSimilarity(rawA, rawB, { bitDepth: 3 }), /'bitDepth' option must be 2, 4, 8, 16, or 32/);
+});
+
+test('Collision Correction - Packed Signatures', () => {
+    // Counted on the packed words; 100 values leave a partly filled last word at both depths
+    for (const { setA, setB } of pairs.slice(0, 10)) {
+        for (const bitDepth of [2, 4]) {
+            const packedA = generateGroupedOPHSignature(setA, 100, 4, bitDepth, { packed: true });
+            const packedB = generateGroupedOPHSignature(setB, 100, 4, bitDepth, { packed: true });
+            assert.equal(
+                estimateJaccardSimilarity(packedA, packedB),
+                estimateJaccardSimilarity(packedA.unpack(), packedB.unpack(), { bitDepth }),
+                `${bitDepth}-bit`
+            );
+        }
+    }
+});
+
+test('Collision Correction - Early Termination', () => {
+    const { setA } = pairs[0];
+    const near = new Set(setA);
+    let removed = 0;
+    for (const element of setA) {
+        if (removed++ >= setA.size / 20) break;
+        near.delete(element);
+    }
+    const far = samplePairs(1, 77)[0].setA;
+
+    const sigA = downgradeSignature(generateGroupedOPHSignature(setA, 512, 8, 32, { metadata: true }), 2);
+    const sigNear = downgradeSignature(generateGroupedOPHSignature(near, 512, 8, 32, { metadata: true }), 2);
+    const sigFar = downgradeSignature(generateGroupedOPHSignature(far, 512, 8, 32, { metadata: true }), 2);
+    const options = { similarityThreshold: 0.5, errorTolerance: 0.01 };
+
+    // Unrelated 2-bit signatures still agree on about a third of their bins; that is not similarity
+    assert.ok(estimateJaccardSimilarity(sigA, sigFar, { collisionCorrection: false }) > 0.2);
+    assert.ok(estimateJaccardSimilarity(sigA, sigFar, options) < 0.1, 'Unrelated sets fall below the threshold');
+    assert.ok(estimateJaccardSimilarity(sigA, sigNear, options) > 0.8, 'Near-duplicates clear the threshold');
+});
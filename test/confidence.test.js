@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    estimateJaccardWithConfidence,
+    downgradeSignature
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+function union(...sets) {
+    return new Set(sets.flatMap(set => [...set]));
+}
+
+const shared = range(0, 300);
+const setA = union(shared, range(10000, 150));
+const setB = union(shared, range(20000, 150)); // J = 300 / 600 = 0.5
+
+test('Confidence - Matches estimateJaccardSimilarity', () => {
+    const sigA = generateGroupedOPHSignature(setA, 256, 4);
+    const sigB = generateGroupedOPHSignature(setB, 256, 4);
+
+    const result = estimateJaccardWithConfidence(sigA, sigB);
+    assert.equal(result.estimate, estimateJaccardSimilarity(sigA, sigB));
+    assert.equal(result.estimate, result.matches / result.union);
+    assert.equal(result.binsCompared, 256);
+    assert.equal(result.groupsProcessed, null, 'numGroups is unknown for raw signatures without the option');
+    assert.equal(result.numGroups, null);
+    assert.equal(result.earlyTermination, null);
+    assert.equal(result.confidenceLevel, 0.95);
+    assert.ok(Math.abs(result.standardError - Math.sqrt(result.estimate * (1 - result.estimate) / result.union)) < 1e-12);
+
+    const [lower, upper] = result.confidenceInterval;
+    assert.ok(lower < result.estimate && result.estimate < upper, `Interval [${lower.toFixed(3)}, ${upper.toFixed(3)}] holds the estimate`);
+    assert.ok(Math.abs((upper - lower) / 2 - 1.96 * result.standardError) < 0.01, 'About 1.96 standard errors either side');
+
+    const wide = estimateJaccardWithConfidence(sigA, sigB, { confidenceLevel: 0.99 }).confidenceInterval;
+    assert.ok(wide[0] < lower && wide[1] > upper, 'A higher level gives a wider interval');
+
+    const limited = estimateJaccardWithConfidence(sigA, sigB, { numGroups: 4, maxGroups: 2 });
+    assert.equal(limited.estimate, estimateJaccardSimilarity(sigA, sigB, { numGroups: 4, maxGroups: 2 }));
+    assert.equal(limited.groupsProcessed, 2);
+    assert.equal(limited.numGroups, 4);
+    assert.equal(limited.binsCompared, 128);
+    assert.ok(limited.standardError > result.standardError, 'Fewer bins, more uncertainty');
+});
+
+test('Confidence - Interval Coverage (Monte Carlo)', () => {
+    const exact = 0.5;
+    const trials = 100;
+    let covered = 0;
+    for (let seed = 1; seed <= trials; seed++) {
+        const { confidenceInterval: [lower, upper] } = estimateJaccardWithConfidence(
+            generateGroupedOPHSignature(setA, 128, 4, 32, { seed, metadata: true }),
+            generateGroupedOPHSignature(setB, 128, 4, 32, { seed, metadata: true }),
+            { confidenceLevel: 0.9 }
+        );
+        if (lower <= exact && exact <= upper) covered++;
+    }
+    // Binomial(100, 0.9) falls below 80 with probability under 0.1%
+    assert.ok(covered >= 80, `90% intervals covered the true value ${covered} times out of ${trials}`);
+});
+
+test('Confidence - Early Termination', () => {
+    const sigA = generateGroupedOPHSignature(setA, 512, 8, 32, { metadata: true });
+    const sigB = generateGroupedOPHSignature(setB, 512, 8, 32, { metadata: true });
+    const sigFar = generateGroupedOPHSignature(range(50000, 450), 512, 8, 32, { metadata: true });
+
+    const above = estimateJaccardWithConfidence(sigA, sigB, { similarityThreshold: 0.2, errorTolerance: 0.01 });
+    assert.equal(above.earlyTermination, 'above');
+    assert.ok(above.groupsProcessed < 8, `Stopped after ${above.groupsProcessed} of ${above.numGroups} groups`);
+    assert.equal(above.numGroups, 8, 'numGroups comes from the signature metadata');
+    assert.equal(above.binsCompared, above.groupsProcessed * 64);
+    assert.ok(above.confidenceInterval[0] > 0.2, 'The interval clears the threshold it was accepted at');
+
+    const below = estimateJaccardWithConfidence(sigA, sigFar, { similarityThreshold: 0.5, errorTolerance: 0.01 });
+    assert.equal(below.earlyTermination, 'below');
+    assert.equal(below.estimate, 0, 'Rejected pairs report 0, as estimateJaccardSimilarity does');
+    assert.ok(below.confidenceInterval[1] < 0.5, 'The interval of what was observed stays below the threshold');
+
+    const undecided = estimateJaccardWithConfidence(sigA, sigB, { similarityThreshold: 0.5, errorTolerance: 0.01 });
+    assert.equal(undecided.earlyTermination, null, 'A pair at the threshold is compared in full');
+    assert.equal(undecided.groupsProcessed, 8);
+});
+
+test('Confidence - Collision Correction and Edge Cases', () => {
+    const sigA = downgradeSignature(generateGroupedOPHSignature(setA, 256, 4, 32, { metadata: true }), 2);
+    const sigB = downgradeSignature(generateGroupedOPHSignature(setB, 256, 4, 32, { metadata: true }), 2);
+    const corrected = estimateJaccardWithConfidence(sigA, sigB);
+    const raw = estimateJaccardWithConfidence(sigA, sigB, { collisionCorrection: false });
+    assert.equal(corrected.estimate, estimateJaccardSimilarity(sigA, sigB));
+    assert.ok(corrected.confidenceInterval[0] < 0.5 && 0.5 < corrected.confidenceInterval[1], `2-bit interval [${corrected.confidenceInterval.map(x => x.toFixed(3))}] holds 0.5`);
+    assert.ok(raw.confidenceInterval[0] > 0.5, 'Uncorrected 2-bit values overstate the similarity');
+    assert.ok(corrected.standardError > raw.standardError, 'Collisions add uncertainty');
+
+    const same = generateGroupedOPHSignature(setA, 128, 4);
+    const identical = estimateJaccardWithConfidence(same, same);
+    assert.equal(identical.estimate, 1);
+    assert.equal(identical.standardError, 0);
+    assert.equal(identical.confidenceInterval[1], 1);
+    assert.ok(identical.confidenceInterval[0] > 0.95 && identical.confidenceInterval[0] < 1, 'All bins matching still leaves a lower bound');
+
+    const empty = generateGroupedOPHSignature([], 128, 4);
+    assert.deepEqual(estimateJaccardWithConfidence(empty, empty).confidenceInterval, [1, 1], 'Two empty sets are identical');
+    assert.equal(estimateJaccardWithConfidence(new Uint32Array(0), new Uint32Array(0)).binsCompared, 0);
+
+    assert.throws(() => estimateJaccardWithConfidence(same, same, { confidenceLevel: 1 }), /Invalid 'confidenceLevel'/);
+    assert.throws(() => estimateJaccardWithConfidence(same, same, { confidenceLevel: '95%' }), /Invalid 'confidenceLevel'/);
+    assert.throws(() => estimateJaccardWithConfidence(same, same, { maxGroups: 2 }), /Invalid or missing 'numGroups'/);
+});
@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    generateGroupedOPHSignature,
+    generateFromHashes,
+    SignatureBuilder,
+    murmurhash3_32_gc_single_int,
+    murmur3Strategy,
+    xxhash64,
+    setBackend,
+    ALGORITHM_VERSION
+} from '../index.js';
+
+// Runs this library against the published test vectors of docs/specification.md
+const vectors = JSON.parse(readFileSync(new URL('./vectors/signatures.json', import.meta.url), 'utf8'));
+after(() => setBackend('auto'));
+
+// Decimal strings in the vectors are uint64 values
+function parse(value) {
+    return typeof value === 'string' ? BigInt(value) : value;
+}
+
+function littleEndian(id) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, id, true);
+    return bytes;
+}
+
+function describe({ set, hash, numHashes, numGroups, seed, densify }, bitDepth) {
+    return `${set}, ${hash}, ${numHashes}/${numGroups}, seed ${seed}, densify ${densify}, ${bitDepth}-bit`;
+}
+
+test('Conformance - Vectors Cover the Current Algorithm', () => {
+    assert.equal(vectors.algorithmVersion, ALGORITHM_VERSION, 'A new algorithm version needs new vectors');
+    const bitDepths = new Set(vectors.cases.flatMap(testCase => Object.keys(testCase.signatures).map(Number)));
+    assert.deepEqual([...bitDepths].sort((a, b) => a - b), [2, 4, 8, 16, 32, 64]);
+    for (const densify of [null, 'rotation', 'optimal']) {
+        assert.ok(vectors.cases.some(testCase => testCase.densify === densify), `densify ${densify}`);
+    }
+});
+
+test('Conformance - Primitives', () => {
+    for (const { numGroups, seed, groupSeeds } of vectors.primitives.groupSeeds) {
+        const expected = Array.from({ length: numGroups }, (_, i) => seed === 0 ? i : murmurhash3_32_gc_single_int(i, seed));
+        assert.deepEqual(groupSeeds, expected, `Group seeds for seed ${seed}`);
+    }
+    for (const { element, groupSeed, baseHash, denseHash } of vectors.primitives.murmur3) {
+        assert.equal(murmurhash3_32_gc_single_int(element, groupSeed), baseHash, `murmur3 of ${element} with ${groupSeed}`);
+        for (const [bitDepth, value] of Object.entries(denseHash)) {
+            assert.equal(murmur3Strategy.denseHash(baseHash, Number(bitDepth)), value, `Dense hash of ${baseHash} at ${bitDepth} bits`);
+        }
+    }
+    for (const { baseHash, denseHash } of vectors.primitives.denseHash) {
+        for (const [bitDepth, value] of Object.entries(denseHash)) {
+            assert.equal(murmur3Strategy.denseHash(baseHash, Number(bitDepth)), value, `Dense hash of ${baseHash} at ${bitDepth} bits`);
+        }
+    }
+    for (const entry of vectors.primitives.xxh64) {
+        const element = parse(entry.element);
+        const baseHash = parse(entry.baseHash);
+        assert.equal(xxhash64(littleEndian(element), entry.groupSeed), baseHash, `XXH64 of ${element} with ${entry.groupSeed}`);
+
+        // Group seeds 0 .. 3 are those of seed 0 with four groups: the element's bin in that group holds the dense hash
+        const signature = generateGroupedOPHSignature([element], 64, 4, 64, { hash: 'xxh64' });
+        assert.equal(signature[entry.groupSeed * 16 + Number(baseHash % 16n)], parse(entry.denseHash), `Dense hash of ${baseHash}`);
+    }
+});
+
+test('Conformance - generateGroupedOPHSignature', () => {
+    for (const testCase of vectors.cases) {
+        const { set, hash, numHashes, numGroups, seed, densify } = testCase;
+        const elements = vectors.sets[set].elements.map(parse);
+        const options = densify === null ? { seed, hash } : { seed, hash, densify };
+        for (const [bitDepth, expected] of Object.entries(testCase.signatures)) {
+            const signature = generateGroupedOPHSignature(elements, numHashes, numGroups, Number(bitDepth), options);
+            assert.deepEqual(Array.from(signature), expected.map(parse), describe(testCase, bitDepth));
+        }
+    }
+});
+
+test('Conformance - Other Generation Paths', () => {
+    const cases = vectors.cases.filter(testCase => testCase.hash === 'murmur3');
+    for (const backend of ['js', 'auto']) {
+        setBackend(backend);
+        for (const testCase of cases) {
+            const { set, numHashes, numGroups, seed, densify } = testCase;
+            const elements = vectors.sets[set].elements;
+            const options = densify === null ? { seed } : { seed, densify };
+            const builder = new SignatureBuilder(numHashes, numGroups, { seed }).addAll(elements);
+            for (const [bitDepth, expected] of Object.entries(testCase.signatures)) {
+                const name = `${describe(testCase, bitDepth)}, ${backend}`;
+                assert.deepEqual(Array.from(generateFromHashes(Uint32Array.from(elements), numHashes, numGroups, Number(bitDepth), options)), expected, `generateFromHashes: ${name}`);
+                assert.deepEqual(Array.from(builder.finalize(Number(bitDepth), options)), expected, `SignatureBuilder: ${name}`);
+            }
+        }
+    }
+});
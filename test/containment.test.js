@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateContainment,
+    estimateIntersectionSize
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+function union(...sets) {
+    return new Set(sets.flatMap(set => [...set]));
+}
+
+test('Containment - Quoted Passage', () => {
+    const passage = range(0, 200);
+    const document = union(passage, range(10000, 800));
+    const unrelated = range(50000, 400);
+    const options = { numGroups: 4 };
+
+    const sigPassage = generateGroupedOPHSignature(passage, 256, 4);
+    const sigDocument = generateGroupedOPHSignature(document, 256, 4);
+    const sigUnrelated = generateGroupedOPHSignature(unrelated, 256, 4);
+
+    const contained = estimateContainment(sigPassage, sigDocument, options);
+    const reverse = estimateContainment(sigDocument, sigPassage, options);
+    assert.ok(contained > 0.8, `Passage is inside the document (${contained.toFixed(3)} vs 1)`);
+    assert.ok(Math.abs(reverse - 0.2) < 0.08, `Document is mostly not inside the passage (${reverse.toFixed(3)} vs 0.2)`);
+    assert.ok(estimateContainment(sigPassage, sigUnrelated, options) < 0.05, 'Unrelated sets');
+    assert.equal(estimateContainment(sigPassage, sigPassage, options), 1, 'A set contains itself');
+
+    const intersection = estimateIntersectionSize(sigPassage, sigDocument, options);
+    assert.ok(Math.abs(intersection - 200) < 40, `Intersection size ${intersection.toFixed(1)} vs 200`);
+    assert.equal(estimateIntersectionSize(sigPassage, sigUnrelated, options), 0, 'No overlap');
+});
+
+test('Containment - Partial Overlap Across Bit Depths', () => {
+    const setA = union(range(0, 150), range(20000, 150)); // 300 elements, half inside B
+    const setB = union(range(0, 150), range(30000, 450)); // 600 elements
+
+    for (const bitDepth of [32, 16, 8]) {
+        const sigA = generateGroupedOPHSignature(setA, 256, 4, bitDepth, { metadata: true });
+        const sigB = generateGroupedOPHSignature(setB, 256, 4, bitDepth, { metadata: true });
+        const containment = estimateContainment(sigA, sigB);
+        const intersection = estimateIntersectionSize(sigA, sigB);
+        assert.ok(Math.abs(containment - 0.5) < 0.12, `${bitDepth}-bit containment ${containment.toFixed(3)} vs 0.5`);
+        assert.ok(Math.abs(intersection - 150) < 40, `${bitDepth}-bit intersection ${intersection.toFixed(1)} vs 150`);
+    }
+
+    const packedA = generateGroupedOPHSignature(range(0, 40), 256, 4, 4, { packed: true });
+    const packedB = generateGroupedOPHSignature(range(20, 40), 256, 4, 4, { packed: true });
+    const packedContainment = estimateContainment(packedA, packedB, { numGroups: 4 });
+    assert.ok(Math.abs(packedContainment - 0.5) < 0.2, `Packed 4-bit containment of small sets ${packedContainment.toFixed(3)} vs 0.5`);
+
+    // A raw 4-bit signature must say so, or its values are read as 8-bit minima
+    const raw4A = generateGroupedOPHSignature(range(0, 40), 256, 4, 4);
+    const raw4B = generateGroupedOPHSignature(range(20, 40), 256, 4, 4);
+    assert.equal(estimateContainment(raw4A, raw4B, { numGroups: 4, bitDepth: 4 }), packedContainment, 'bitDepth option for raw signatures');
+});
+
+test('Containment - Intersection Size Is Unbiased (Monte Carlo)', () => {
+    const setA = union(range(0, 300), range(40000, 200));
+    const setB = union(range(0, 300), range(60000, 700));
+    const trials = 30;
+    let sum = 0;
+    for (let seed = 1; seed <= trials; seed++) {
+        sum += estimateIntersectionSize(
+            generateGroupedOPHSignature(setA, 128, 4, 32, { seed, metadata: true }),
+            generateGroupedOPHSignature(setB, 128, 4, 32, { seed, metadata: true })
+        );
+    }
+    const mean = sum / trials;
+    assert.ok(Math.abs(mean - 300) < 300 * 0.06, `Mean intersection size ${mean.toFixed(1)} vs 300`);
+});
+
+test('Containment - Early Termination', () => {
+    const passage = range(0, 200);
+    const document = union(passage, range(10000, 1800));
+    const sigPassage = generateGroupedOPHSignature(passage, 512, 8, 32, { metadata: true });
+    const sigDocument = generateGroupedOPHSignature(document, 512, 8, 32, { metadata: true });
+    const sigUnrelated = generateGroupedOPHSignature(range(70000, 300), 512, 8, 32, { metadata: true });
+    const early = { containmentThreshold: 0.7, errorTolerance: 0.01 };
+
+    // Jaccard is only 0.1 here, but containment is what is thresholded
+    assert.ok(estimateContainment(sigPassage, sigDocument, early) > 0.7, 'Confidently contained');
+    assert.equal(estimateContainment(sigPassage, sigUnrelated, early), 0, 'Confidently not contained');
+    const limited = estimateContainment(sigPassage, sigDocument, { maxGroups: 2 });
+    assert.ok(limited > 0.7, `maxGroups approximation (${limited.toFixed(3)})`);
+
+    assert.throws(() => estimateContainment(sigPassage, sigDocument, { containmentThreshold: 1.5, errorTolerance: 0.01 }), /Invalid or missing 'containmentThreshold'/);
+    assert.throws(() => estimateContainment(sigPassage, sigDocument, { errorTolerance: 0.01 }), /Invalid or missing 'containmentThreshold'/);
+    assert.throws(() => estimateContainment(sigPassage, sigDocument, { containmentThreshold: 0.5 }), /errorTolerance/);
+    assert.throws(() => estimateContainment(sigPassage, sigDocument, { similarityThreshold: 0.5, errorTolerance: 0.01 }), /Use 'containmentThreshold'/);
+});
+
+test('Containment - Edge Cases and Validation', () => {
+    const empty = generateGroupedOPHSignature([], 128, 4);
+    const some = generateGroupedOPHSignature(range(0, 50), 128, 4);
+    assert.equal(estimateContainment(empty, some, { numGroups: 4 }), 1, 'The empty set is contained in anything');
+    assert.equal(estimateContainment(some, empty, { numGroups: 4 }), 0);
+    assert.equal(estimateIntersectionSize(empty, empty, { numGroups: 4 }), 0);
+
+    assert.throws(() => estimateContainment(some, some), /Invalid or missing 'numGroups' for cardinality estimation/, 'Raw signatures need numGroups');
+    assert.throws(() => estimateContainment(some, some, { numGroups: 4, bitDepth: 16 }), /bitDepth 16 does not fit a signature stored as Uint32Array/);
+
+    const densified = generateGroupedOPHSignature(range(0, 50), 128, 4, 32, { densify: 'optimal', metadata: true });
+    assert.throws(() => estimateContainment(densified, densified), /densified signature/);
+    const weighted = generateGroupedOPHSignature(new Map([[1, 2]]), 128, 4, 32, { metadata: true });
+    assert.throws(() => estimateIntersectionSize(weighted, weighted), /weighted signature/);
+
+    // 2-bit bins saturate long before a set of 5000 elements
+    const saturated = generateGroupedOPHSignature(range(0, 5000), 128, 4, 2);
+    assert.throws(() => estimateContainment(saturated, saturated, { numGroups: 4, bitDepth: 2 }), /use a higher bit depth/);
+});
@@ -4,9 +4,16 @@ import {
     estimateJaccardSimilarity,
     downgradeSignature,
     getBitDepth,
+    PackedSignature,
+    GroupedOPHSignature,
+    ALGORITHM_VERSION,
+    SignatureBuilder,
+    mergeSignatures,
     murmurhash3_32_gc,
     murmurhash3_32_gc_single_int,
-    hashStringFNV1a
+    hashStringFNV1a,
+    murmurhash3_32_utf8,
+    hashFNV1aUtf8
 } from '../index.js';
 
 const test = tape;
@@ -338,4 +345,349 @@ test('Hashing Utilities - Basic Sanity Checks', (t) => {
     t.equal(hashStringFNV1a(""), hashStringFNV1a(""), 'hashStringFNV1a handles empty string');
 
     t.end();
-}); 
\ No newline at end of file
+}); 
+
+test('PackedSignature - Packing and Generation', (t) => {
+    const elements = new Set([3, 14, 15, 92, 65, 35, 89, 79, 32, 38]);
+
+    for (const bitDepth of [2, 4]) {
+        const unpacked = generateGroupedOPHSignature(elements, 128, 4, bitDepth);
+        const packed = generateGroupedOPHSignature(elements, 128, 4, bitDepth, { packed: true });
+
+        t.ok(packed instanceof PackedSignature, `${bitDepth}-bit packed generation returns a PackedSignature`);
+        t.equal(packed.length, 128, `${bitDepth}-bit packed length counts values, not bytes`);
+        t.equal(packed.bitDepth, bitDepth, `${bitDepth}-bit packed signature records its bit depth`);
+        t.equal(packed.byteLength, 128 * bitDepth / 8, `${bitDepth}-bit packed signature uses ${bitDepth} bits per value`);
+        t.equal(getBitDepth(packed), bitDepth, `getBitDepth reports the true ${bitDepth}-bit depth`);
+        t.deepEqual(packed.unpack(), unpacked, `${bitDepth}-bit packed values unpack to the unpacked signature`);
+        t.equal(packed.get(5), unpacked[5], `${bitDepth}-bit get() reads a single value`);
+    }
+
+    // Lengths that do not fill the last word
+    const odd = PackedSignature.from([1, 2, 3, 0, 1, 2, 3], 2);
+    t.deepEqual(Array.from(odd.unpack()), [1, 2, 3, 0, 1, 2, 3], 'Partial last word round-trips');
+    t.equal(odd.words.length, 1, 'Seven 2-bit values fit in one word');
+
+    t.throws(() => {
+        generateGroupedOPHSignature(elements, 128, 4, 8, { packed: true });
+    }, /packed is only supported for bitDepth 2 or 4/, 'Throws when packing an 8-bit signature');
+    t.throws(() => new PackedSignature(new Uint32Array(1), 8, 8), /PackedSignature bitDepth must be 2 or 4/, 'Throws for unsupported packed depth');
+    t.throws(() => new PackedSignature(new Uint32Array(1), 64, 4), /large enough to hold length values/, 'Throws when words are too short');
+
+    t.end();
+});
+
+test('PackedSignature - Downgrade and Similarity', (t) => {
+    const makeSet = (start, size) => {
+        const set = new Set();
+        for (let i = 0; i < size; i++) set.add(start + i * 7919);
+        return set;
+    };
+
+    // 120 values: group boundaries (every 40) fall mid-word for both depths
+    const numHashes = 120;
+    const numGroups = 3;
+    const sigA32 = generateGroupedOPHSignature(makeSet(1, 60), numHashes, numGroups, 32);
+    const sigB32 = generateGroupedOPHSignature(makeSet(1 + 20 * 7919, 60), numHashes, numGroups, 32);
+    const sparseA32 = generateGroupedOPHSignature(makeSet(5, 12), numHashes, numGroups, 32);
+
+    const optionSets = [
+        {},
+        { numGroups, maxGroups: 1 },
+        { numGroups, maxGroups: 2 },
+        { numGroups, similarityThreshold: 0.3, errorTolerance: 0.05 },
+        { numGroups, similarityThreshold: 0.9, errorTolerance: 0.05 }
+    ];
+
+    for (const bitDepth of [2, 4]) {
+        const packedA = downgradeSignature(sigA32, bitDepth, { packed: true });
+        const packedB = downgradeSignature(sigB32, bitDepth, { packed: true });
+        const packedSparse = downgradeSignature(sparseA32, bitDepth, { packed: true });
+        const plainA = downgradeSignature(sigA32, bitDepth);
+        const plainB = downgradeSignature(sigB32, bitDepth);
+        const plainSparse = downgradeSignature(sparseA32, bitDepth);
+
+        t.ok(packedA instanceof PackedSignature, `Downgrade to ${bitDepth}-bit with packed returns a PackedSignature`);
+        t.deepEqual(packedA.unpack(), plainA, `Packed ${bitDepth}-bit downgrade holds the same values`);
+
+        for (const opts of optionSets) {
+            const label = `${bitDepth}-bit ${JSON.stringify(opts)}`;
+            // Raw values must declare their depth to get the same collision correction as packed ones
+            const plainOpts = { ...opts, bitDepth };
+            t.equal(estimateJaccardSimilarity(packedA, packedB, opts), estimateJaccardSimilarity(plainA, plainB, plainOpts), `Packed comparison matches unpacked (${label})`);
+            t.equal(estimateJaccardSimilarity(packedSparse, packedB, opts), estimateJaccardSimilarity(plainSparse, plainB, plainOpts), `Packed comparison with empty bins matches unpacked (${label})`);
+        }
+        t.equal(estimateJaccardSimilarity(packedA, plainB), estimateJaccardSimilarity(plainA, plainB, { bitDepth }), `Packed vs unpacked ${bitDepth}-bit falls back to value comparison`);
+    }
+
+    const packed4 = downgradeSignature(sigA32, 4, { packed: true });
+    const packed2From4 = downgradeSignature(packed4, 2, { packed: true });
+    t.deepEqual(packed2From4.unpack(), downgradeSignature(downgradeSignature(sigA32, 4), 2), 'Packed 4-bit signatures can be downgraded to 2-bit');
+
+    t.throws(() => {
+        estimateJaccardSimilarity(packed4, downgradeSignature(sigB32, 2, { packed: true }));
+    }, /Packed signatures must have the same bit depth to be compared/, 'Throws when comparing packed signatures of different depths');
+    t.throws(() => {
+        downgradeSignature(sigA32, 8, { packed: true });
+    }, /packed is only supported for a target bit depth of 2 or 4/, 'Throws when packing an 8-bit downgrade');
+
+    t.end();
+});
+
+test('GroupedOPHSignature - Metadata', (t) => {
+    const elements = new Set([10, 20, 30, 40, 50, 60, 70, 80]);
+
+    const sig4 = generateGroupedOPHSignature(elements, 64, 4, 4, { metadata: true });
+    t.ok(sig4 instanceof GroupedOPHSignature, 'metadata option returns a GroupedOPHSignature');
+    t.equal(sig4.numHashes, 64, 'Records numHashes');
+    t.equal(sig4.length, 64, 'length mirrors numHashes');
+    t.equal(sig4.numGroups, 4, 'Records numGroups');
+    t.equal(sig4.bitDepth, 4, 'Records the true bit depth');
+    t.equal(sig4.seed, 0, 'Records the default seed');
+    t.equal(sig4.version, ALGORITHM_VERSION, 'Records the algorithm version');
+    t.equal(sig4.densify, null, 'Records that no densification was applied');
+    t.deepEqual(sig4.values, generateGroupedOPHSignature(elements, 64, 4, 4), 'Wrapped values match the raw signature');
+    t.equal(getBitDepth(sig4), 4, 'getBitDepth reports 4 for a wrapped 4-bit signature stored in a Uint8Array');
+
+    const packed = generateGroupedOPHSignature(elements, 64, 4, 2, { metadata: true, packed: true });
+    t.ok(packed.values instanceof PackedSignature, 'Packed and metadata options combine');
+    t.equal(getBitDepth(packed), 2, 'Wrapped packed signature reports its depth');
+
+    const down = downgradeSignature(generateGroupedOPHSignature(elements, 64, 4, 32, { metadata: true }), 8);
+    t.ok(down instanceof GroupedOPHSignature, 'Downgrading a wrapped signature returns a wrapped signature');
+    t.equal(down.bitDepth, 8, 'Downgraded signature records its new depth');
+    t.equal(down.numGroups, 4, 'Downgraded signature keeps numGroups');
+    t.throws(() => downgradeSignature(sig4, 8), /Target bit depth must be lower than current bit depth/, 'Downgrade uses the true bit depth of a wrapped signature');
+    t.equal(getBitDepth(downgradeSignature(sig4, 2)), 2, 'Wrapped 4-bit signature can be downgraded to 2-bit');
+
+    const wrapped = new GroupedOPHSignature(new Uint8Array(8), { numGroups: 2, bitDepth: 4 });
+    t.equal(wrapped.bitDepth, 4, 'Raw values can be wrapped by hand');
+    t.throws(() => new GroupedOPHSignature(new Uint8Array(8), { numGroups: 3 }), /numGroups must be a positive integer and a divisor/, 'Throws when numGroups does not divide the length');
+    t.throws(() => new GroupedOPHSignature(new Uint16Array(8), { numGroups: 2, bitDepth: 8 }), /bitDepth 8 does not fit a signature stored as Uint16Array/, 'Throws when bitDepth does not fit the storage type');
+    t.throws(() => new GroupedOPHSignature([1, 2], { numGroups: 1 }), /values must be a Uint8Array, Uint16Array, Uint32Array or PackedSignature/, 'Throws for plain arrays');
+    t.throws(() => new GroupedOPHSignature(new Uint8Array(8), { numGroups: 2, densify: 'nearest' }), /densify must be 'rotation', 'optimal' or null/, 'Throws for an unknown densification scheme');
+
+    t.end();
+});
+
+test('GroupedOPHSignature - Comparison', (t) => {
+    const setA = new Set();
+    const setB = new Set();
+    for (let i = 0; i < 200; i++) {
+        setA.add(i);
+        setB.add(i + 60);
+    }
+
+    const rawA = generateGroupedOPHSignature(setA, 128, 4, 16);
+    const rawB = generateGroupedOPHSignature(setB, 128, 4, 16);
+    const sigA = generateGroupedOPHSignature(setA, 128, 4, 16, { metadata: true });
+    const sigB = generateGroupedOPHSignature(setB, 128, 4, 16, { metadata: true });
+
+    t.equal(estimateJaccardSimilarity(sigA, sigB), estimateJaccardSimilarity(rawA, rawB), 'Wrapped comparison matches raw comparison');
+    t.equal(estimateJaccardSimilarity(sigA, rawB), estimateJaccardSimilarity(rawA, rawB), 'Wrapped and raw signatures can be mixed');
+    t.equal(
+        estimateJaccardSimilarity(sigA, sigB, { maxGroups: 2 }),
+        estimateJaccardSimilarity(rawA, rawB, { numGroups: 4, maxGroups: 2 }),
+        'numGroups is taken from the signature metadata'
+    );
+    t.equal(
+        estimateJaccardSimilarity(sigA, sigB, { similarityThreshold: 0.9, errorTolerance: 0.01 }),
+        estimateJaccardSimilarity(rawA, rawB, { numGroups: 4, similarityThreshold: 0.9, errorTolerance: 0.01 }),
+        'Early termination works without passing numGroups'
+    );
+    t.throws(() => {
+        estimateJaccardSimilarity(sigA, sigB, { numGroups: 2, maxGroups: 1 });
+    }, /'numGroups' option \(2\) does not match the signature's numGroups \(4\)/, 'Throws when numGroups contradicts the metadata');
+
+    // Differing bit depths are reconciled by downgrading the higher-precision side
+    const sigB8 = downgradeSignature(sigB, 8);
+    t.equal(estimateJaccardSimilarity(sigA, sigB8), estimateJaccardSimilarity(downgradeSignature(rawA, 8), sigB8.values, { bitDepth: 8 }), 'Mixed bit depths compare at the lower depth');
+
+    const otherGroups = generateGroupedOPHSignature(setB, 128, 8, 16, { metadata: true });
+    t.throws(() => estimateJaccardSimilarity(sigA, otherGroups), /Incompatible signatures: numGroups differs \(4 vs 8\)/, 'Throws for different numGroups');
+
+    const densified = generateGroupedOPHSignature(setB, 128, 4, 16, { metadata: true, densify: 'optimal' });
+    t.throws(() => estimateJaccardSimilarity(sigA, densified), /Incompatible signatures: densify differs/, 'Throws when only one side is densified');
+
+    const otherVersion = new GroupedOPHSignature(rawB, { numGroups: 4, version: ALGORITHM_VERSION + 1 });
+    t.throws(() => estimateJaccardSimilarity(sigA, otherVersion), /Incompatible signatures: version differs/, 'Throws for different algorithm versions');
+
+    t.end();
+});
+
+test('generateGroupedOPHSignature - Seeds', (t) => {
+    const elements = new Set([5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60]);
+
+    const defaultSig = generateGroupedOPHSignature(elements, 64, 4);
+    t.deepEqual(generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 0 }), defaultSig, 'Seed 0 is the default hash family');
+
+    const seeded = generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 12345 });
+    t.deepEqual(generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 12345 }), seeded, 'Same seed is deterministic');
+    t.notDeepEqual(seeded, defaultSig, 'A non-zero seed selects a different hash family');
+    t.notDeepEqual(generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 12346 }), seeded, 'Adjacent seeds give unrelated signatures');
+    t.deepEqual(
+        generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 0xFFFFFFFF }),
+        generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 0xFFFFFFFF }),
+        'The largest uint32 seed is accepted'
+    );
+
+    for (const seed of [-1, 1.5, 2 ** 32, '7']) {
+        t.throws(() => {
+            generateGroupedOPHSignature(elements, 64, 4, 32, { seed });
+        }, /seed must be an integer between 0 and 4294967295/, `Throws for seed ${JSON.stringify(seed)}`);
+    }
+
+    const wrappedA = generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 99, metadata: true });
+    t.equal(wrappedA.seed, 99, 'Seed is recorded in the metadata');
+    t.equal(estimateJaccardSimilarity(wrappedA, generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 99, metadata: true })), 1.0, 'Signatures with the same seed compare normally');
+    t.throws(() => {
+        estimateJaccardSimilarity(wrappedA, generateGroupedOPHSignature(elements, 64, 4, 32, { seed: 100, metadata: true }));
+    }, /Incompatible signatures: seed differs \(99 vs 100\)/, 'Signatures with different seeds are rejected');
+
+    t.end();
+});
+
+test('SignatureBuilder - Matches One-Shot Generation', (t) => {
+    const elements = [];
+    for (let i = 0; i < 500; i++) elements.push((i * 2654435761) >>> 0);
+    const chunks = [elements.slice(0, 120), elements.slice(120, 300), elements.slice(300)];
+
+    const builder = new SignatureBuilder(128, 4);
+    builder.addAll(chunks[0]);
+    for (const hash of chunks[1]) builder.add(hash);
+    builder.addAll(new Set(chunks[2])).add('not a number');
+
+    // Two "workers" each see part of the stream
+    const workerA = new SignatureBuilder(128, 4).addAll(chunks[0]).addAll(chunks[2]);
+    const workerB = new SignatureBuilder(128, 4).addAll(chunks[1]);
+    const merged = workerA.merge(workerB);
+
+    for (const bitDepth of [2, 4, 8, 16, 32]) {
+        const expected = generateGroupedOPHSignature(new Set(elements), 128, 4, bitDepth);
+        t.deepEqual(builder.finalize(bitDepth), expected, `${bitDepth}-bit: incremental build matches one-shot`);
+        t.deepEqual(merged.finalize(bitDepth), expected, `${bitDepth}-bit: merged builders match one-shot`);
+    }
+    t.deepEqual(builder.finalize(), generateGroupedOPHSignature(elements, 128, 4), 'finalize defaults to 32-bit');
+
+    const small = [7, 8, 9];
+    const seeded = new SignatureBuilder(64, 4, { seed: 42 }).addAll(small);
+    for (const options of [{ densify: 'optimal' }, { packed: true }, { metadata: true }]) {
+        t.deepEqual(seeded.finalize(4, options), generateGroupedOPHSignature(small, 64, 4, 4, { seed: 42, ...options }), `Seeded finalize with ${JSON.stringify(options)} matches one-shot`);
+    }
+
+    // finalize does not consume the builder
+    const grow = new SignatureBuilder(64, 4).addAll([1, 2]);
+    grow.finalize(8, { densify: 'rotation' });
+    grow.add(3);
+    t.deepEqual(grow.finalize(8), generateGroupedOPHSignature([1, 2, 3], 64, 4, 8), 'Builder keeps accepting elements after finalize');
+    t.deepEqual(new SignatureBuilder(64, 4).finalize(16), generateGroupedOPHSignature([], 64, 4, 16), 'Empty builder yields the empty signature');
+
+    t.throws(() => new SignatureBuilder(64, 5), /numHashes must be divisible by numGroups/, 'Validates the shape');
+    t.throws(() => grow.finalize(7), /bitDepth must be 2, 4, 8, 16, or 32/, 'Validates the bit depth');
+    t.throws(() => grow.merge(new SignatureBuilder(64, 4, { seed: 1 })), /Cannot merge builders: seed differs \(0 vs 1\)/, 'Refuses to merge builders with different seeds');
+    t.throws(() => grow.merge(new Uint32Array(64)), /Can only merge another SignatureBuilder/, 'Refuses to merge non-builders');
+
+    t.end();
+});
+
+test('mergeSignatures - Union of Sets', (t) => {
+    const setA = new Set();
+    const setB = new Set();
+    for (let i = 0; i < 40; i++) {
+        setA.add(i * 97);
+        setB.add(i * 97 + 2000);
+    }
+    const union = new Set([...setA, ...setB]);
+
+    for (const bitDepth of [2, 4, 8, 16, 32]) {
+        const merged = mergeSignatures(
+            generateGroupedOPHSignature(setA, 128, 4, bitDepth),
+            generateGroupedOPHSignature(setB, 128, 4, bitDepth)
+        );
+        t.deepEqual(merged, generateGroupedOPHSignature(union, 128, 4, bitDepth), `${bitDepth}-bit: merge equals the signature of the union`);
+    }
+
+    const packed = mergeSignatures(
+        generateGroupedOPHSignature(setA, 128, 4, 2, { packed: true }),
+        generateGroupedOPHSignature(setB, 128, 4, 2, { packed: true })
+    );
+    t.deepEqual(packed, generateGroupedOPHSignature(union, 128, 4, 2, { packed: true }), 'Packed signatures merge');
+
+    const wrapped = mergeSignatures(
+        generateGroupedOPHSignature(setA, 128, 4, 16, { metadata: true, seed: 5 }),
+        generateGroupedOPHSignature(setB, 128, 4, 16, { metadata: true, seed: 5 })
+    );
+    t.deepEqual(wrapped, generateGroupedOPHSignature(union, 128, 4, 16, { metadata: true, seed: 5 }), 'Wrapped signatures merge and keep their metadata');
+
+    t.throws(() => mergeSignatures(new Uint8Array(4), new Uint16Array(4)), /TypedArrays of the same type/, 'Throws for different depths');
+    t.throws(() => mergeSignatures(new Uint8Array(4), new Uint8Array(8)), /non-null and of equal length/, 'Throws for different lengths');
+    t.throws(() => {
+        mergeSignatures(
+            generateGroupedOPHSignature(setA, 128, 4, 16, { metadata: true, seed: 5 }),
+            generateGroupedOPHSignature(setB, 128, 4, 16, { metadata: true, seed: 6 })
+        );
+    }, /Incompatible signatures: seed differs/, 'Throws for different seeds');
+    t.throws(() => {
+        mergeSignatures(
+            generateGroupedOPHSignature(setA, 128, 4, 16, { metadata: true, densify: 'optimal' }),
+            generateGroupedOPHSignature(setB, 128, 4, 16, { metadata: true, densify: 'optimal' })
+        );
+    }, /Densified signatures cannot be merged/, 'Throws for densified signatures');
+
+    t.end();
+});
+
+test('Hashing Utilities - UTF-8 Reference Vectors', (t) => {
+    // MurmurHash3 x86_32 and FNV-1a reference values for the UTF-8 bytes
+    const murmurVectors = [
+        ['', 0, 0x00000000],
+        ['', 1, 0x514E28B7],
+        ['', 0xFFFFFFFF, 0x81F16F39],
+        ['a', 0x9747B28C, 0x7FA09EA6],
+        ['abcd', 0x9747B28C, 0xF0478627],
+        ['Hello, world!', 0x9747B28C, 0x24884CBA],
+        ['ππππππππ', 0x9747B28C, 0xD58063C1],
+        ['The quick brown fox jumps over the lazy dog', 0, 0x2E4FF723],
+        ['日本語のテキスト', 0, 0xD03427F2],
+        ['🦊 café', 42, 0x18E197E9]
+    ];
+    const fnvVectors = [
+        ['', 0x811C9DC5],
+        ['a', 0xE40C292C],
+        ['foobar', 0xBF9CF968],
+        ['日本語のテキスト', 0xE978E00D],
+        ['🦊 café', 0x0E02574E],
+        ['naïve', 0x999A082B]
+    ];
+    const encoder = new TextEncoder();
+
+    for (const [input, seed, expected] of murmurVectors) {
+        t.equal(murmurhash3_32_utf8(input, seed), expected, `murmurhash3_32_utf8(${JSON.stringify(input)}, ${seed})`);
+        t.equal(murmurhash3_32_utf8(encoder.encode(input), seed), expected, `murmurhash3_32_utf8 of the bytes of ${JSON.stringify(input)}`);
+    }
+    for (const [input, expected] of fnvVectors) {
+        t.equal(hashFNV1aUtf8(input), expected, `hashFNV1aUtf8(${JSON.stringify(input)})`);
+        t.equal(hashFNV1aUtf8(encoder.encode(input)), expected, `hashFNV1aUtf8 of the bytes of ${JSON.stringify(input)}`);
+    }
+    t.equal(murmurhash3_32_utf8('abc'), murmurhash3_32_utf8('abc', 0), 'Seed defaults to 0');
+
+    // Agrees with the legacy functions on ASCII, and with TextEncoder on arbitrary strings
+    for (const ascii of ['', 'x', 'hello world', 'The quick brown fox']) {
+        t.equal(murmurhash3_32_utf8(ascii, 7), murmurhash3_32_gc(ascii, 7), `Matches murmurhash3_32_gc on ASCII ${JSON.stringify(ascii)}`);
+        t.equal(hashFNV1aUtf8(ascii), hashStringFNV1a(ascii), `Matches hashStringFNV1a on ASCII ${JSON.stringify(ascii)}`);
+    }
+    // The long text is encoded into a temporary buffer rather than the retained scratch buffer
+    for (const text of ['\uD83E', 'a\uDC00b', 'x\uD83E\uDD8A\uD83E', '\u07FF\u0800\uFFFF', 'Ωmega'.repeat(100), '日本語'.repeat(30000), 'Ωmega']) {
+        t.equal(murmurhash3_32_utf8(text, 3), murmurhash3_32_utf8(encoder.encode(text), 3), `Encodes ${JSON.stringify(text.slice(0, 8))} like TextEncoder`);
+        t.equal(hashFNV1aUtf8(text), hashFNV1aUtf8(encoder.encode(text)), `hashFNV1aUtf8 encodes ${JSON.stringify(text.slice(0, 8))} like TextEncoder`);
+    }
+
+    // The legacy hash collapses non-Latin text; the UTF-8 one does not
+    t.equal(murmurhash3_32_gc('\u4E00', 0), murmurhash3_32_gc('\u0100', 0), 'murmurhash3_32_gc collides on characters sharing a low byte');
+    t.notEqual(murmurhash3_32_utf8('\u4E00'), murmurhash3_32_utf8('\u0100'), 'murmurhash3_32_utf8 does not');
+
+    t.throws(() => murmurhash3_32_utf8(12), /input must be a string or a Uint8Array/, 'murmurhash3_32_utf8 rejects other inputs');
+    t.throws(() => hashFNV1aUtf8([1, 2]), /input must be a string or a Uint8Array/, 'hashFNV1aUtf8 rejects other inputs');
+
+    t.end();
+});
@@ -0,0 +1,79 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    generateFromHashes,
+    GroupedOPHSignature,
+    setBackend
+} from '../index.js';
+
+after(() => setBackend('auto'));
+
+// `count` element hashes spread over the hash space, including values above 2^31
+function hashes(start, count) {
+    const elements = new Uint32Array(count);
+    for (let i = 0; i < count; i++) elements[i] = Math.imul(start + i, 2654435761) >>> 0;
+    return elements;
+}
+
+test('generateFromHashes - Matches generateGroupedOPHSignature', () => {
+    for (const backend of ['js', 'auto']) {
+        setBackend(backend);
+        for (const bitDepth of [32, 16, 8, 4, 2]) {
+            // Below and above the size handed to WebAssembly, and sparse enough to leave bins empty
+            for (const count of [5, 20, 300]) {
+                for (const options of [{}, { seed: 11 }, { densify: 'optimal' }, { densify: 'rotation', metadata: true }]) {
+                    const elements = hashes(count, count);
+                    const expected = generateGroupedOPHSignature(new Set(elements), 128, 4, bitDepth, options);
+                    const label = `${backend}, ${bitDepth}-bit, ${count} elements, ${JSON.stringify(options)}`;
+                    assert.deepEqual(generateFromHashes(elements, 128, 4, bitDepth, options), expected, label);
+                    assert.deepEqual(generateFromHashes(Array.from(elements), 128, 4, bitDepth, options), expected, `${label}, from an Array`);
+                    assert.deepEqual(generateGroupedOPHSignature(elements, 128, 4, bitDepth, options), expected, `${label}, Uint32Array through generateGroupedOPHSignature`);
+                }
+            }
+        }
+        const packed = generateGroupedOPHSignature(hashes(0, 200), 128, 4, 2, { packed: true });
+        assert.deepEqual(generateFromHashes(hashes(0, 200), 128, 4, 2, { packed: true }), packed, `${backend}, packed`);
+    }
+    setBackend('auto');
+});
+
+test('generateFromHashes - Output Buffer', () => {
+    const out = new Uint32Array(128);
+    const first = generateFromHashes(hashes(0, 400), 128, 4, 32, { out });
+    assert.equal(first, out, 'The signature is written into out');
+    assert.deepEqual(first, generateFromHashes(hashes(0, 400), 128, 4));
+
+    // Reuse leaves nothing behind from the previous signature
+    const second = generateFromHashes(hashes(5000, 10), 128, 4, 32, { out });
+    assert.equal(second, out);
+    assert.deepEqual(second, generateFromHashes(hashes(5000, 10), 128, 4));
+    assert.ok(second.includes(0), 'Empty bins are 0 again');
+
+    const out8 = new Uint8Array(64);
+    const wrapped = generateFromHashes(hashes(0, 100), 64, 4, 4, { out: out8, metadata: true, densify: 'optimal' });
+    assert.ok(wrapped instanceof GroupedOPHSignature);
+    assert.equal(wrapped.values, out8, 'metadata wraps out without copying');
+    assert.equal(wrapped.bitDepth, 4);
+
+    assert.throws(() => generateFromHashes(hashes(0, 10), 128, 4, 32, { out: new Uint32Array(64) }), /out must be a Uint32Array of length 128 for bitDepth 32/);
+    assert.throws(() => generateFromHashes(hashes(0, 10), 128, 4, 16, { out: new Uint32Array(128) }), /out must be a Uint16Array of length 128 for bitDepth 16/);
+    assert.throws(() => generateFromHashes(hashes(0, 10), 128, 4, 2, { out: new Uint8Array(128), packed: true }), /out cannot be combined with packed/);
+});
+
+test('generateFromHashes - Strict Mode', () => {
+    const mixed = [1, 2, '3', 4, null, 5];
+    assert.deepEqual(generateFromHashes(mixed, 64, 4), generateGroupedOPHSignature(mixed, 64, 4), 'Non-numbers are skipped by default, as in generateGroupedOPHSignature');
+    assert.deepEqual(generateFromHashes(mixed, 64, 4), generateFromHashes([1, 2, 4, 5], 64, 4));
+
+    assert.throws(() => generateFromHashes(mixed, 64, 4, 32, { strict: true }), /hashes\[2\] must be an integer between 0 and 4294967295/);
+    for (const invalid of [-1, 1.5, 4294967296, NaN, Infinity]) {
+        assert.throws(() => generateFromHashes([7, invalid], 64, 4, 32, { strict: true }), /hashes\[1\] must be an integer/, `${invalid} is rejected`);
+    }
+    assert.deepEqual(generateFromHashes([0, 4294967295], 64, 4, 32, { strict: true }), generateGroupedOPHSignature([0, 4294967295], 64, 4), 'The full uint32 range is accepted');
+    assert.deepEqual(generateFromHashes(hashes(0, 50), 64, 4, 32, { strict: true }), generateFromHashes(hashes(0, 50), 64, 4), 'A Uint32Array needs no checks');
+
+    assert.throws(() => generateFromHashes(new Set([1, 2]), 64, 4), /hashes must be a Uint32Array or an array of numbers/);
+    assert.throws(() => generateFromHashes(null, 64, 4), /hashes must be a Uint32Array/);
+    assert.throws(() => generateFromHashes(hashes(0, 10), 100, 3), /numHashes must be divisible by numGroups/);
+});
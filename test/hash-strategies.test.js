@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    serializeSignature,
+    deserializeSignature,
+    serializeSignatureToBase64,
+    deserializeSignatureFromBase64,
+    downgradeSignature,
+    mergeSignatures,
+    estimateCardinality,
+    GroupedOPHSignature,
+    LSHIndex,
+    SignatureMatrix,
+    clusterSignatures,
+    murmur3Strategy,
+    xxh32Strategy,
+    createTabulationStrategy,
+    xxhash32
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    return Array.from({ length: count }, (_, i) => Math.imul(start + i, 2654435761) >>> 0);
+}
+
+function littleEndian(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+}
+
+test('xxhash32 - Reference Vectors', () => {
+    const vectors = [
+        ['', 0, 0x02cc5d05],
+        ['a', 0, 0x550d7456],
+        ['abc', 0, 0x32d153ff],
+        ['hello, world', 0, 0x4fa5ffd7],
+        ['abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789$', 0, 0xd34d96a7],
+        ['', 2654435761, 0x36b78ae7],
+        ['hello, world', 2654435761, 0xfcc3d1e3],
+        ['héllo ✓', 0, 0x09f95d2b]
+    ];
+    for (const [input, seed, expected] of vectors) {
+        assert.equal(xxhash32(input, seed), expected, `${JSON.stringify(input)}, seed ${seed}`);
+        assert.equal(xxhash32(new TextEncoder().encode(input), seed), expected, `${JSON.stringify(input)} as bytes`);
+    }
+    assert.equal(xxhash32(Uint8Array.from({ length: 100 }, (_, i) => i)), 0x7f89ba44, 'Every tail length after a 16-byte stripe');
+    assert.throws(() => xxhash32(42), /input must be a string or a Uint8Array/);
+});
+
+test('Hash Strategies - Built-in Strategies', () => {
+    const elements = range(0, 500);
+    assert.deepEqual(
+        generateGroupedOPHSignature(elements, 128, 4, 32, { hash: murmur3Strategy, metadata: true }),
+        generateGroupedOPHSignature(elements, 128, 4, 32, { metadata: true }),
+        'murmur3Strategy is the default hash'
+    );
+
+    // XXH32 of the element's bytes, as in any other XXH32 implementation
+    for (const [element, groupSeed, expected] of [[0, 0, 0x08d6d969], [42, 1, 0xb25d9c93], [4294967295, 3000000000, 0xe5c507e0]]) {
+        assert.equal(xxh32Strategy.hashElement(element, groupSeed), expected);
+        assert.equal(xxhash32(littleEndian(element), groupSeed), expected);
+    }
+    // Computed by a Python port of the specification with the reference xxhash package
+    const reference = range(0, 40);
+    assert.deepEqual(Array.from(generateGroupedOPHSignature(reference, 16, 4, 32, { hash: xxh32Strategy, metadata: true }).values), [
+        4169718743, 2256411862, 2439013786, 3109740104, 2755639433, 2214025326, 2349109224, 2351973775,
+        2347523309, 2179184206, 3219504637, 2543747369, 2438960247, 2687107366, 2177136899, 2279643957
+    ]);
+    assert.deepEqual(Array.from(generateGroupedOPHSignature(reference, 16, 4, 8, { hash: xxh32Strategy, metadata: true }).values), [9, 6, 4, 1, 47, 59, 61, 39, 54, 31, 5, 41, 2, 3, 3, 25]);
+
+    // J = 2000 / 4000
+    for (const hash of [xxh32Strategy, createTabulationStrategy(7)]) {
+        for (const bitDepth of [32, 16, 8]) {
+            const a = generateGroupedOPHSignature(range(0, 3000), 512, 4, bitDepth, { hash, metadata: true });
+            const b = generateGroupedOPHSignature(range(1000, 3000), 512, 4, bitDepth, { hash, metadata: true });
+            const estimate = estimateJaccardSimilarity(a, b);
+            assert.ok(Math.abs(estimate - 0.5) < 0.1, `${hash.name}, ${bitDepth}-bit estimate ${estimate}`);
+        }
+    }
+    assert.equal(createTabulationStrategy(7).name, 'tabulation-7');
+    assert.deepEqual(
+        generateGroupedOPHSignature(range(0, 100), 64, 4, 32, { hash: createTabulationStrategy(7), metadata: true }),
+        generateGroupedOPHSignature(range(0, 100), 64, 4, 32, { hash: createTabulationStrategy(7), metadata: true }),
+        'Tables depend only on the seed'
+    );
+    assert.notDeepEqual(
+        generateGroupedOPHSignature(range(0, 100), 64, 4, 32, { hash: createTabulationStrategy(7), metadata: true }),
+        generateGroupedOPHSignature(range(0, 100), 64, 4, 32, { hash: createTabulationStrategy(8), metadata: true })
+    );
+    assert.throws(() => createTabulationStrategy(-1), /seed must be an integer between 0 and 4294967295/);
+});
+
+test('Hash Strategies - User Strategies', () => {
+    // Strings hashed with a function of their own; other elements are skipped
+    const words = {
+        name: 'word-fnv',
+        hashElement: (element, groupSeed) => typeof element === 'string' ? xxhash32(element, groupSeed) : null,
+        denseHash: (baseHash, bitDepth) => (baseHash >>> (32 - bitDepth)) || 1
+    };
+    const signature = generateGroupedOPHSignature(['grouped', 'one', 'permutation', 'hashing', 7], 64, 4, 16, { hash: words, metadata: true });
+    assert.equal(signature.hash, 'word-fnv');
+    assert.deepEqual(signature, generateGroupedOPHSignature(['grouped', 'one', 'permutation', 'hashing'], 64, 4, 16, { hash: words, metadata: true }));
+    assert.ok(signature.values.some(value => value !== 0));
+
+    const densified = generateGroupedOPHSignature(['a', 'b'], 64, 4, 32, { hash: words, densify: 'optimal', metadata: true });
+    assert.ok(densified.values.every(value => value !== 0), 'Densification works with any strategy');
+
+    const broken = { name: 'broken', hashElement: () => -1 };
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: broken, metadata: true }), /Hash strategy 'broken': hashElement must return an integer between 0 and 4294967295, or null/);
+    const partial = { name: 'partial', hashElement: (element, groupSeed) => groupSeed === 3 ? null : element };
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: partial, metadata: true }), /Hash strategy 'partial': hashElement must return null for every group of an element or for none/);
+    const wide = { name: 'wide', hashElement: () => 5, denseHash: () => 256 };
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 8, { hash: wide, metadata: true }), /Hash strategy 'wide': denseHash must return an integer between 1 and 255/);
+
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: 'sha1' }), /hash must be 'murmur3', 'xxh64' or a hash strategy object/);
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: { name: 'x', hashElement: 3 } }), /Hash strategy 'x' must have a hashElement function/);
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: { name: '', hashElement: () => 1 } }), /Hash strategy name must be 1 to 64 printable ASCII characters/);
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: { ...murmur3Strategy } }), /Hash strategy name 'murmur3' is reserved/, 'A copy cannot pass for the built-in hash');
+    assert.throws(() => generateGroupedOPHSignature(new Map([[1, 2]]), 64, 4, 32, { hash: xxh32Strategy, metadata: true }), /Weighted signatures are not supported with hash 'xxh32'/);
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 64, { hash: xxh32Strategy }), /bitDepth 64 requires hash 'xxh64'/);
+    assert.throws(() => generateGroupedOPHSignature([1], 64, 4, 32, { hash: xxh32Strategy }), /Hash strategy 'xxh32' requires metadata: true, so that the signature records its name/);
+    assert.ok(generateGroupedOPHSignature([1], 64, 4, 32, { hash: murmur3Strategy }) instanceof Uint32Array, 'murmur3Strategy is the default hash, recorded or not');
+});
+
+test('Hash Strategies - Recorded With the Signature', () => {
+    const elements = range(0, 300);
+    const murmur = generateGroupedOPHSignature(elements, 128, 4, 32, { metadata: true });
+    const xxh32 = generateGroupedOPHSignature(elements, 128, 4, 32, { hash: xxh32Strategy, metadata: true });
+    const tabulation = generateGroupedOPHSignature(elements, 128, 4, 32, { hash: createTabulationStrategy(1), metadata: true });
+    assert.throws(() => estimateJaccardSimilarity(murmur, xxh32), /Incompatible signatures: hash differs \(murmur3 vs xxh32\)/);
+    assert.throws(() => estimateJaccardSimilarity(xxh32, tabulation), /hash differs \(xxh32 vs tabulation-1\)/);
+    assert.equal(estimateJaccardSimilarity(xxh32, downgradeSignature(xxh32, 16)), 1, 'The name survives downgrading');
+
+    // Strategies keep signed 32-bit minima, like the default hash
+    const whole = generateGroupedOPHSignature(range(0, 3000), 128, 4, 32, { hash: xxh32Strategy, metadata: true });
+    const merged = mergeSignatures(
+        generateGroupedOPHSignature(range(0, 1000), 128, 4, 32, { hash: xxh32Strategy, metadata: true }),
+        generateGroupedOPHSignature(range(1000, 2000), 128, 4, 32, { hash: xxh32Strategy, metadata: true })
+    );
+    assert.deepEqual(merged, whole, 'Merge equals the signature of the union');
+    const cardinality = estimateCardinality(whole);
+    assert.ok(Math.abs(cardinality / 3000 - 1) < 0.35, `Cardinality ${cardinality}`);
+
+    for (const signature of [xxh32, tabulation, generateGroupedOPHSignature(elements, 64, 4, 2, { hash: xxh32Strategy, metadata: true, packed: true })]) {
+        const bytes = serializeSignature(signature);
+        assert.equal(bytes.length, 24 + 1 + signature.hash.length + Math.ceil(signature.numHashes * signature.bitDepth / 8) + 4);
+        assert.deepEqual(deserializeSignature(bytes), signature, `${signature.hash} round trip`);
+        assert.deepEqual(deserializeSignatureFromBase64(serializeSignatureToBase64(signature, { url: true })), signature);
+    }
+    assert.equal(serializeSignature(murmur).length, 24 + 128 * 4 + 4, 'Built-in hashes add nothing to the header');
+
+    const corrupt = serializeSignature(xxh32);
+    corrupt[26] ^= 0x01;
+    assert.throws(() => deserializeSignature(corrupt), /checksum mismatch/, 'The name is covered by the checksum');
+
+    const named = new GroupedOPHSignature(xxh32.values, { numGroups: 4, hash: 'xxh32' });
+    assert.equal(estimateJaccardSimilarity(named, xxh32), 1, 'Raw values can be wrapped with a strategy name');
+    assert.throws(() => new GroupedOPHSignature(xxh32.values, { numGroups: 4, hash: 'x'.repeat(65) }), /hash must be the name of a hash strategy/);
+});
+
+test('Hash Strategies - Indexes Check Signatures Against the First', () => {
+    const elements = range(0, 300);
+    const murmur = generateGroupedOPHSignature(elements, 128, 4, 32, { metadata: true });
+    const xxh64 = generateGroupedOPHSignature(elements, 128, 4, 32, { hash: 'xxh64', metadata: true });
+    const xxh32 = generateGroupedOPHSignature(elements, 128, 4, 32, { hash: xxh32Strategy, metadata: true });
+
+    const index = new LSHIndex({ numHashes: 128, numGroups: 4, bands: 32, rows: 4 });
+    index.insert('murmur', murmur);
+    assert.throws(() => index.query(xxh64), /Incompatible signatures: hash differs \(murmur3 vs xxh64\)/);
+    assert.throws(() => index.insert('xxh32', xxh32), /hash differs \(murmur3 vs xxh32\)/);
+    assert.deepEqual(index.query(murmur), ['murmur']);
+    assert.deepEqual(index.query(murmur.values), ['murmur'], 'Raw values are not checked');
+
+    const matrix = new SignatureMatrix({ numHashes: 128, numGroups: 4 });
+    matrix.add(murmur);
+    assert.throws(() => matrix.add(xxh64), /hash differs \(murmur3 vs xxh64\)/);
+    assert.throws(() => matrix.queryAll(xxh32), /hash differs \(murmur3 vs xxh32\)/);
+    assert.equal(matrix.size, 1);
+
+    assert.throws(() => clusterSignatures(new Map([['murmur', murmur], ['xxh64', xxh64]]), { threshold: 0.8 }), /hash differs \(murmur3 vs xxh64\)/);
+});
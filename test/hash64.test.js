@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    estimateCardinality,
+    downgradeSignature,
+    mergeSignatures,
+    getBitDepth,
+    serializeSignature,
+    deserializeSignature,
+    GroupedOPHSignature,
+    LSHIndex,
+    SignatureMatrix,
+    clusterSignatures,
+    xxhash64
+} from '../index.js';
+
+// `count` 64-bit ids spread over the whole id space
+function ids(start, count) {
+    const elements = new BigUint64Array(count);
+    for (let i = 0; i < count; i++) elements[i] = BigInt.asUintN(64, BigInt(start + i) * 0x9E3779B97F4A7C15n);
+    return elements;
+}
+
+function littleEndian(id) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, id, true);
+    return bytes;
+}
+
+test('xxhash64 - Reference Vectors', () => {
+    const vectors = [
+        ['', 0, 0xef46db3751d8e999n],
+        ['a', 0, 0xd24ec4f1a98c6e5bn],
+        ['abc', 0, 0x44bc2cf5ad770999n],
+        ['hello, world', 0, 0xb33a384e6d1b1242n],
+        ['abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789$', 0, 0x1032d841e824f998n],
+        ['', 2654435761, 0xac75fda2929b17efn],
+        ['hello, world', 2654435761, 0x157b8a6ca3fcc14dn],
+        ['abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789$', 2654435761n, 0x677d1c47d9d5cb26n],
+        ['héllo ✓', 0, 0x8c7edbda5125f807n]
+    ];
+    for (const [input, seed, expected] of vectors) {
+        assert.equal(xxhash64(input, seed), expected, `${JSON.stringify(input)}, seed ${seed}`);
+        assert.equal(xxhash64(new TextEncoder().encode(input), seed), expected, `${JSON.stringify(input)} as bytes`);
+    }
+    // Every tail length after a 32-byte stripe
+    assert.equal(xxhash64(Uint8Array.from({ length: 100 }, (_, i) => i)), 0x6ac1e58032166597n);
+    assert.equal(xxhash64(littleEndian(0n)), 0x34c96acdcadb1bbbn);
+    assert.equal(xxhash64(littleEndian(0xFFFFFFFFFFFFFFFFn), 1), 0x0ad7f61289875125n);
+
+    assert.throws(() => xxhash64(42), /input must be a string or a Uint8Array/);
+    assert.throws(() => xxhash64('a', 1.5), /seed must be an integer or a BigInt/);
+});
+
+test('64-bit Hashing - Generation', () => {
+    const elements = ids(0, 2000);
+    const signature = generateGroupedOPHSignature(elements, 128, 4, 64, { hash: 'xxh64' });
+    assert.ok(signature instanceof BigUint64Array);
+    assert.equal(getBitDepth(signature), 64);
+    assert.ok(signature.every(value => value !== 0n), 'A large set fills every bin');
+    assert.ok(signature.some(value => value > 0xFFFFFFFFn), 'Values use all 64 bits');
+
+    assert.deepEqual(generateGroupedOPHSignature(Array.from(elements), 128, 4, 64, { hash: 'xxh64' }), signature, 'An array of BigInts');
+    assert.deepEqual(generateGroupedOPHSignature(new Set(elements), 128, 4, 64, { hash: 'xxh64' }), signature, 'A Set of BigInts');
+    assert.deepEqual(
+        generateGroupedOPHSignature([1, 2, 3, 4294967296], 64, 4, 32, { hash: 'xxh64' }),
+        generateGroupedOPHSignature([1n, 2n, 3n, 4294967296n, 'skipped'], 64, 4, 32, { hash: 'xxh64' }),
+        'Numbers and BigInts are the same ids'
+    );
+    assert.notDeepEqual(generateGroupedOPHSignature(elements, 128, 4, 64, { hash: 'xxh64', seed: 3 }), signature, 'The seed selects the family');
+
+    // Ids that agree in their low 32 bits are distinct elements
+    const low = new BigUint64Array([5n, 7n]);
+    const high = new BigUint64Array([5n | (1n << 40n), 7n | (1n << 40n)]);
+    assert.equal(estimateJaccardSimilarity(
+        generateGroupedOPHSignature(low, 64, 4, 64, { hash: 'xxh64' }),
+        generateGroupedOPHSignature(high, 64, 4, 64, { hash: 'xxh64' })
+    ), 0);
+
+    for (const bitDepth of [32, 16, 8, 4, 2]) {
+        const narrow = generateGroupedOPHSignature(elements, 128, 4, bitDepth, { hash: 'xxh64', metadata: true });
+        assert.equal(narrow.bitDepth, bitDepth);
+        assert.equal(narrow.hash, 'xxh64');
+    }
+});
+
+test('64-bit Hashing - Similarity, Merging and Cardinality', () => {
+    // J = 1500 / 2500
+    const a = generateGroupedOPHSignature(ids(0, 2000), 256, 4, 64, { hash: 'xxh64', metadata: true });
+    const b = generateGroupedOPHSignature(ids(500, 2000), 256, 4, 64, { hash: 'xxh64', metadata: true });
+    assert.ok(Math.abs(estimateJaccardSimilarity(a, b) - 0.6) < 0.1, `Estimate ${estimateJaccardSimilarity(a, b)}`);
+    assert.equal(estimateJaccardSimilarity(a.values, b.values), estimateJaccardSimilarity(a, b), 'Raw BigUint64Arrays');
+    assert.equal(estimateJaccardSimilarity(a, a), 1);
+    const early = estimateJaccardSimilarity(a, b, { similarityThreshold: 0.5, errorTolerance: 0.01 });
+    assert.ok(early > 0.4, 'Early termination works on 64-bit values');
+    assert.equal(estimateJaccardSimilarity(a, b, { maxGroups: 4 }), estimateJaccardSimilarity(a, b));
+
+    for (const bitDepth of [64, 32]) {
+        const whole = generateGroupedOPHSignature(ids(0, 3000), 128, 4, bitDepth, { hash: 'xxh64', metadata: true });
+        const parts = [
+            generateGroupedOPHSignature(ids(0, 1000), 128, 4, bitDepth, { hash: 'xxh64', metadata: true }),
+            generateGroupedOPHSignature(ids(1000, 2000), 128, 4, bitDepth, { hash: 'xxh64', metadata: true })
+        ];
+        const merged = mergeSignatures(...parts);
+        assert.deepEqual(merged, whole, `${bitDepth}-bit merge equals the signature of the union`);
+
+        const cardinality = estimateCardinality(whole);
+        assert.ok(Math.abs(cardinality / 3000 - 1) < 0.35, `${bitDepth}-bit cardinality ${cardinality}`);
+
+        // 32-bit minima are signed for every hash, so raw values need no hash name
+        assert.deepEqual(mergeSignatures(parts[0].values, parts[1].values), whole.values, `${bitDepth}-bit raw merge`);
+        assert.equal(estimateCardinality(whole.values, { numGroups: 4 }), cardinality, `${bitDepth}-bit raw cardinality`);
+    }
+    assert.equal(estimateCardinality(generateGroupedOPHSignature(ids(0, 0), 128, 4, 64, { hash: 'xxh64' }), { numGroups: 4 }), 0);
+});
+
+test('64-bit Hashing - Downgrading and Compatibility', () => {
+    const signature = generateGroupedOPHSignature(ids(0, 1000), 128, 4, 64, { hash: 'xxh64', metadata: true });
+    const downgraded = downgradeSignature(signature, 32);
+    assert.ok(downgraded.values instanceof Uint32Array);
+    assert.equal(downgraded.hash, 'xxh64');
+    assert.deepEqual(Array.from(downgraded.values), Array.from(signature.values, value => Number(value & 0xFFFFFFFFn) || 1));
+    assert.deepEqual(downgradeSignature(signature, 8), downgradeSignature(downgraded, 8), 'Through 32 bits or directly');
+
+    const other = generateGroupedOPHSignature(ids(200, 1000), 128, 4, 64, { hash: 'xxh64', metadata: true });
+    assert.equal(
+        estimateJaccardSimilarity(signature, downgradeSignature(other, 16)),
+        estimateJaccardSimilarity(downgradeSignature(signature, 16), downgradeSignature(other, 16)),
+        'A wrapped 64-bit signature is downgraded to the other side'
+    );
+    assert.throws(() => estimateJaccardSimilarity(signature.values, downgraded.values), /A 64-bit signature can only be compared with another 64-bit signature/);
+
+    const murmur = generateGroupedOPHSignature(Array.from({ length: 1000 }, (_, i) => i), 128, 4, 32, { metadata: true });
+    assert.equal(murmur.hash, 'murmur3');
+    assert.throws(() => estimateJaccardSimilarity(downgraded, murmur), /Incompatible signatures: hash differs \(xxh64 vs murmur3\)/);
+});
+
+test('64-bit Hashing - Serialization', () => {
+    for (const options of [{}, { densify: 'optimal' }, { densify: 'rotation', seed: 9 }]) {
+        const signature = generateGroupedOPHSignature(ids(0, 20), 128, 4, 64, { hash: 'xxh64', metadata: true, ...options });
+        assert.ok(signature.values.every(value => options.densify === undefined || value !== 0n), 'Densified 64-bit bins are filled');
+        const bytes = serializeSignature(signature);
+        assert.equal(bytes.length, 24 + 128 * 8 + 4);
+        assert.deepEqual(deserializeSignature(bytes), signature);
+    }
+    const narrow = generateGroupedOPHSignature(ids(0, 100), 64, 4, 4, { hash: 'xxh64', metadata: true, packed: true });
+    assert.deepEqual(deserializeSignature(serializeSignature(narrow)), narrow, 'The hash is kept at every depth');
+
+    const raw = new BigUint64Array(64).fill(3n);
+    assert.equal(deserializeSignature(serializeSignature(raw, { numGroups: 4 })).hash, 'xxh64', 'A BigUint64Array defaults to xxh64');
+    assert.throws(() => new GroupedOPHSignature(raw, { numGroups: 4, hash: 'murmur3' }), /bitDepth 64 requires hash 'xxh64'/);
+    assert.throws(() => new GroupedOPHSignature(raw, { numGroups: 4, hash: '' }), /hash must be the name of a hash strategy/);
+});
+
+test('64-bit Hashing - Errors', () => {
+    assert.throws(() => generateGroupedOPHSignature([1, 2], 64, 4, 64), /bitDepth 64 requires hash 'xxh64'/);
+    assert.throws(() => generateGroupedOPHSignature([1, 2], 64, 4, 12, { hash: 'xxh64' }), /bitDepth must be 2, 4, 8, 16, 32, or 64/);
+    assert.throws(() => generateGroupedOPHSignature([1, 2], 64, 4, 32, { hash: 'xxh128' }), /hash must be 'murmur3', 'xxh64' or a hash strategy object/);
+    assert.throws(() => generateGroupedOPHSignature(ids(0, 5), 64, 4), /A BigUint64Array of element ids requires hash 'xxh64'/);
+    assert.throws(() => generateGroupedOPHSignature([1n, -1n], 64, 4, 32, { hash: 'xxh64' }), /Element ids must be integers between 0 and 2\^64 - 1/);
+    assert.throws(() => generateGroupedOPHSignature([1n << 64n], 64, 4, 32, { hash: 'xxh64' }), /Element ids must be integers/);
+    assert.throws(() => generateGroupedOPHSignature([2 ** 53], 64, 4, 32, { hash: 'xxh64' }), /numbers above 2\^53 - 1 must be BigInts/);
+    assert.throws(() => generateGroupedOPHSignature(new Map([[1n, 2]]), 64, 4, 32, { hash: 'xxh64' }), /Weighted signatures are not supported with hash 'xxh64'/);
+
+    const wide = generateGroupedOPHSignature(ids(0, 100), 64, 4, 64, { hash: 'xxh64', metadata: true });
+    const unindexable = /64-bit signatures cannot be indexed: downgrade them to 32 bits or fewer with downgradeSignature first/;
+    assert.throws(() => new LSHIndex({ numHashes: 64, numGroups: 4, bitDepth: 64, threshold: 0.8 }), unindexable);
+    assert.throws(() => SignatureMatrix.from([wide, wide]), unindexable);
+    assert.throws(() => clusterSignatures([wide.values, wide.values], { threshold: 0.8, numGroups: 4 }), unindexable);
+    assert.equal(clusterSignatures([downgradeSignature(wide, 32), downgradeSignature(wide, 32)], { threshold: 0.8 }).length, 1, 'Downgraded first, they cluster');
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    downgradeSignature,
+    estimateJaccardSimilarity,
+    LSHIndex
+} from '../index.js';
+
+// Builds two sets of `size` elements sharing `shared` of them.
+function overlappingSets(size, shared, offset) {
+    const setA = new Set();
+    const setB = new Set();
+    for (let i = 0; i < shared; i++) {
+        setA.add(offset + i);
+        setB.add(offset + i);
+    }
+    for (let i = shared; i < size; i++) {
+        setA.add(offset + i);
+        setB.add(offset + size + i);
+    }
+    return { setA, setB };
+}
+
+test('LSHIndex - Configuration', async () => {
+    const explicit = new LSHIndex({ numHashes: 128, numGroups: 4, bands: 16, rows: 8 });
+    assert.equal(explicit.bands, 16);
+    assert.equal(explicit.rows, 8);
+    assert.equal(explicit.size, 0);
+
+    for (const threshold of [0.3, 0.5, 0.8]) {
+        const derived = new LSHIndex({ numHashes: 128, numGroups: 4, threshold });
+        assert.ok(derived.bands * derived.rows <= 128, `T=${threshold}: bands * rows should fit the signature`);
+        assert.ok(derived.rows <= 32, `T=${threshold}: rows should fit inside one group`);
+        // The S-curve's inflection point (1/b)^(1/r) should sit near the threshold
+        const inflection = Math.pow(1 / derived.bands, 1 / derived.rows);
+        assert.ok(Math.abs(inflection - threshold) < 0.15, `T=${threshold}: derived b=${derived.bands}, r=${derived.rows} should target the threshold`);
+    }
+
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 4 }), /Either 'bands' and 'rows' or a 'threshold' must be provided/);
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 5, bands: 4, rows: 4 }), /numHashes must be divisible by numGroups/);
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 4, bitDepth: 7, bands: 4, rows: 4 }), /bitDepth must be 2, 4, 8, 16, or 32/);
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 4, bands: 4, rows: 0 }), /bands and rows must both be positive integers/);
+    // 20 rows leave room for only one band per 32-bin group
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 4, bands: 5, rows: 20 }), /Cannot fit 5 bands of 20 rows inside 4 groups/);
+    assert.doesNotThrow(() => new LSHIndex({ numHashes: 128, numGroups: 4, bands: 6, rows: 20, alignToGroups: false }));
+    assert.throws(() => new LSHIndex({ numHashes: 128, numGroups: 4, bands: 7, rows: 20, alignToGroups: false }), /bands \* rows must not exceed numHashes/);
+});
+
+test('LSHIndex - Bands Stay Inside Groups', async () => {
+    // Signatures that agree on group 1 only: with one band per group they must collide
+    const index = new LSHIndex({ numHashes: 16, numGroups: 4, bands: 4, rows: 4 });
+    const stored = new Uint32Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+    const query = new Uint32Array([0, 0, 0, 1, 5, 6, 7, 8, 0, 0, 0, 0, 99, 99, 99, 99]);
+    index.insert('stored', stored);
+    assert.deepEqual(index.query(query), ['stored'], 'A band equal to one whole group should match');
+
+    // Shifting the agreement across a group boundary must not produce a candidate
+    const straddling = new Uint32Array([0, 0, 3, 4, 5, 6, 0, 0, 0, 0, 0, 0, 99, 99, 99, 99]);
+    assert.deepEqual(index.query(straddling), [], 'Values spanning two groups should not form a band');
+
+    // All-zero bands (empty bins) never produce candidates
+    index.insert('empty', new Uint32Array(16));
+    assert.deepEqual(index.query(new Uint32Array(16)), [], 'Empty bands should not be indexed');
+});
+
+test('LSHIndex - Insert, Query, Remove', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const index = new LSHIndex({ numHashes, numGroups, threshold: 0.5 });
+
+    const { setA, setB } = overlappingSets(300, 270, 1000); // J ~ 0.82
+    const { setA: farA, setB: farB } = overlappingSets(300, 10, 50000); // J ~ 0.02
+
+    const sigA = generateGroupedOPHSignature(setA, numHashes, numGroups);
+    const sigB = generateGroupedOPHSignature(setB, numHashes, numGroups);
+    const sigFar = generateGroupedOPHSignature(farB, numHashes, numGroups);
+
+    index.insert('b', sigB);
+    index.insert('far', sigFar);
+    assert.equal(index.size, 2);
+    assert.ok(index.has('b'));
+
+    assert.ok(index.query(sigA).includes('b'), 'Similar signature should be a candidate');
+    assert.ok(!index.query(generateGroupedOPHSignature(farA, numHashes, numGroups)).includes('b'), 'Unrelated signature should not hit the similar one');
+
+    assert.throws(() => index.insert('b', sigB), /id 'b' is already in the index/);
+    assert.throws(() => index.query(new Uint32Array(64)), /Signature must be non-null and of length 128/);
+    assert.throws(() => index.query(new Uint16Array(numHashes)), /Signature type does not match the index bit depth/);
+
+    assert.equal(index.remove('b'), true);
+    assert.equal(index.remove('b'), false, 'Removing twice reports false');
+    assert.ok(!index.query(sigA).includes('b'), 'Removed id should no longer be returned');
+    assert.equal(index.size, 1);
+
+    // Removal uses the band keys of insert time, even if the caller changed the signature since
+    const edited = generateGroupedOPHSignature(setA, numHashes, numGroups);
+    index.insert('edited', edited);
+    for (let i = 0; i < 4; i++) edited[i * 32] ^= 0xFFFF;
+    assert.equal(index.remove('edited'), true);
+    assert.deepEqual(index.query(generateGroupedOPHSignature(setA, numHashes, numGroups)), [], 'No bucket keeps the removed id');
+    assert.equal(index.size, 1);
+});
+
+test('LSHIndex - Verification', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    // Loose banding so moderately similar pairs become candidates
+    const index = new LSHIndex({ numHashes, numGroups, bands: 32, rows: 2, threshold: 0.7 });
+
+    const { setA, setB } = overlappingSets(300, 270, 1000); // J ~ 0.82
+    const { setB: setC } = overlappingSets(300, 120, 1000); // J(A, C) ~ 0.25
+
+    const sigA = generateGroupedOPHSignature(setA, numHashes, numGroups);
+    index.insert('close', generateGroupedOPHSignature(setB, numHashes, numGroups));
+    index.insert('loose', generateGroupedOPHSignature(setC, numHashes, numGroups));
+
+    assert.deepEqual(index.query(sigA).sort(), ['close', 'loose'], 'Both share some band with the query');
+    assert.deepEqual(index.query(sigA, { verify: true }), ['close'], 'Verification drops pairs below the threshold');
+    assert.deepEqual(index.query(sigA, { verify: true, errorTolerance: 0.01 }), ['close'], 'Early-termination verification agrees');
+    assert.deepEqual(index.query(sigA, { verify: true, similarityThreshold: 0.1 }).sort(), ['close', 'loose'], 'Per-query threshold overrides the index threshold');
+
+    const noThreshold = new LSHIndex({ numHashes, numGroups, bands: 32, rows: 2 });
+    assert.throws(() => noThreshold.query(sigA, { verify: true }), /Verification requires a 'similarityThreshold'/);
+});
+
+test('LSHIndex - Verification Corrects Raw Low-Bit Signatures', async () => {
+    // Raw 2-bit values collide often; verification must know the bit depth to correct for it
+    const index = new LSHIndex({ numHashes: 128, numGroups: 4, bitDepth: 2, bands: 64, rows: 2, threshold: 0.45 });
+    const { setA, setB } = overlappingSets(300, 270, 1000); // J ~ 0.82
+    const { setB: setC } = overlappingSets(300, 120, 1000); // J(A, C) ~ 0.25
+    const raw = set => downgradeSignature(generateGroupedOPHSignature(set, 128, 4), 2);
+
+    const sigA = raw(setA);
+    index.insert('close', raw(setB));
+    index.insert('loose', raw(setC));
+
+    assert.deepEqual(index.query(sigA).sort(), ['close', 'loose'], 'Both share some band with the query');
+    assert.ok(estimateJaccardSimilarity(sigA, raw(setC)) >= 0.45, 'Uncorrected, the loose pair passes the threshold');
+    assert.ok(estimateJaccardSimilarity(sigA, raw(setC), { bitDepth: 2 }) < 0.45, 'Corrected, it does not');
+    assert.deepEqual(index.query(sigA, { verify: true }), ['close'], 'Verification corrects for collisions');
+});
+
+test('LSHIndex - Packed Signatures', async () => {
+    const numHashes = 128;
+    const numGroups = 4;
+    const index = new LSHIndex({ numHashes, numGroups, bitDepth: 4, bands: 32, rows: 4 });
+    const { setA, setB } = overlappingSets(300, 285, 1000); // J ~ 0.9
+
+    const packedA = generateGroupedOPHSignature(setA, numHashes, numGroups, 4, { packed: true });
+    const packedB = generateGroupedOPHSignature(setB, numHashes, numGroups, 4, { packed: true });
+    index.insert('b', packedB);
+
+    assert.deepEqual(index.query(packedA), ['b'], 'Packed signatures are banded on their values');
+    assert.deepEqual(index.query(packedA), index.query(packedA.unpack()), 'Packed and unpacked queries hit the same buckets');
+    assert.deepEqual(index.query(packedA, { verify: true, similarityThreshold: 0.5 }), ['b'], 'Packed candidates can be verified');
+});
+
+test('LSHIndex - Wrapped Signatures', async () => {
+    const index = new LSHIndex({ numHashes: 128, numGroups: 4, bitDepth: 4, bands: 32, rows: 4, threshold: 0.5 });
+    const { setA, setB } = overlappingSets(300, 285, 1000); // J ~ 0.9
+
+    const sigA = generateGroupedOPHSignature(setA, 128, 4, 4, { metadata: true });
+    index.insert('b', generateGroupedOPHSignature(setB, 128, 4, 4, { metadata: true }));
+
+    assert.deepEqual(index.query(sigA, { verify: true }), ['b'], 'Wrapped signatures are indexed and verified');
+    assert.deepEqual(index.query(sigA.values), ['b'], 'Raw queries find wrapped entries');
+    assert.throws(() => {
+        index.query(generateGroupedOPHSignature(setA, 128, 4, 8, { metadata: true }));
+    }, /does not match the index \(numGroups 4, bitDepth 4\)/, 'Throws for a wrapped signature with other settings');
+});
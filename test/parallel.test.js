@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateGroupedOPHSignature, xxh32Strategy } from '../index.js';
+import { generateSignaturesParallel } from '../parallel.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+// Sets of every accepted kind and a range of sizes, including empty and single-element sets
+const corpus = [];
+for (let i = 0; i < 60; i++) {
+    const set = range(i * 1000, (i * 37) % 300);
+    if (i % 4 === 1) corpus.push(Array.from(set));
+    else if (i % 4 === 2) corpus.push(Uint32Array.from(set));
+    else if (i % 4 === 3) corpus.push(new Map(Array.from(set, (element, k) => [element, 1 + (k % 5)])));
+    else corpus.push(set);
+}
+corpus.push(new Set(), [42], [1, 'two', 3, null]);
+
+async function collect(iterator) {
+    const results = [];
+    for await (const result of iterator) results.push(result);
+    return results;
+}
+
+test('generateSignaturesParallel - Identical to generateGroupedOPHSignature', async () => {
+    const configurations = [
+        { numHashes: 128, numGroups: 4 },
+        { numHashes: 96, numGroups: 3, bitDepth: 16, seed: 9, densify: 'optimal' },
+        { numHashes: 64, numGroups: 4, bitDepth: 4, packed: true, metadata: true },
+        { numHashes: 128, numGroups: 8, bitDepth: 8, metadata: true, densify: 'rotation' }
+    ];
+    for (const configuration of configurations) {
+        const { numHashes, numGroups, bitDepth = 32, ...options } = configuration;
+        const expected = corpus.map(set => generateGroupedOPHSignature(set, numHashes, numGroups, bitDepth, options));
+        const actual = await collect(generateSignaturesParallel(corpus, { ...configuration, threads: 2, batchSize: 7 }));
+        assert.deepEqual(actual, expected, JSON.stringify(configuration));
+    }
+});
+
+test('generateSignaturesParallel - xxh64 Element Ids', async () => {
+    // BigInt ids above 2^53, numbers, and a BigUint64Array; strings are skipped as in generateGroupedOPHSignature
+    const ids = [];
+    for (let i = 0; i < 40; i++) {
+        const set = new Set();
+        for (let k = 0; k < (i * 13) % 90; k++) set.add((BigInt(i) << 40n) + BigInt(k) * 0x9E3779B97F4A7C15n % (1n << 60n));
+        if (i % 3 === 1) ids.push(BigUint64Array.from(set));
+        else if (i % 3 === 2) ids.push([...Array.from(set, id => Number(id % 1000000n)), 'skipped']);
+        else ids.push(set);
+    }
+    for (const bitDepth of [64, 32, 4]) {
+        const options = { hash: 'xxh64', metadata: true, packed: bitDepth === 4 };
+        const expected = ids.map(set => generateGroupedOPHSignature(set, 64, 4, bitDepth, options));
+        const actual = await collect(generateSignaturesParallel(ids, { numHashes: 64, numGroups: 4, bitDepth, ...options, threads: 2, batchSize: 6 }));
+        assert.deepEqual(actual, expected, `bitDepth ${bitDepth}`);
+        assert.ok(actual.every(signature => signature.hash === 'xxh64'), 'Labelled with the hash that made them');
+        if (bitDepth !== 4) {
+            assert.ok(actual.every((signature, i) => ids[i].length === 0 || ids[i].size === 0 || signature.values.some(value => value !== 0 && value !== 0n)), 'Element ids are not lost');
+        }
+    }
+
+    await assert.rejects(collect(generateSignaturesParallel([new Map([[1n, 2]])], { numHashes: 64, numGroups: 4, hash: 'xxh64', threads: 1 })), /Weighted signatures are not supported with hash 'xxh64'/);
+    await assert.rejects(collect(generateSignaturesParallel([[-1n]], { numHashes: 64, numGroups: 4, hash: 'xxh64', threads: 1 })), /Element ids must be integers between 0 and 2\^64 - 1/);
+    await assert.rejects(collect(generateSignaturesParallel([[2 ** 60]], { numHashes: 64, numGroups: 4, hash: 'xxh64', threads: 1 })), /numbers above 2\^53 - 1 must be BigInts/);
+    assert.throws(() => generateSignaturesParallel(ids, { numHashes: 64, numGroups: 4, hash: xxh32Strategy, metadata: true }), /hash strategies cannot be sent to worker threads/);
+    assert.throws(() => generateSignaturesParallel(ids, { numHashes: 64, numGroups: 4, bitDepth: 64 }), /bitDepth 64 requires hash 'xxh64'/);
+});
+
+test('generateSignaturesParallel - Unordered Results', async () => {
+    const expected = corpus.map(set => generateGroupedOPHSignature(set, 128, 4));
+    const results = await collect(generateSignaturesParallel(corpus, { numHashes: 128, numGroups: 4, threads: 3, batchSize: 5, ordered: false }));
+    assert.equal(results.length, corpus.length);
+    assert.deepEqual(results.map(result => result.index).sort((a, b) => a - b), corpus.map((_, i) => i), 'Every index once');
+    for (const { index, signature } of results) {
+        assert.deepEqual(signature, expected[index], `Signature ${index}`);
+    }
+});
+
+test('generateSignaturesParallel - Backpressure on Async Iterables', async () => {
+    let read = 0;
+    async function* documents() {
+        for (let i = 0; i < 1000; i++) {
+            read++;
+            yield range(i * 100, 50);
+        }
+    }
+    const iterator = generateSignaturesParallel(documents(), { numHashes: 64, numGroups: 4, threads: 1, batchSize: 10 });
+    const first = await iterator.next();
+    assert.deepEqual(first.value, generateGroupedOPHSignature(range(0, 50), 64, 4));
+    assert.ok(read <= 20, `Read ${read} sets for the first signature: two batches for one thread`);
+
+    for (let i = 1; i < 15; i++) await iterator.next();
+    assert.ok(read <= 40, `Read ${read} sets for fifteen signatures`);
+    assert.deepEqual(await iterator.return(), { value: undefined, done: true }, 'Abandoning the iterator stops the workers');
+});
+
+test('generateSignaturesParallel - Errors', async () => {
+    assert.throws(() => generateSignaturesParallel(corpus, { numHashes: 100, numGroups: 3 }), /numHashes must be divisible by numGroups/, 'Options are checked before iterating');
+    assert.throws(() => generateSignaturesParallel(corpus, { numHashes: 64, numGroups: 4, bitDepth: 12 }), /bitDepth must be 2, 4, 8, 16, or 32/);
+    assert.throws(() => generateSignaturesParallel(corpus, { numHashes: 64, numGroups: 4, threads: 0 }), /threads must be a positive integer/);
+    assert.throws(() => generateSignaturesParallel(corpus, { numHashes: 64, numGroups: 4, batchSize: 1.5 }), /batchSize must be a positive integer/);
+    assert.throws(() => generateSignaturesParallel(42, { numHashes: 64, numGroups: 4 }), /sets must be an iterable or an async iterable/);
+
+    const badWeights = [range(0, 10), new Map([[1, 2], [3, -1]])];
+    await assert.rejects(collect(generateSignaturesParallel(badWeights, { numHashes: 64, numGroups: 4, threads: 1 })), /weights must be non-negative finite numbers/, 'Worker errors reach the consumer');
+    await assert.rejects(collect(generateSignaturesParallel([range(0, 10), 7], { numHashes: 64, numGroups: 4, threads: 1 })), /Set 1 must be an iterable of element hashes or a Map/);
+    assert.deepEqual(await collect(generateSignaturesParallel([], { numHashes: 64, numGroups: 4, threads: 1 })), []);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    downgradeSignature,
+    serializeSignature,
+    deserializeSignature,
+    serializeSignatureToBase64,
+    deserializeSignatureFromBase64,
+    GroupedOPHSignature,
+    PackedSignature
+} from '../index.js';
+
+const elements = new Set();
+for (let i = 0; i < 90; i++) elements.add(i * 2654435761);
+
+// Rewrites the trailing checksum after a deliberate header edit, so later checks are reached.
+function withValidChecksum(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let hash = 2166136261;
+    for (let i = 0; i < bytes.length - 4; i++) hash = Math.imul(hash ^ bytes[i], 16777619);
+    view.setUint32(bytes.length - 4, hash >>> 0, true);
+    return bytes;
+}
+
+test('Serialization - Round Trip', async () => {
+    for (const bitDepth of [2, 4, 8, 16, 32]) {
+        for (const packed of bitDepth <= 4 ? [false, true] : [false]) {
+            const sig = generateGroupedOPHSignature(elements, 120, 4, bitDepth, { metadata: true, packed });
+            const bytes = serializeSignature(sig);
+            assert.equal(bytes.length, 24 + Math.ceil(120 * bitDepth / 8) + 4, `${bitDepth}-bit: header + payload + checksum`);
+
+            const restored = deserializeSignature(bytes);
+            assert.ok(restored instanceof GroupedOPHSignature, `${bitDepth}-bit: deserializes to a GroupedOPHSignature`);
+            assert.deepEqual(restored, sig, `${bitDepth}-bit${packed ? ' packed' : ''}: round trip preserves values and metadata`);
+            assert.equal(restored.values instanceof PackedSignature, packed, `${bitDepth}-bit: in-memory packing is restored`);
+            assert.equal(estimateJaccardSimilarity(restored, sig), 1.0, `${bitDepth}-bit: restored signature compares equal`);
+
+            const fromBuffer = deserializeSignature(bytes.buffer.slice(0));
+            assert.deepEqual(fromBuffer, sig, `${bitDepth}-bit: accepts an ArrayBuffer`);
+        }
+    }
+
+    const densified = generateGroupedOPHSignature(new Set([1, 2, 3]), 64, 4, 16, { metadata: true, densify: 'rotation' });
+    assert.equal(deserializeSignature(serializeSignature(densified)).densify, 'rotation', 'Densification scheme survives a round trip');
+
+    const seeded = generateGroupedOPHSignature(elements, 64, 4, 32, { metadata: true, seed: 0xDEADBEEF });
+    assert.equal(deserializeSignature(serializeSignature(seeded)).seed, 0xDEADBEEF, 'Seed survives a round trip');
+
+    const downgraded = downgradeSignature(generateGroupedOPHSignature(elements, 64, 4, 32, { metadata: true }), 4);
+    assert.deepEqual(deserializeSignature(serializeSignature(downgraded)), downgraded, 'Downgraded signatures round trip');
+
+    const raw = generateGroupedOPHSignature(elements, 64, 4, 16);
+    const rawRestored = deserializeSignature(serializeSignature(raw, { numGroups: 4 }));
+    assert.deepEqual(rawRestored.values, raw, 'Raw values serialize with explicit metadata');
+    assert.throws(() => serializeSignature(raw), /numGroups must be a positive integer/, 'Raw values without numGroups are rejected');
+    assert.throws(() => serializeSignature(raw, { numGroups: 4, densify: 'bogus' }), /densify must be 'rotation', 'optimal' or null/, 'Unknown densify schemes are rejected, not written as unknown flags');
+});
+
+test('Serialization - Base64', async () => {
+    const sig = generateGroupedOPHSignature(elements, 128, 4, 32, { metadata: true });
+    const base64 = serializeSignatureToBase64(sig);
+    const base64url = serializeSignatureToBase64(sig, { url: true });
+
+    assert.equal(base64, Buffer.from(serializeSignature(sig)).toString('base64'), 'Matches the standard base64 encoding');
+    assert.equal(base64url, Buffer.from(serializeSignature(sig)).toString('base64url'), 'Matches the base64url encoding');
+    assert.ok(!/[+/=]/.test(base64url), 'base64url output uses the URL-safe alphabet without padding');
+
+    assert.deepEqual(deserializeSignatureFromBase64(base64), sig, 'base64 round trip');
+    assert.deepEqual(deserializeSignatureFromBase64(base64url), sig, 'base64url round trip');
+
+    // Every remainder of bytes modulo 3 (via 2-bit payload sizes)
+    for (const numHashes of [4, 8, 12]) {
+        const small = generateGroupedOPHSignature(elements, numHashes, 1, 2, { metadata: true });
+        const encoded = serializeSignatureToBase64(small);
+        assert.equal(encoded, Buffer.from(serializeSignature(small)).toString('base64'), `${numHashes} 2-bit values: padding matches`);
+        assert.deepEqual(deserializeSignatureFromBase64(encoded), small, `${numHashes} 2-bit values: round trip`);
+    }
+
+    const raw = generateGroupedOPHSignature(elements, 64, 4, 8);
+    assert.deepEqual(deserializeSignatureFromBase64(serializeSignatureToBase64(raw, { numGroups: 4, url: true })).values, raw, 'Raw values with metadata options');
+
+    assert.throws(() => deserializeSignatureFromBase64('R09Q*A'), /unexpected character at position 4/);
+    assert.throws(() => deserializeSignatureFromBase64('R09QSA' + 'A'.repeat(3)), /bad length/);
+    assert.throws(() => deserializeSignatureFromBase64(42), /Encoded signature must be a string/);
+});
+
+test('Serialization - Rejects Corrupt Input', async () => {
+    const sig = generateGroupedOPHSignature(elements, 64, 4, 16, { metadata: true });
+    const good = serializeSignature(sig);
+    const copy = () => good.slice();
+
+    assert.throws(() => deserializeSignature([1, 2, 3]), /must be a Uint8Array or ArrayBuffer/);
+    assert.throws(() => deserializeSignature(good.subarray(0, 10)), /truncated: expected at least 28 bytes, got 10/);
+    assert.throws(() => deserializeSignature(good.subarray(0, good.length - 1)), /truncated: expected 156 bytes, got 155/);
+
+    const extra = new Uint8Array(good.length + 2);
+    extra.set(good);
+    assert.throws(() => deserializeSignature(extra), /2 unexpected trailing bytes/);
+
+    let bytes = copy();
+    bytes[0] = 0x00;
+    assert.throws(() => deserializeSignature(bytes), /bad magic number/);
+
+    bytes = copy();
+    bytes[4] = 9;
+    assert.throws(() => deserializeSignature(bytes), /Unsupported serialized signature format version 9/);
+
+    bytes = copy();
+    bytes[5] = 99; // Generated by a newer algorithm
+    assert.throws(() => deserializeSignature(withValidChecksum(bytes)), /Unsupported algorithm version 99/);
+
+    bytes = copy();
+    bytes[6] = 12;
+    assert.throws(() => deserializeSignature(withValidChecksum(bytes)), /unsupported bitDepth 12/);
+
+    bytes = copy();
+    bytes[7] = 0x80;
+    assert.throws(() => deserializeSignature(withValidChecksum(bytes)), /unknown flags 0x80/);
+
+    bytes = copy();
+    bytes[8] = 65; // numHashes 65 no longer matches the payload
+    assert.throws(() => deserializeSignature(withValidChecksum(bytes)), /payload length 128 does not match 65 values at 16 bits/);
+
+    bytes = copy();
+    bytes[12] = 3; // numGroups 3 does not divide 64
+    assert.throws(() => deserializeSignature(withValidChecksum(bytes)), /numGroups must be a positive integer and a divisor/);
+
+    bytes = copy();
+    bytes[40] ^= 0x01; // Flip one payload bit
+    assert.throws(() => deserializeSignature(bytes), /checksum mismatch: data is corrupt/);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    downgradeSignature,
+    SignatureMatrix
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+function union(...sets) {
+    return new Set(sets.flatMap(set => [...set]));
+}
+
+// Documents sharing a decreasing part of a common core, so row i is less similar to the query than row i - 1
+const core = range(0, 400);
+const documents = Array.from({ length: 40 }, (_, i) => union(range(0, 400 - i * 10), range(100000 + i * 1000, i * 10)));
+
+test('SignatureMatrix - Matches estimateJaccardSimilarity Row by Row', () => {
+    for (const bitDepth of [32, 16, 8, 4]) {
+        const signatures = documents.map(doc => generateGroupedOPHSignature(doc, 128, 4, bitDepth));
+        const query = generateGroupedOPHSignature(core, 128, 4, bitDepth);
+        const matrix = new SignatureMatrix({ numHashes: 128, numGroups: 4, bitDepth, capacity: 4 });
+        signatures.forEach((signature, i) => assert.equal(matrix.add(signature), i));
+        assert.equal(matrix.size, documents.length);
+        assert.equal(matrix.values.length, documents.length * 128, 'Rows are stored contiguously');
+        assert.deepEqual(matrix.row(7), signatures[7]);
+
+        const options = bitDepth <= 8 ? { numGroups: 4, bitDepth } : { numGroups: 4 };
+        const similarities = matrix.queryAll(query);
+        assert.ok(similarities instanceof Float32Array);
+        for (let i = 0; i < signatures.length; i++) {
+            assert.equal(similarities[i], Math.fround(estimateJaccardSimilarity(query, signatures[i], options)), `${bitDepth}-bit row ${i}`);
+        }
+
+        const limited = matrix.queryAll(query, { maxGroups: 2 });
+        const early = matrix.queryAll(query, { similarityThreshold: 0.7, errorTolerance: 0.01 });
+        for (let i = 0; i < signatures.length; i++) {
+            assert.equal(limited[i], Math.fround(estimateJaccardSimilarity(query, signatures[i], { ...options, maxGroups: 2 })), `${bitDepth}-bit row ${i} with maxGroups`);
+            assert.equal(early[i], Math.fround(estimateJaccardSimilarity(query, signatures[i], { ...options, similarityThreshold: 0.7, errorTolerance: 0.01 })), `${bitDepth}-bit row ${i} with early termination`);
+        }
+    }
+});
+
+test('SignatureMatrix - Top-k Selection', () => {
+    const matrix = SignatureMatrix.from(documents.map(doc => generateGroupedOPHSignature(doc, 256, 4, 32, { metadata: true })));
+    const query = generateGroupedOPHSignature(core, 256, 4, 32, { metadata: true });
+    const similarities = matrix.queryAll(query);
+
+    const expected = Array.from(similarities, (similarity, index) => ({ index, similarity }))
+        .sort((a, b) => b.similarity - a.similarity || a.index - b.index)
+        .slice(0, 5);
+    const top = matrix.queryAll(query, { topK: 5 });
+    assert.deepEqual(top.map(entry => entry.index), expected.map(entry => entry.index), 'The best rows, most similar first');
+    top.forEach((entry, i) => assert.equal(Math.fround(entry.similarity), expected[i].similarity));
+    assert.deepEqual(top.map(entry => entry.index), [0, 1, 2, 3, 4], 'Rows closest to the core come first');
+
+    assert.equal(matrix.queryAll(query, { topK: 1000 }).length, documents.length, 'k larger than the matrix returns every row');
+
+    const aboveThreshold = matrix.queryAll(query, { topK: 1000, similarityThreshold: 0.5, errorTolerance: 0.01 });
+    assert.ok(aboveThreshold.length > 0 && aboveThreshold.length < documents.length, `${aboveThreshold.length} rows reach 0.5`);
+    assert.ok(aboveThreshold.every(entry => entry.similarity >= 0.5), 'Rows below the threshold are left out');
+
+    // Equal scores are ordered by row
+    const twins = SignatureMatrix.from([query, query, query], { numGroups: 4 });
+    assert.deepEqual(twins.queryAll(query, { topK: 2 }).map(entry => entry.index), [0, 1]);
+});
+
+test('SignatureMatrix - Signature Types', () => {
+    const packed = documents.slice(0, 6).map(doc => generateGroupedOPHSignature(doc, 128, 4, 2, { packed: true }));
+    const matrix = SignatureMatrix.from(packed, { numGroups: 4 });
+    assert.equal(matrix.bitDepth, 2, 'Bit depth is taken from packed signatures');
+    assert.ok(matrix.values instanceof Uint8Array, 'Packed values are stored one per byte');
+    assert.deepEqual(matrix.row(3), packed[3].unpack());
+
+    const query = generateGroupedOPHSignature(core, 128, 4, 2, { packed: true });
+    const similarities = matrix.queryAll(query);
+    packed.forEach((signature, i) => assert.equal(similarities[i], Math.fround(estimateJaccardSimilarity(query, signature))));
+    assert.deepEqual(matrix.queryAll(query.unpack()), similarities, 'Unpacked queries are compared the same way');
+
+    const wrapped = downgradeSignature(generateGroupedOPHSignature(core, 128, 4, 32, { metadata: true }), 2);
+    assert.throws(() => matrix.add(generateGroupedOPHSignature(core, 128, 8, 2, { metadata: true })), /does not match the matrix \(numGroups 4, bitDepth 2\)/);
+    assert.equal(matrix.add(wrapped), 6);
+    assert.ok(matrix.queryAll(wrapped)[6] === 1, 'A row is identical to itself');
+
+    const uncorrected = matrix.queryAll(query, { collisionCorrection: false });
+    packed.forEach((signature, i) => assert.equal(uncorrected[i], Math.fround(estimateJaccardSimilarity(query, signature, { collisionCorrection: false }))));
+});
+
+test('SignatureMatrix - Validation', () => {
+    assert.throws(() => new SignatureMatrix({ numHashes: 100, numGroups: 3 }), /numHashes must be divisible by numGroups/);
+    assert.throws(() => new SignatureMatrix({ numHashes: 64, numGroups: 4, bitDepth: 12 }), /bitDepth must be 2, 4, 8, 16, or 32/);
+    assert.throws(() => new SignatureMatrix({ numHashes: 64, numGroups: 4, capacity: -1 }), /capacity must be a non-negative integer/);
+
+    const matrix = new SignatureMatrix({ numHashes: 64, numGroups: 4, bitDepth: 16, capacity: 0 });
+    assert.deepEqual(matrix.queryAll(new Uint16Array(64)), new Float32Array(0), 'An empty matrix has no scores');
+    assert.deepEqual(matrix.queryAll(new Uint16Array(64), { topK: 3 }), []);
+    assert.throws(() => matrix.add(new Uint16Array(32)), /Signature must be non-null and of length 64/);
+    assert.throws(() => matrix.add(new Uint32Array(64)), /Signature type does not match the matrix bit depth \(16\)/);
+    matrix.add(new Uint16Array(64));
+    assert.throws(() => matrix.row(1), /Row index 1 is out of range/);
+
+    const query = new Uint16Array(64);
+    assert.throws(() => matrix.queryAll(query, { maxGroups: 5 }), /Invalid 'maxGroups'/);
+    assert.throws(() => matrix.queryAll(query, { similarityThreshold: 0.5 }), /Invalid or missing 'errorTolerance'/);
+    assert.throws(() => matrix.queryAll(query, { errorTolerance: 0.01 }), /Invalid or missing 'similarityThreshold'/);
+    assert.throws(() => matrix.queryAll(query, { topK: 0 }), /topK must be a positive integer/);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    similarityJoin
+} from '../index.js';
+
+// Elements `start` .. `start + count - 1`, spread over the hash space
+function range(start, count) {
+    const elements = new Set();
+    for (let i = start; i < start + count; i++) elements.add(Math.imul(i, 2654435761) >>> 0);
+    return elements;
+}
+
+function exactJaccard(setA, setB) {
+    let intersection = 0;
+    for (const element of setA) if (setB.has(element)) intersection++;
+    return intersection / (setA.size + setB.size - intersection);
+}
+
+// 20 clusters of 4 documents; documents in a cluster share 180 to 200 of their 200 elements
+const corpus = [];
+for (let cluster = 0; cluster < 20; cluster++) {
+    for (let member = 0; member < 4; member++) {
+        const base = cluster * 10000;
+        corpus.push(new Set([...range(base, 200 - member * 5), ...range(base + 5000 + member * 100, member * 5)]));
+    }
+}
+
+async function collect(iterator) {
+    const pairs = [];
+    for await (const pair of iterator) pairs.push(pair);
+    return pairs;
+}
+
+test('similarityJoin - Finds Near-Duplicate Pairs', async () => {
+    const threshold = 0.8;
+    const signatures = corpus.map(doc => generateGroupedOPHSignature(doc, 256, 8, 32, { metadata: true }));
+
+    const expected = new Set();
+    for (let i = 0; i < corpus.length; i++) {
+        for (let j = i + 1; j < corpus.length; j++) {
+            if (exactJaccard(corpus[i], corpus[j]) >= threshold) expected.add(`${i}-${j}`);
+        }
+    }
+
+    // Short bands: a pair at J = 0.86 becomes a candidate with probability 1 - (1 - 0.86^8)^32 > 0.99
+    const banding = { bands: 32, rows: 8 };
+    const pairs = await collect(similarityJoin(signatures, { threshold, ...banding }));
+    const found = new Set(pairs.map(({ a, b }) => `${a}-${b}`));
+    assert.equal(found.size, pairs.length, 'Each pair is yielded once');
+    assert.ok(pairs.every(({ a, b }) => a < b), 'a is read before b');
+    assert.ok(pairs.every(({ similarity }) => similarity >= threshold));
+
+    let recalled = 0;
+    for (const key of expected) if (found.has(key)) recalled++;
+    assert.ok(recalled >= expected.size * 0.95, `Recall ${recalled} of ${expected.size}`);
+    for (const { a, b } of pairs) {
+        assert.ok(Math.floor(a / 4) === Math.floor(b / 4), `Pair ${a}-${b} is inside one cluster`);
+    }
+
+    const early = await collect(similarityJoin(signatures, { threshold, errorTolerance: 0.01, ...banding }));
+    assert.ok(Math.abs(early.length - pairs.length) <= 3, `Early-termination verification finds ${early.length} vs ${pairs.length} pairs`);
+});
+
+test('similarityJoin - Inputs', async () => {
+    const raw = corpus.slice(0, 8).map(doc => generateGroupedOPHSignature(doc, 128, 4, 16));
+    const byPosition = await collect(similarityJoin(raw, { threshold: 0.8, numGroups: 4 }));
+    assert.ok(byPosition.length > 0);
+
+    const byId = await collect(similarityJoin(new Map(raw.map((signature, i) => [`doc-${i}`, signature])), { threshold: 0.8, numGroups: 4 }));
+    assert.deepEqual(byId, byPosition.map(({ a, b, similarity }) => ({ a: `doc-${a}`, b: `doc-${b}`, similarity })), 'Map keys are used as ids');
+
+    async function* stream() {
+        for (const signature of raw) yield signature;
+    }
+    assert.deepEqual(await collect(similarityJoin(stream(), { threshold: 0.8, numGroups: 4 })), byPosition, 'Async iterables are read as they arrive');
+
+    const packed = corpus.slice(0, 8).map(doc => generateGroupedOPHSignature(doc, 128, 4, 4, { packed: true }));
+    assert.ok((await collect(similarityJoin(packed, { threshold: 0.7, numGroups: 4 }))).length > 0, 'Packed signatures supply their bit depth');
+
+    assert.deepEqual(await collect(similarityJoin([], { threshold: 0.5 })), [], 'An empty corpus has no pairs');
+});
+
+test('similarityJoin - Streams Without Reading Ahead', async () => {
+    let read = 0;
+    function* counted() {
+        for (const doc of corpus) {
+            read++;
+            yield generateGroupedOPHSignature(doc, 128, 4);
+        }
+    }
+    const iterator = similarityJoin(counted(), { threshold: 0.8, numGroups: 4 });
+    const first = await iterator.next();
+    assert.deepEqual([first.value.a, first.value.b], [0, 1], 'The first pair comes from the first two documents');
+    assert.equal(read, 2, 'Only the signatures needed so far have been read');
+    await iterator.return();
+});
+
+test('similarityJoin - Validation', async () => {
+    const signatures = [generateGroupedOPHSignature(corpus[0], 128, 4)];
+    assert.throws(() => similarityJoin(signatures, {}), /threshold must be a number > 0 and <= 1/, 'Options are checked before iterating');
+    assert.throws(() => similarityJoin(signatures, { threshold: 1.5 }), /threshold must be a number/);
+    assert.throws(() => similarityJoin(signatures, { threshold: 0.5, errorTolerance: 1 }), /Invalid or missing 'errorTolerance'/);
+    assert.throws(() => similarityJoin(42, { threshold: 0.5 }), /signatures must be an iterable/);
+
+    await assert.rejects(collect(similarityJoin(signatures, { threshold: 0.5 })), /numGroups must be a positive integer/, 'Raw signatures need numGroups');
+    const mixed = [generateGroupedOPHSignature(corpus[0], 128, 4), generateGroupedOPHSignature(corpus[1], 64, 4)];
+    await assert.rejects(collect(similarityJoin(mixed, { threshold: 0.5, numGroups: 4 })), /Signature must be non-null and of length 128/);
+});
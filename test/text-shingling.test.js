@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    shingleHashes,
+    signatureFromText,
+    hashFNV1aUtf8,
+    murmurhash3_32_utf8,
+    GroupedOPHSignature
+} from '../index.js';
+
+// Reference shingling that materializes every substring
+function naiveCharShingles(text, k) {
+    const chars = Array.from(text);
+    if (chars.length <= k) return chars.length ? [chars.join('')] : [];
+    const shingles = [];
+    for (let i = 0; i + k <= chars.length; i++) shingles.push(chars.slice(i, i + k).join(''));
+    return shingles;
+}
+
+function naiveWordShingles(text, n) {
+    const words = text.split(' ').filter(Boolean);
+    if (words.length <= n) return words.length ? [words.join(' ')] : [];
+    const shingles = [];
+    for (let i = 0; i + n <= words.length; i++) shingles.push(words.slice(i, i + n).join(' '));
+    return shingles;
+}
+
+test('Text Shingling - Matches Naive Shingling', () => {
+    const text = 'the quick brown fox jumps over the lazy dog 🦊 and keeps running';
+
+    for (const k of [1, 3, 5]) {
+        assert.deepEqual([...shingleHashes(text, { size: k })], naiveCharShingles(text, k).map(shingle => hashFNV1aUtf8(shingle)), `char ${k}-grams`);
+    }
+    for (const n of [1, 2, 3]) {
+        assert.deepEqual([...shingleHashes(text, { shingle: 'word', size: n })], naiveWordShingles(text, n).map(shingle => hashFNV1aUtf8(shingle)), `word ${n}-grams`);
+    }
+
+    assert.deepEqual(
+        [...shingleHashes(text, { hash: 'murmur3', hashSeed: 7 })],
+        naiveCharShingles(text, 5).map(shingle => murmurhash3_32_utf8(shingle, 7)),
+        'murmur3 with a seed'
+    );
+    const seen = [];
+    [...shingleHashes(text, { shingle: 'word', size: 2, hash: (shingle) => { seen.push(shingle); return shingle.length; } })];
+    assert.deepEqual(seen, naiveWordShingles(text, 2), 'A custom hash receives the shingle strings');
+
+    // Surrogate pairs are never split
+    assert.deepEqual([...shingleHashes('a🦊b', { size: 2 })], ['a🦊', '🦊b'].map(shingle => hashFNV1aUtf8(shingle)));
+
+    // Short inputs
+    assert.deepEqual([...shingleHashes('abc', { size: 5 })], [hashFNV1aUtf8('abc')], 'Short text is one shingle');
+    assert.deepEqual([...shingleHashes('two words', { shingle: 'word' })], [hashFNV1aUtf8('two words')], 'Few words are one shingle');
+    assert.deepEqual([...shingleHashes('   ')], [], 'Empty text has no shingles');
+    assert.deepEqual([...shingleHashes('   ', { shingle: 'word' })], [], 'Empty text has no word shingles');
+});
+
+test('Text Shingling - Normalization', () => {
+    const hashesOf = (text, options) => [...shingleHashes(text, { shingle: 'word', size: 1, hash: (s) => s, ...options })];
+
+    assert.deepEqual(hashesOf('  Hello,\tWORLD!\n\n ﬁne  '), ['hello,', 'world!', 'fine'], 'Defaults: NFKC, case folding, whitespace collapse');
+    assert.deepEqual(hashesOf('Hello, WORLD! ﬁne', { stripPunctuation: true }), ['hello', 'world', 'fine'], 'Punctuation stripping');
+    assert.deepEqual(hashesOf('Hello ﬁne', { caseFold: false, nfkc: false }), ['Hello', 'ﬁne'], 'Case folding and NFKC can be disabled');
+    assert.deepEqual(
+        [...shingleHashes('a  b\tc', { shingle: 'word', size: 2, hash: (s) => s, collapseWhitespace: false })],
+        ['a  b', 'b\tc'],
+        'Without collapsing, word n-grams keep the original whitespace'
+    );
+    assert.deepEqual([...shingleHashes(' ab ', { size: 2, hash: (s) => s, collapseWhitespace: false })], [' a', 'ab', 'b '], 'Char k-grams without collapsing');
+
+    assert.deepEqual(
+        signatureFromText('Ｔｈｅ  QUICK brown fox'),
+        signatureFromText('the quick brown fox'),
+        'Differently formatted texts normalize to the same signature'
+    );
+});
+
+test('Text Shingling - signatureFromText', () => {
+    const text = 'It was the best of times, it was the worst of times, it was the age of wisdom';
+    const hashes = new Set(shingleHashes(text, { shingle: 'word', size: 2 }));
+
+    assert.deepEqual(
+        signatureFromText(text, { shingle: 'word', size: 2 }),
+        generateGroupedOPHSignature(hashes, 128, 4),
+        'Defaults to a 128-value, 4-group, 32-bit signature'
+    );
+    assert.deepEqual(
+        signatureFromText(text, { shingle: 'word', size: 2, numHashes: 64, numGroups: 2, bitDepth: 4, seed: 3, densify: 'rotation', packed: true }),
+        generateGroupedOPHSignature(hashes, 64, 2, 4, { seed: 3, densify: 'rotation', packed: true }),
+        'Passes the signature options through'
+    );
+
+    const wrapped = signatureFromText(text, { bitDepth: 16, metadata: true });
+    assert.ok(wrapped instanceof GroupedOPHSignature);
+    assert.equal(wrapped.bitDepth, 16);
+
+    const edited = signatureFromText(text.replace('wisdom', 'foolishness'));
+    const unrelated = signatureFromText('A completely different sentence about lighthouses and the sea');
+    const similarity = estimateJaccardSimilarity(signatureFromText(text), edited);
+    assert.ok(similarity > 0.6, `Near-duplicate texts are similar (${similarity})`);
+    assert.ok(estimateJaccardSimilarity(signatureFromText(text), unrelated) < 0.2, 'Unrelated texts are not');
+
+    assert.throws(() => signatureFromText(42), /text must be a string/);
+    assert.throws(() => signatureFromText(text, { shingle: 'line' }), /shingle must be 'char' or 'word'/);
+    assert.throws(() => signatureFromText(text, { size: 0 }), /size must be a positive integer/);
+    assert.throws(() => signatureFromText(text, { hash: 'sha1' }), /hash must be 'fnv1a', 'murmur3', or a function/);
+    assert.throws(() => signatureFromText(text, { numHashes: 100, numGroups: 3 }), /numHashes must be divisible by numGroups/);
+});
@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+    generateGroupedOPHSignature,
+    SignatureMatrix,
+    setBackend,
+    getBackend
+} from '../index.js';
+
+const initialBackend = getBackend();
+after(() => setBackend('auto'));
+
+// `count` element hashes spread over the hash space, including values above 2^31
+function hashes(start, count) {
+    const elements = new Uint32Array(count);
+    for (let i = 0; i < count; i++) elements[i] = Math.imul(start + i, 2654435761) >>> 0;
+    return elements;
+}
+
+function available(backend) {
+    try {
+        setBackend(backend);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const wasmBackends = ['wasm', 'wasm-simd'].filter(available);
+setBackend('auto');
+
+test('Backend - Selection', () => {
+    assert.ok(['js', 'wasm', 'wasm-simd'].includes(initialBackend));
+    assert.ok(wasmBackends.length > 0, 'Node supports WebAssembly');
+    assert.equal(initialBackend, wasmBackends[wasmBackends.length - 1], 'auto picks the fastest available backend');
+
+    setBackend('js');
+    assert.equal(getBackend(), 'js');
+    setBackend('auto');
+    assert.equal(getBackend(), initialBackend);
+    assert.throws(() => setBackend('gpu'), /backend must be 'auto', 'js', 'wasm', or 'wasm-simd'/);
+});
+
+test('Backend - Identical Signatures', () => {
+    const shapes = [[128, 4], [256, 8], [120, 6], [96, 3], [64, 1]];
+    for (const backend of wasmBackends) {
+        for (const bitDepth of [32, 16, 8, 4, 2]) {
+            for (const [numHashes, numGroups] of shapes) {
+                for (const count of [40, 700]) {
+                    for (const options of [{}, { seed: 7 }, { densify: 'rotation' }, { densify: 'optimal', seed: 3 }]) {
+                        const elements = hashes(count * 13, count);
+                        setBackend('js');
+                        const expected = generateGroupedOPHSignature(elements, numHashes, numGroups, bitDepth, options);
+                        setBackend(backend);
+                        const actual = generateGroupedOPHSignature(elements, numHashes, numGroups, bitDepth, options);
+                        assert.deepEqual(actual, expected, `${backend}, ${bitDepth}-bit, ${numHashes}/${numGroups}, ${count} elements, ${JSON.stringify(options)}`);
+                    }
+                }
+            }
+        }
+        setBackend('js');
+        const packed = generateGroupedOPHSignature(hashes(0, 500), 128, 4, 4, { packed: true, metadata: true });
+        setBackend(backend);
+        assert.deepEqual(generateGroupedOPHSignature(hashes(0, 500), 128, 4, 4, { packed: true, metadata: true }), packed, `${backend}, packed with metadata`);
+        assert.deepEqual(generateGroupedOPHSignature(hashes(0, 5000), 128, 4), generateGroupedOPHSignature(Array.from(hashes(0, 5000)), 128, 4), `${backend}, typed and plain arrays agree`);
+    }
+    setBackend('auto');
+});
+
+test('Backend - Identical SignatureMatrix Scores', () => {
+    for (const bitDepth of [32, 16, 8, 2]) {
+        // Rows of every length class for the SIMD loop and its scalar tail
+        const numHashes = 132;
+        const signatures = Array.from({ length: 30 }, (_, i) => generateGroupedOPHSignature(hashes(i * 40, 300), numHashes, 4, bitDepth));
+        const query = signatures[3];
+
+        setBackend('js');
+        const reference = SignatureMatrix.from(signatures, { numGroups: 4, bitDepth });
+        const expected = [reference.queryAll(query), reference.queryAll(query, { maxGroups: 3 }), reference.queryAll(query, { topK: 5 })];
+
+        for (const backend of wasmBackends) {
+            setBackend(backend);
+            const matrix = new SignatureMatrix({ numHashes, numGroups: 4, bitDepth, capacity: 1 });
+            signatures.forEach(signature => matrix.add(signature));
+            assert.deepEqual(matrix.row(29), reference.row(29), 'Rows survive growing the module memory');
+            assert.deepEqual(
+                [matrix.queryAll(query), matrix.queryAll(query, { maxGroups: 3 }), matrix.queryAll(query, { topK: 5 })],
+                expected,
+                `${backend}, ${bitDepth}-bit`
+            );
+        }
+    }
+    setBackend('auto');
+});
+
+test('Backend - JavaScript Fallback Without WebAssembly', () => {
+    // --jitless removes the WebAssembly global, as in engines that forbid compiling it
+    const script = `
+        import { getBackend, setBackend, generateGroupedOPHSignature } from ${JSON.stringify(fileURLToPath(new URL('../index.js', import.meta.url)))};
+        let rejected = false;
+        try { setBackend('wasm'); } catch { rejected = true; }
+        const elements = new Uint32Array(100).map((_, i) => Math.imul(i, 2654435761) >>> 0);
+        console.log(JSON.stringify({ backend: getBackend(), rejected, signature: Array.from(generateGroupedOPHSignature(elements, 64, 4)) }));
+    `;
+    const output = JSON.parse(execFileSync(process.execPath, ['--jitless', '--input-type=module', '-e', script], { encoding: 'utf8' }));
+    assert.equal(output.backend, 'js');
+    assert.equal(output.rejected, true, "'wasm' cannot be forced where it is unavailable");
+
+    const elements = new Uint32Array(100).map((_, i) => Math.imul(i, 2654435761) >>> 0);
+    assert.deepEqual(output.signature, Array.from(generateGroupedOPHSignature(elements, 64, 4)));
+});
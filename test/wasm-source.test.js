@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { assembleKernels, renderBlock, extractBlock } from '../scripts/build-wasm.js';
+
+// The bytes embedded in index.js are those of the .wat sources: run `npm run build:wasm` after changing them
+test('WebAssembly Source - Embedded Bytes Match the .wat Files', async () => {
+    const modules = await assembleKernels();
+    for (const [kind, bytes] of Object.entries(modules)) {
+        assert.ok(WebAssembly.validate(bytes), `${kind} is a valid module`);
+    }
+    const source = readFileSync(new URL('../index.js', import.meta.url), 'utf8');
+    assert.equal(extractBlock(source), renderBlock(modules), 'index.js is out of date: run npm run build:wasm');
+});
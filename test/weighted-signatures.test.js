@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateGroupedOPHSignature,
+    estimateJaccardSimilarity,
+    downgradeSignature,
+    mergeSignatures,
+    serializeSignature,
+    deserializeSignature,
+    GroupedOPHSignature
+} from '../index.js';
+
+// Deterministic pseudo-random numbers in [0, 1)
+function lcg(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+function exactWeightedJaccard(mapA, mapB) {
+    let sumMin = 0;
+    let sumMax = 0;
+    for (const key of new Set([...mapA.keys(), ...mapB.keys()])) {
+        const a = mapA.get(key) || 0;
+        const b = mapB.get(key) || 0;
+        sumMin += Math.min(a, b);
+        sumMax += Math.max(a, b);
+    }
+    return sumMax === 0 ? 1 : sumMin / sumMax;
+}
+
+// Two weighted sets sharing `shared` of their `size` elements, with weights in (0, maxWeight)
+function weightedPair(size, shared, maxWeight, seed) {
+    const random = lcg(seed);
+    const mapA = new Map();
+    const mapB = new Map();
+    for (let i = 0; i < size; i++) {
+        const element = (i * 2654435761 + seed) >>> 0;
+        mapA.set(element, random() * maxWeight);
+        mapB.set(i < shared ? element : (element ^ 0x5bd1e995) >>> 0, random() * maxWeight);
+    }
+    return [mapA, mapB];
+}
+
+test('Weighted Signatures - Input Forms', () => {
+    const map = new Map([[11, 1], [22, 2.5], [33, 0.25], [44, 0]]);
+    const fromMap = generateGroupedOPHSignature(map, 128, 4);
+    const fromArrays = generateGroupedOPHSignature([11, 22, 33, 44], 128, 4, 32, { weights: [1, 2.5, 0.25, 0] });
+    const fromTypedArrays = generateGroupedOPHSignature(new Uint32Array([11, 22, 33]), 128, 4, 32, { weights: new Float64Array([1, 2.5, 0.25]) });
+
+    assert.deepEqual(fromMap, fromArrays, 'A Map and parallel arrays give the same signature');
+    assert.deepEqual(fromMap, fromTypedArrays, 'A zero weight is the same as leaving the element out');
+    assert.deepEqual(generateGroupedOPHSignature(new Map(), 64, 4, 16), new Uint16Array(64), 'An empty weighted set gives an empty signature');
+
+    // An element reaches one bin per group, as in an unweighted signature, whatever the bit depth
+    const [large] = weightedPair(100, 100, 3, 12);
+    const reached = generateGroupedOPHSignature(new Set(large.keys()), 256, 4, 32);
+    for (const bitDepth of [2, 4, 8, 16, 32]) {
+        const weighted = generateGroupedOPHSignature(large, 256, 4, bitDepth);
+        assert.deepEqual(Array.from(weighted, value => value !== 0), Array.from(reached, value => value !== 0), `${bitDepth}-bit: the bins of the elements are filled, and only those`);
+        const densified = generateGroupedOPHSignature(large, 256, 4, bitDepth, { densify: 'optimal' });
+        assert.ok(densified.every(value => value !== 0), `${bitDepth}-bit: densify fills the empty bins`);
+    }
+    assert.deepEqual(generateGroupedOPHSignature(new Map([[11, 0]]), 64, 4, 16), new Uint16Array(64), 'All-zero weights give an empty signature');
+
+    const scaled = new Map([...map].map(([element, weight]) => [element, weight * 2]));
+    assert.notDeepEqual(generateGroupedOPHSignature(scaled, 128, 4), fromMap, 'Weights change the signature');
+    assert.notDeepEqual(generateGroupedOPHSignature(map, 128, 4, 32, { seed: 9 }), fromMap, 'The seed changes the signature');
+
+    assert.throws(() => generateGroupedOPHSignature(new Map([[1, -1]]), 64, 4), /weights must be non-negative finite numbers/);
+    assert.throws(() => generateGroupedOPHSignature(new Map([[1, NaN]]), 64, 4), /weights must be non-negative finite numbers/);
+    assert.throws(() => generateGroupedOPHSignature([1, 2], 64, 4, 32, { weights: [1, Infinity] }), /weights must be non-negative finite numbers/);
+    assert.throws(() => generateGroupedOPHSignature([1, 2], 64, 4, 32, { weights: [1] }), /weights must be an array with the same length/);
+    assert.throws(() => generateGroupedOPHSignature(new Set([1]), 64, 4, 32, { weights: [1] }), /weights must be an array with the same length/);
+});
+
+test('Weighted Signatures - Accuracy Against Exact Weighted Jaccard', () => {
+    const numHashes = 256;
+    const errors = [];
+    for (const [shared, maxWeight, seed] of [[200, 1, 1], [150, 10, 2], [100, 5, 3], [50, 100, 4], [0, 3, 5], [200, 0.01, 6]]) {
+        const [mapA, mapB] = weightedPair(200, shared, maxWeight, seed);
+        const exact = exactWeightedJaccard(mapA, mapB);
+        const estimate = estimateJaccardSimilarity(
+            generateGroupedOPHSignature(mapA, numHashes, 4),
+            generateGroupedOPHSignature(mapB, numHashes, 4)
+        );
+        // Standard deviation is at most sqrt(0.25 / 256) ~ 0.031
+        assert.ok(Math.abs(estimate - exact) < 0.1, `shared=${shared}, maxWeight=${maxWeight}: estimate ${estimate.toFixed(3)} vs exact ${exact.toFixed(3)}`);
+        errors.push(Math.abs(estimate - exact));
+    }
+    const meanError = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+    assert.ok(meanError < 0.04, `Mean absolute error ${meanError.toFixed(4)}`);
+
+    // Same vocabulary, different emphasis: indistinguishable as sets, not as weighted sets
+    const random = lcg(99);
+    const flat = new Map();
+    const skewed = new Map();
+    // Enough elements for several per bin: each bin estimates the similarity of the elements routed to it
+    for (let i = 0; i < 1000; i++) {
+        flat.set(i * 7919, 1);
+        skewed.set(i * 7919, i < 100 ? 20 + random() * 20 : random());
+    }
+    const exact = exactWeightedJaccard(flat, skewed);
+    const setEstimate = estimateJaccardSimilarity(
+        generateGroupedOPHSignature(new Set(flat.keys()), numHashes, 4),
+        generateGroupedOPHSignature(new Set(skewed.keys()), numHashes, 4)
+    );
+    const weightedEstimate = estimateJaccardSimilarity(
+        generateGroupedOPHSignature(flat, numHashes, 4),
+        generateGroupedOPHSignature(skewed, numHashes, 4)
+    );
+    assert.equal(setEstimate, 1, 'The unweighted signatures are identical');
+    assert.ok(Math.abs(weightedEstimate - exact) < 0.1, `Weighted estimate ${weightedEstimate.toFixed(3)} vs exact ${exact.toFixed(3)}`);
+
+    // Doubling every weight halves the weighted Jaccard similarity
+    const doubled = new Map([...flat].map(([element, weight]) => [element, weight * 2]));
+    const halfEstimate = estimateJaccardSimilarity(generateGroupedOPHSignature(flat, numHashes, 4), generateGroupedOPHSignature(doubled, numHashes, 4));
+    assert.ok(Math.abs(halfEstimate - 0.5) < 0.1, `Doubled weights: ${halfEstimate.toFixed(3)} vs exact 0.5`);
+});
+
+test('Weighted Signatures - Unbiased Across Seeds (Monte Carlo)', () => {
+    const [mapA, mapB] = weightedPair(120, 80, 4, 7);
+    const exact = exactWeightedJaccard(mapA, mapB);
+    const trials = 40;
+    let sum = 0;
+    for (let seed = 1; seed <= trials; seed++) {
+        sum += estimateJaccardSimilarity(
+            generateGroupedOPHSignature(mapA, 128, 4, 32, { seed }),
+            generateGroupedOPHSignature(mapB, 128, 4, 32, { seed })
+        );
+    }
+    const mean = sum / trials;
+    // Standard error of the mean is about 0.044 / sqrt(40) ~ 0.007
+    assert.ok(Math.abs(mean - exact) < 0.025, `Mean estimate ${mean.toFixed(4)} vs exact ${exact.toFixed(4)}`);
+});
+
+test('Weighted Signatures - Metadata, Bit Depths and Serialization', () => {
+    const [mapA, mapB] = weightedPair(150, 100, 2, 11);
+    const exact = exactWeightedJaccard(mapA, mapB);
+
+    for (const bitDepth of [2, 4, 8, 16]) {
+        const estimate = estimateJaccardSimilarity(
+            generateGroupedOPHSignature(mapA, 256, 4, bitDepth, { metadata: true }),
+            generateGroupedOPHSignature(mapB, 256, 4, bitDepth, { metadata: true })
+        );
+        assert.ok(Math.abs(estimate - exact) < 0.1, `${bitDepth}-bit estimate ${estimate.toFixed(3)} vs exact ${exact.toFixed(3)}`);
+
+        // A sample whose value is all ones is kept, so low bit depths are not biased downwards
+        let sum = 0;
+        for (let seed = 1; seed <= 20; seed++) {
+            sum += estimateJaccardSimilarity(
+                generateGroupedOPHSignature(mapA, 256, 4, bitDepth, { seed, metadata: true }),
+                generateGroupedOPHSignature(mapB, 256, 4, bitDepth, { seed, metadata: true })
+            );
+        }
+        assert.ok(Math.abs(sum / 20 - exact) < 0.03, `${bitDepth}-bit mean estimate ${(sum / 20).toFixed(4)} vs exact ${exact.toFixed(4)}`);
+    }
+
+    const weightedA = generateGroupedOPHSignature(mapA, 128, 4, 16, { metadata: true });
+    const weightedB = generateGroupedOPHSignature(mapB, 128, 4, 16, { metadata: true });
+    const unweightedB = generateGroupedOPHSignature(new Set(mapB.keys()), 128, 4, 16, { metadata: true });
+    assert.ok(weightedA instanceof GroupedOPHSignature);
+    assert.equal(weightedA.weighted, true);
+    assert.equal(unweightedB.weighted, false);
+    assert.equal(new GroupedOPHSignature(new Uint8Array(8), { numGroups: 4 }).weighted, false, 'weighted defaults to false');
+
+    assert.equal(estimateJaccardSimilarity(weightedA, weightedB), estimateJaccardSimilarity(weightedA.values, weightedB.values), 'Wrapped weighted signatures compare like raw ones');
+    assert.throws(() => estimateJaccardSimilarity(weightedA, unweightedB), /Incompatible signatures: weighted differs \(true vs false\)/);
+    assert.equal(downgradeSignature(weightedA, 8).weighted, true, 'Downgrading keeps the weighted flag');
+    assert.throws(() => mergeSignatures(weightedA, weightedB), /Weighted signatures cannot be merged/);
+
+    const restored = deserializeSignature(serializeSignature(weightedA));
+    assert.equal(restored.weighted, true, 'Serialization keeps the weighted flag');
+    assert.deepEqual(restored.values, weightedA.values);
+    assert.equal(deserializeSignature(serializeSignature(unweightedB)).weighted, false);
+});
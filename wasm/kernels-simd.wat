@@ -0,0 +1,365 @@
+;; The SIMD WebAssembly backend (see setBackend in index.js): kernels.wat with the group loop of `generate`
+;; and the row loops of `compare` widened to v128. `npm run build:wasm` assembles both files into the bytes
+;; embedded in index.js; test/wasm-source.test.js checks that they match.
+(module
+  (memory (export "memory") 1)
+
+  ;; For each element hash and group: hash = murmurhash3_32_gc_single_int(element, seeds[group]),
+  ;; bin = group * M + hash % M, value = _computeDenseHash(hash) & mask (0 becomes 1), and the bin keeps
+  ;; the minimum. binBytes is 4 (32-bit bins, compared as signed), 2 or 1. Four groups are hashed per step,
+  ;; reading four seeds at a time, and their hashes and values pass through the 32 bytes at scratchPtr.
+  (func (export "generate")
+    (param $hashesPtr i32) (param $count i32) (param $seedsPtr i32) (param $numGroups i32) (param $M i32)
+    (param $mask i32) (param $binsPtr i32) (param $binBytes i32) (param $scratchPtr i32)
+    (local $i i32) (local $k1 i32) (local $group i32) (local $hash i32) (local $lane i32) (local $lanes i32)
+    (local $value i32) (local $address i32) (local $current i32) (local $hashes v128) (local $values v128)
+    (local.set $i (i32.const 0))
+    (block $done
+      (loop $elements
+        (br_if $done (i32.ge_u (local.get $i) (local.get $count)))
+        ;; The element's MurmurHash3 block, shared by all groups
+        (local.set $k1
+          (i32.mul
+            (i32.rotl
+              (i32.mul
+                (i32.load (i32.add (local.get $hashesPtr) (i32.shl (local.get $i) (i32.const 2))))
+                (i32.const 0xcc9e2d51))
+              (i32.const 15))
+            (i32.const 0x1b873593)))
+        (local.set $group (i32.const 0))
+        (block $groupsDone
+          (loop $groups
+            (br_if $groupsDone (i32.ge_u (local.get $group) (local.get $numGroups)))
+            ;; The rest of MurmurHash3 with the seeds of four groups, for a 4-byte input
+            (local.set $hashes
+              (v128.xor
+                (v128.load align=1 (i32.add (local.get $seedsPtr) (i32.shl (local.get $group) (i32.const 2))))
+                (i32x4.splat (local.get $k1))))
+            (local.set $hashes
+              (v128.xor
+                (i32x4.add
+                  (i32x4.mul
+                    (v128.or
+                      (i32x4.shl (local.get $hashes) (i32.const 13))
+                      (i32x4.shr_u (local.get $hashes) (i32.const 19)))
+                    (i32x4.splat (i32.const 5)))
+                  (i32x4.splat (i32.const 0xe6546b64)))
+                (i32x4.splat (i32.const 4))))
+            (local.set $hashes (v128.xor (local.get $hashes) (i32x4.shr_u (local.get $hashes) (i32.const 16))))
+            (local.set $hashes (i32x4.mul (local.get $hashes) (i32x4.splat (i32.const 0x85ebca6b))))
+            (local.set $hashes (v128.xor (local.get $hashes) (i32x4.shr_u (local.get $hashes) (i32.const 13))))
+            (local.set $hashes (i32x4.mul (local.get $hashes) (i32x4.splat (i32.const 0xc2b2ae35))))
+            (local.set $hashes (v128.xor (local.get $hashes) (i32x4.shr_u (local.get $hashes) (i32.const 16))))
+            ;; values = _computeDenseHash(hashes) & mask
+            (local.set $values (local.get $hashes))
+            (local.set $values (v128.xor (local.get $values) (i32x4.shr_u (local.get $values) (i32.const 16))))
+            (local.set $values (i32x4.mul (local.get $values) (i32x4.splat (i32.const 0x85ebca6b))))
+            (local.set $values (v128.xor (local.get $values) (i32x4.shr_u (local.get $values) (i32.const 13))))
+            (local.set $values (i32x4.mul (local.get $values) (i32x4.splat (i32.const 0xc2b2ae35))))
+            (local.set $values (v128.xor (local.get $values) (i32x4.shr_u (local.get $values) (i32.const 16))))
+            (local.set $values (v128.and (local.get $values) (i32x4.splat (local.get $mask))))
+            ;; Lanes equal to 0 after masking become 1: subtracting the all-ones lanes of (values == 0)
+            (local.set $values
+              (i32x4.sub (local.get $values) (i32x4.eq (local.get $values) (i32x4.splat (i32.const 0)))))
+            (v128.store align=1 (local.get $scratchPtr) (local.get $hashes))
+            (v128.store offset=16 align=1 (local.get $scratchPtr) (local.get $values))
+            ;; The last step may cover fewer than four groups
+            (local.set $lanes (i32.sub (local.get $numGroups) (local.get $group)))
+            (local.set $lanes (select (local.get $lanes) (i32.const 4) (i32.lt_u (local.get $lanes) (i32.const 4))))
+            (local.set $lane (i32.const 0))
+            (block $lanesDone
+              (loop $eachLane
+                (br_if $lanesDone (i32.ge_u (local.get $lane) (local.get $lanes)))
+                (local.set $hash
+                  (i32.load
+                    (local.tee $address (i32.add (local.get $scratchPtr) (i32.shl (local.get $lane) (i32.const 2))))))
+                (local.set $value (i32.load offset=16 (local.get $address)))
+                ;; Keep the value in bin group * M + hash % M if it is below the bin's current value
+                (local.set $address
+                  (i32.add
+                    (i32.mul (i32.add (local.get $group) (local.get $lane)) (local.get $M))
+                    (i32.rem_u (local.get $hash) (local.get $M))))
+                (if (i32.eq (local.get $binBytes) (i32.const 4))
+                  (then
+                    (local.set $current
+                      (i32.load
+                        (local.tee $address
+                          (i32.add (local.get $binsPtr) (i32.shl (local.get $address) (i32.const 2))))))
+                    ;; 32-bit bins start at 0 and hold signed values
+                    (if (i32.or (i32.eqz (local.get $current)) (i32.lt_s (local.get $value) (local.get $current)))
+                      (then (i32.store (local.get $address) (local.get $value)))))
+                  (else
+                    (if (i32.eq (local.get $binBytes) (i32.const 2))
+                      (then
+                        (local.set $address
+                          (i32.add (local.get $binsPtr) (i32.shl (local.get $address) (i32.const 1))))
+                        (if (i32.lt_u (local.get $value) (i32.load16_u (local.get $address)))
+                          (then (i32.store16 (local.get $address) (local.get $value)))))
+                      (else
+                        (local.set $address (i32.add (local.get $binsPtr) (local.get $address)))
+                        (if (i32.lt_u (local.get $value) (i32.load8_u (local.get $address)))
+                          (then (i32.store8 (local.get $address) (local.get $value))))))))
+                (local.set $lane (i32.add (local.get $lane) (i32.const 1)))
+                (br $eachLane)))
+            (local.set $group (i32.add (local.get $group) (i32.const 4)))
+            (br $groups)))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $elements))))
+
+  ;; For each row, counts over its first `count` values the bins that match and are non-empty, the bins
+  ;; non-empty in either signature and in both, and stores them as three i32 at outPtr + row * 12.
+  ;; Rows are `stride` values of `valueBytes` (4, 2 or 1) bytes apart. 16 bytes of both signatures are compared
+  ;; per step, each lane mask (-1 per set lane) summed into four i32 lanes; a scalar loop counts the rest.
+  (func (export "compare")
+    (param $queryPtr i32) (param $rowsPtr i32) (param $numRows i32) (param $count i32) (param $stride i32)
+    (param $valueBytes i32) (param $outPtr i32)
+    (local $row i32) (local $rowPtr i32) (local $i i32) (local $a i32) (local $b i32)
+    (local $matches i32) (local $union i32) (local $both i32)
+    (local $matchLanes v128) (local $unionLanes v128) (local $bothLanes v128)
+    (local $aLanes v128) (local $bLanes v128)
+    (local.set $row (i32.const 0))
+    (block $done
+      (loop $rows
+        (br_if $done (i32.ge_u (local.get $row) (local.get $numRows)))
+        (local.set $rowPtr
+          (i32.add
+            (local.get $rowsPtr)
+            (i32.mul (i32.mul (local.get $row) (local.get $stride)) (local.get $valueBytes))))
+        (local.set $i (i32.const 0))
+        (local.set $matches (i32.const 0))
+        (local.set $union (i32.const 0))
+        (local.set $both (i32.const 0))
+        (if (i32.eq (local.get $valueBytes) (i32.const 4))
+          (then
+            (local.set $matchLanes (i32x4.splat (i32.const 0)))
+            (local.set $unionLanes (i32x4.splat (i32.const 0)))
+            (local.set $bothLanes (i32x4.splat (i32.const 0)))
+            (block $vectorsCounted
+              (loop $vectors
+                (br_if $vectorsCounted (i32.gt_u (i32.add (local.get $i) (i32.const 4)) (local.get $count)))
+                (local.set $aLanes
+                  (v128.load align=1 (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $bLanes
+                  (v128.load align=1 (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $matchLanes
+                  (i32x4.sub
+                    (local.get $matchLanes)
+                    (v128.and
+                      (i32x4.eq (local.get $aLanes) (local.get $bLanes))
+                      (i32x4.ne (local.get $aLanes) (i32x4.splat (i32.const 0))))))
+                (local.set $unionLanes
+                  (i32x4.sub
+                    (local.get $unionLanes)
+                    (i32x4.ne (v128.or (local.get $aLanes) (local.get $bLanes)) (i32x4.splat (i32.const 0)))))
+                (local.set $bothLanes
+                  (i32x4.sub
+                    (local.get $bothLanes)
+                    (v128.and
+                      (i32x4.ne (local.get $aLanes) (i32x4.splat (i32.const 0)))
+                      (i32x4.ne (local.get $bLanes) (i32x4.splat (i32.const 0))))))
+                (local.set $i (i32.add (local.get $i) (i32.const 4)))
+                (br $vectors)))
+            (local.set $matches
+              (i32.add
+                (i32.add
+                  (i32.add
+                    (i32x4.extract_lane 0 (local.get $matchLanes))
+                    (i32x4.extract_lane 1 (local.get $matchLanes)))
+                  (i32x4.extract_lane 2 (local.get $matchLanes)))
+                (i32x4.extract_lane 3 (local.get $matchLanes))))
+            (local.set $union
+              (i32.add
+                (i32.add
+                  (i32.add
+                    (i32x4.extract_lane 0 (local.get $unionLanes))
+                    (i32x4.extract_lane 1 (local.get $unionLanes)))
+                  (i32x4.extract_lane 2 (local.get $unionLanes)))
+                (i32x4.extract_lane 3 (local.get $unionLanes))))
+            (local.set $both
+              (i32.add
+                (i32.add
+                  (i32.add
+                    (i32x4.extract_lane 0 (local.get $bothLanes))
+                    (i32x4.extract_lane 1 (local.get $bothLanes)))
+                  (i32x4.extract_lane 2 (local.get $bothLanes)))
+                (i32x4.extract_lane 3 (local.get $bothLanes))))
+            (block $counted
+              (loop $values
+                (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                (local.set $a (i32.load (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $b (i32.load (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $matches
+                  (i32.add
+                    (local.get $matches)
+                    (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                (local.set $union
+                  (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                (local.set $both
+                  (i32.add
+                    (local.get $both)
+                    (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                (br $values))))
+          (else
+            (if (i32.eq (local.get $valueBytes) (i32.const 2))
+              (then
+                (local.set $matchLanes (i32x4.splat (i32.const 0)))
+                (local.set $unionLanes (i32x4.splat (i32.const 0)))
+                (local.set $bothLanes (i32x4.splat (i32.const 0)))
+                (block $vectorsCounted
+                  (loop $vectors
+                    (br_if $vectorsCounted (i32.gt_u (i32.add (local.get $i) (i32.const 8)) (local.get $count)))
+                    (local.set $aLanes
+                      (v128.load align=1 (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $bLanes
+                      (v128.load align=1 (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $matchLanes
+                      (i32x4.sub
+                        (local.get $matchLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (v128.and
+                            (i16x8.eq (local.get $aLanes) (local.get $bLanes))
+                            (i16x8.ne (local.get $aLanes) (i32x4.splat (i32.const 0)))))))
+                    (local.set $unionLanes
+                      (i32x4.sub
+                        (local.get $unionLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (i16x8.ne (v128.or (local.get $aLanes) (local.get $bLanes)) (i32x4.splat (i32.const 0))))))
+                    (local.set $bothLanes
+                      (i32x4.sub
+                        (local.get $bothLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (v128.and
+                            (i16x8.ne (local.get $aLanes) (i32x4.splat (i32.const 0)))
+                            (i16x8.ne (local.get $bLanes) (i32x4.splat (i32.const 0)))))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 8)))
+                    (br $vectors)))
+                (local.set $matches
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $matchLanes))
+                        (i32x4.extract_lane 1 (local.get $matchLanes)))
+                      (i32x4.extract_lane 2 (local.get $matchLanes)))
+                    (i32x4.extract_lane 3 (local.get $matchLanes))))
+                (local.set $union
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $unionLanes))
+                        (i32x4.extract_lane 1 (local.get $unionLanes)))
+                      (i32x4.extract_lane 2 (local.get $unionLanes)))
+                    (i32x4.extract_lane 3 (local.get $unionLanes))))
+                (local.set $both
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $bothLanes))
+                        (i32x4.extract_lane 1 (local.get $bothLanes)))
+                      (i32x4.extract_lane 2 (local.get $bothLanes)))
+                    (i32x4.extract_lane 3 (local.get $bothLanes))))
+                (block $counted
+                  (loop $values
+                    (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                    (local.set $a
+                      (i32.load16_u (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $b (i32.load16_u (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $matches
+                      (i32.add
+                        (local.get $matches)
+                        (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                    (local.set $union
+                      (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                    (local.set $both
+                      (i32.add
+                        (local.get $both)
+                        (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                    (br $values))))
+              (else
+                (local.set $matchLanes (i32x4.splat (i32.const 0)))
+                (local.set $unionLanes (i32x4.splat (i32.const 0)))
+                (local.set $bothLanes (i32x4.splat (i32.const 0)))
+                (block $vectorsCounted
+                  (loop $vectors
+                    (br_if $vectorsCounted (i32.gt_u (i32.add (local.get $i) (i32.const 16)) (local.get $count)))
+                    (local.set $aLanes
+                      (v128.load align=1 (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $bLanes
+                      (v128.load align=1 (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $matchLanes
+                      (i32x4.sub
+                        (local.get $matchLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (i16x8.extadd_pairwise_i8x16_s
+                            (v128.and
+                              (i8x16.eq (local.get $aLanes) (local.get $bLanes))
+                              (i8x16.ne (local.get $aLanes) (i32x4.splat (i32.const 0))))))))
+                    (local.set $unionLanes
+                      (i32x4.sub
+                        (local.get $unionLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (i16x8.extadd_pairwise_i8x16_s
+                            (i8x16.ne
+                              (v128.or (local.get $aLanes) (local.get $bLanes))
+                              (i32x4.splat (i32.const 0)))))))
+                    (local.set $bothLanes
+                      (i32x4.sub
+                        (local.get $bothLanes)
+                        (i32x4.extadd_pairwise_i16x8_s
+                          (i16x8.extadd_pairwise_i8x16_s
+                            (v128.and
+                              (i8x16.ne (local.get $aLanes) (i32x4.splat (i32.const 0)))
+                              (i8x16.ne (local.get $bLanes) (i32x4.splat (i32.const 0))))))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 16)))
+                    (br $vectors)))
+                (local.set $matches
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $matchLanes))
+                        (i32x4.extract_lane 1 (local.get $matchLanes)))
+                      (i32x4.extract_lane 2 (local.get $matchLanes)))
+                    (i32x4.extract_lane 3 (local.get $matchLanes))))
+                (local.set $union
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $unionLanes))
+                        (i32x4.extract_lane 1 (local.get $unionLanes)))
+                      (i32x4.extract_lane 2 (local.get $unionLanes)))
+                    (i32x4.extract_lane 3 (local.get $unionLanes))))
+                (local.set $both
+                  (i32.add
+                    (i32.add
+                      (i32.add
+                        (i32x4.extract_lane 0 (local.get $bothLanes))
+                        (i32x4.extract_lane 1 (local.get $bothLanes)))
+                      (i32x4.extract_lane 2 (local.get $bothLanes)))
+                    (i32x4.extract_lane 3 (local.get $bothLanes))))
+                (block $counted
+                  (loop $values
+                    (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                    (local.set $a
+                      (i32.load8_u (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $b (i32.load8_u (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $matches
+                      (i32.add
+                        (local.get $matches)
+                        (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                    (local.set $union
+                      (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                    (local.set $both
+                      (i32.add
+                        (local.get $both)
+                        (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                    (br $values)))))))
+        (i32.store
+          (local.tee $i (i32.add (local.get $outPtr) (i32.mul (local.get $row) (i32.const 12))))
+          (local.get $matches))
+        (i32.store offset=4 (local.get $i) (local.get $union))
+        (i32.store offset=8 (local.get $i) (local.get $both))
+        (local.set $row (i32.add (local.get $row) (i32.const 1)))
+        (br $rows))))
+)
@@ -0,0 +1,170 @@
+;; The scalar WebAssembly backend (see setBackend in index.js). `npm run build:wasm` assembles this file
+;; and kernels-simd.wat into the bytes embedded in index.js; test/wasm-source.test.js checks that they match.
+(module
+  (memory (export "memory") 1)
+
+  ;; For each element hash and group: hash = murmurhash3_32_gc_single_int(element, seeds[group]),
+  ;; bin = group * M + hash % M, value = _computeDenseHash(hash) & mask (0 becomes 1), and the bin keeps
+  ;; the minimum. binBytes is 4 (32-bit bins, compared as signed), 2 or 1. scratchPtr is unused here.
+  (func (export "generate")
+    (param $hashesPtr i32) (param $count i32) (param $seedsPtr i32) (param $numGroups i32) (param $M i32)
+    (param $mask i32) (param $binsPtr i32) (param $binBytes i32) (param $scratchPtr i32)
+    (local $i i32) (local $k1 i32) (local $group i32) (local $hash i32) (local $lane i32) (local $lanes i32)
+    (local $value i32) (local $address i32) (local $current i32)
+    (local.set $i (i32.const 0))
+    (block $done
+      (loop $elements
+        (br_if $done (i32.ge_u (local.get $i) (local.get $count)))
+        ;; The element's MurmurHash3 block, shared by all groups
+        (local.set $k1
+          (i32.mul
+            (i32.rotl
+              (i32.mul
+                (i32.load (i32.add (local.get $hashesPtr) (i32.shl (local.get $i) (i32.const 2))))
+                (i32.const 0xcc9e2d51))
+              (i32.const 15))
+            (i32.const 0x1b873593)))
+        (local.set $group (i32.const 0))
+        (block $groupsDone
+          (loop $groups
+            (br_if $groupsDone (i32.ge_u (local.get $group) (local.get $numGroups)))
+            ;; The rest of MurmurHash3 with the group seed, for a 4-byte input
+            (local.set $hash
+              (i32.xor
+                (i32.add
+                  (i32.mul
+                    (i32.rotl
+                      (i32.xor
+                        (i32.load (i32.add (local.get $seedsPtr) (i32.shl (local.get $group) (i32.const 2))))
+                        (local.get $k1))
+                      (i32.const 13))
+                    (i32.const 5))
+                  (i32.const 0xe6546b64))
+                (i32.const 4)))
+            (local.set $hash (i32.xor (local.get $hash) (i32.shr_u (local.get $hash) (i32.const 16))))
+            (local.set $hash (i32.mul (local.get $hash) (i32.const 0x85ebca6b)))
+            (local.set $hash (i32.xor (local.get $hash) (i32.shr_u (local.get $hash) (i32.const 13))))
+            (local.set $hash (i32.mul (local.get $hash) (i32.const 0xc2b2ae35)))
+            (local.set $hash (i32.xor (local.get $hash) (i32.shr_u (local.get $hash) (i32.const 16))))
+            ;; value = _computeDenseHash(hash) & mask, with 0 replaced by 1
+            (local.set $value (local.get $hash))
+            (local.set $value (i32.xor (local.get $value) (i32.shr_u (local.get $value) (i32.const 16))))
+            (local.set $value (i32.mul (local.get $value) (i32.const 0x85ebca6b)))
+            (local.set $value (i32.xor (local.get $value) (i32.shr_u (local.get $value) (i32.const 13))))
+            (local.set $value (i32.mul (local.get $value) (i32.const 0xc2b2ae35)))
+            (local.set $value (i32.xor (local.get $value) (i32.shr_u (local.get $value) (i32.const 16))))
+            (local.set $value (i32.and (local.get $value) (local.get $mask)))
+            (local.set $value (select (local.get $value) (i32.const 1) (local.get $value)))
+            ;; Keep the value in bin group * M + hash % M if it is below the bin's current value
+            (local.set $address
+              (i32.add
+                (i32.mul (local.get $group) (local.get $M))
+                (i32.rem_u (local.get $hash) (local.get $M))))
+            (if (i32.eq (local.get $binBytes) (i32.const 4))
+              (then
+                (local.set $current
+                  (i32.load
+                    (local.tee $address (i32.add (local.get $binsPtr) (i32.shl (local.get $address) (i32.const 2))))))
+                ;; 32-bit bins start at 0 and hold signed values
+                (if (i32.or (i32.eqz (local.get $current)) (i32.lt_s (local.get $value) (local.get $current)))
+                  (then (i32.store (local.get $address) (local.get $value)))))
+              (else
+                (if (i32.eq (local.get $binBytes) (i32.const 2))
+                  (then
+                    (local.set $address (i32.add (local.get $binsPtr) (i32.shl (local.get $address) (i32.const 1))))
+                    (if (i32.lt_u (local.get $value) (i32.load16_u (local.get $address)))
+                      (then (i32.store16 (local.get $address) (local.get $value)))))
+                  (else
+                    (local.set $address (i32.add (local.get $binsPtr) (local.get $address)))
+                    (if (i32.lt_u (local.get $value) (i32.load8_u (local.get $address)))
+                      (then (i32.store8 (local.get $address) (local.get $value))))))))
+            (local.set $group (i32.add (local.get $group) (i32.const 1)))
+            (br $groups)))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $elements))))
+
+  ;; For each row, counts over its first `count` values the bins that match and are non-empty, the bins
+  ;; non-empty in either signature and in both, and stores them as three i32 at outPtr + row * 12.
+  ;; Rows are `stride` values of `valueBytes` (4, 2 or 1) bytes apart.
+  (func (export "compare")
+    (param $queryPtr i32) (param $rowsPtr i32) (param $numRows i32) (param $count i32) (param $stride i32)
+    (param $valueBytes i32) (param $outPtr i32)
+    (local $row i32) (local $rowPtr i32) (local $i i32) (local $a i32) (local $b i32)
+    (local $matches i32) (local $union i32) (local $both i32)
+    (local.set $row (i32.const 0))
+    (block $done
+      (loop $rows
+        (br_if $done (i32.ge_u (local.get $row) (local.get $numRows)))
+        (local.set $rowPtr
+          (i32.add
+            (local.get $rowsPtr)
+            (i32.mul (i32.mul (local.get $row) (local.get $stride)) (local.get $valueBytes))))
+        (local.set $i (i32.const 0))
+        (local.set $matches (i32.const 0))
+        (local.set $union (i32.const 0))
+        (local.set $both (i32.const 0))
+        (if (i32.eq (local.get $valueBytes) (i32.const 4))
+          (then
+            (block $counted
+              (loop $values
+                (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                (local.set $a (i32.load (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $b (i32.load (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.set $matches
+                  (i32.add
+                    (local.get $matches)
+                    (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                (local.set $union
+                  (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                (local.set $both
+                  (i32.add
+                    (local.get $both)
+                    (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                (br $values))))
+          (else
+            (if (i32.eq (local.get $valueBytes) (i32.const 2))
+              (then
+                (block $counted
+                  (loop $values
+                    (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                    (local.set $a (i32.load16_u (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $b (i32.load16_u (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 1)))))
+                    (local.set $matches
+                      (i32.add
+                        (local.get $matches)
+                        (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                    (local.set $union
+                      (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                    (local.set $both
+                      (i32.add
+                        (local.get $both)
+                        (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                    (br $values))))
+              (else
+                (block $counted
+                  (loop $values
+                    (br_if $counted (i32.ge_u (local.get $i) (local.get $count)))
+                    (local.set $a (i32.load8_u (i32.add (local.get $queryPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $b (i32.load8_u (i32.add (local.get $rowPtr) (i32.shl (local.get $i) (i32.const 0)))))
+                    (local.set $matches
+                      (i32.add
+                        (local.get $matches)
+                        (i32.and (i32.eq (local.get $a) (local.get $b)) (i32.ne (local.get $a) (i32.const 0)))))
+                    (local.set $union
+                      (i32.add (local.get $union) (i32.ne (i32.or (local.get $a) (local.get $b)) (i32.const 0))))
+                    (local.set $both
+                      (i32.add
+                        (local.get $both)
+                        (i32.and (i32.ne (local.get $a) (i32.const 0)) (i32.ne (local.get $b) (i32.const 0)))))
+                    (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                    (br $values)))))))
+        (i32.store
+          (local.tee $i (i32.add (local.get $outPtr) (i32.mul (local.get $row) (i32.const 12))))
+          (local.get $matches))
+        (i32.store offset=4 (local.get $i) (local.get $union))
+        (i32.store offset=8 (local.get $i) (local.get $both))
+        (local.set $row (i32.add (local.get $row) (i32.const 1)))
+        (br $rows))))
+)